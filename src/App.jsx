@@ -6,46 +6,107 @@ import React, {
   useState,
 } from 'react';
 import NumInput from './components/NumInput';
+import PlanDrawing from './components/PlanDrawing';
+import PlanExport from './components/PlanExport';
+import ElevationView from './components/ElevationView';
+import View3D from './components/View3D';
+import AlternativesPanel from './components/AlternativesPanel';
+import FeasibilityPanel from './components/FeasibilityPanel';
+import ReportView from './components/ReportView';
+import RoomBar from './components/RoomBar';
 import {
   dist3D,
   planarDistances,
   pointInPolygon,
-  polygonArea,
+  pointInRoom,
+  roomArea,
   distPointToSegment2D,
-  minDistToEdges2D,
+  minDistToRoomEdges,
+  interiorPoint,
 } from './utils/geometry';
 import {
   EPS,
   STEP,
-  MARGIN,
-  MIN_RED_BLUE,
-  MIN_BLUE_BLUE,
-  MIN_F_F_AXIS,
+  MAX_POINTS,
+  MAX_SOURCES,
+  MAX_VERTICES,
+  MIN_VERTICES,
   round01,
   key01,
   parseNum,
 } from './utils/constants';
+import {
+  DEFAULT_PROFILES,
+  RULE_FIELDS,
+  builtInProfile,
+  duplicateProfile,
+  findProfile,
+  mergeProfile,
+  ringToggles,
+  sanitizeProfile,
+} from './utils/ruleProfiles';
+import { parseProject, serializeProject } from './utils/projectFile';
+import {
+  WORKSPACE_BACKUP_KEY,
+  backupWorkspace,
+  createRoom,
+  nextRoomName,
+  readWorkspace,
+  saveWorkspace,
+} from './utils/workspace';
+import { deleteImage, readImage, saveImage } from './utils/imageStore';
+import { checkAllDistances, namedPoints } from './utils/distanceChecks';
+import { downloadFile } from './utils/download';
+import { holeName, idxToLetter, sourceName } from './utils/labels';
+import { planBounds, planScale } from './utils/planLayout';
+import { buildPointsCsv, localeDecimal } from './utils/csvExport';
 import useBluePoints from './hooks/useBluePoints';
+import { randomSeed } from './utils/seed';
+import { COMPARE_LIMITS, OPTIMIZERS, findOptimizer } from './utils/optimizers';
+import { minPointCount, solutionQuality } from './utils/bluePoints';
+import { describeFix } from './utils/feasibility';
+import { zoneName, zonesContaining } from './utils/exclusions';
+import { holeIssues, polygonIssues } from './utils/polygonValidity';
+import ExclusionsEditor from './components/ExclusionsEditor';
+import HolesEditor from './components/HolesEditor';
+import EdgeEditor from './components/EdgeEditor';
+import OutlineImport from './components/OutlineImport';
+import UnderlayEditor from './components/UnderlayEditor';
+import { insertMidpoint, moveVertex, snapVertex } from './utils/polygonEdit';
+import { parseOutlineFile } from './utils/outlineImport';
+import {
+  calibrateUnderlay,
+  createUnderlay,
+  loadUnderlayImage,
+  underlayCorners,
+} from './utils/underlay';
+import {
+  ceilingHeightFn,
+  ceilingPlane,
+  createCeilingPlane,
+  roomVolume,
+} from './utils/ceiling';
 
 /**
  * Estructura general:
- * - Estado de geometría: vertices (polígono XY) y alturaZ.
- * - Estado de puntos: F1/F2 + flags de activación y los puntos azules (blue/blueActive).
- * - Estado de UI y reglas: anillos de distancia, mensajes, busy flag y nonce para variar la generación.
+ * - Espacio de trabajo: lista de recintos (rooms) con su estado e historial; el activo se edita en los estados de abajo.
+ * - Estado de geometría: vertices (polígono XY), holes (huecos interiores), alturaZ y ceiling (techo horizontal o inclinado).
+ * - Estado de puntos: fuentes F1..Fn (sources, con flag active) y los puntos azules (blue/blueActive).
+ * - Estado de UI y reglas: perfil de reglas activo, anillos de distancia, mensajes y busy flag.
+ * - Semilla: la escrita por el usuario (seed) o una aleatoria (autoSeed); genSeed es la de los puntos actuales.
  * - Historial: past/future guardan snapshots para undo/redo.
- * - Cálculos derivados (memoizados): bounds, escala, celdas candidatas, distancias y violaciones.
- * - Flujo: generateBluePoints elige combinaciones válidas; validate revisa reglas y muestra avisos.
+ * - Cálculos derivados (memoizados): bounds, escala, distancias y violaciones.
+ * - Flujo: al pulsar "Generar puntos", useBluePoints lanza generateForRoom en un Web Worker
+ *   (candidatos + búsqueda con el algoritmo elegido, con progreso, cancelación y tiempo máximo);
+ *   validate revisa reglas y muestra avisos. "Comparar algoritmos" ejecuta todos y los muestra como alternativas.
+ *   Sin solución válida, el worker añade un diagnóstico (diagnoseFeasibility) con los cambios mínimos que la permiten.
  */
-// Convierte índice 0->A, 1->B, ... 25->Z, 26->AA, etc.
-const idxToLetter = (i) => {
-  let n = i;
-  let s = '';
-  do {
-    s = String.fromCharCode(65 + (n % 26)) + s;
-    n = Math.floor(n / 26) - 1;
-  } while (n >= 0);
-  return s;
-};
+// Formato de distancias en mensajes: 0.7 -> "0,7"
+const fmtComma = (n) => n.toFixed(1).replace('.', ',');
+// Mismos puntos en el mismo orden
+const samePoints = (a, b) =>
+  a.length === b.length &&
+  a.every((p, i) => p.x === b[i].x && p.y === b[i].y && p.z === b[i].z);
 
 // ===== Funciones auxiliares de validación (reutilizables) =====
 /**
@@ -90,19 +151,26 @@ function checkCoordinateDuplicates(
  * Valida que un punto cumpla polígono y márgenes (XY + Z).
  * @param {{x:number,y:number,z:number}} p Punto a validar.
  * @param {{x:number,y:number}[]} vertices Polígono de la planta.
- * @param {number} alturaZ Altura del recinto.
+ * @param {{x:number,y:number}[][]} holes Huecos interiores (el margen también se aplica a sus bordes).
+ * @param {number} ceilingZ Altura del techo sobre el punto.
+ * @param {{margin:number}} rules Perfil de reglas activo.
  * @returns {string[]} Mensajes de error si se incumplen márgenes o pertenencia al polígono.
  */
-function checkPolygonAndMargins(p, vertices, alturaZ) {
+function checkPolygonAndMargins(p, vertices, holes, ceilingZ, rules) {
+  const { margin } = rules;
   const messages = [];
 
   if (!pointInPolygon(p, vertices)) {
     messages.push('Fuera del polígono (XY)');
   }
-  if (minDistToEdges2D(p, vertices) < MARGIN - EPS) {
-    messages.push('A <0,5 del borde (XY)');
+  holes.forEach((h, k) => {
+    if (pointInPolygon(p, h))
+      messages.push(`Dentro del hueco ${holeName(k)} (XY)`);
+  });
+  if (minDistToRoomEdges(p, vertices, holes) < margin - EPS) {
+    messages.push(`A <${fmtComma(margin)} del borde (XY)`);
   }
-  if (p.z < MARGIN || p.z > alturaZ - MARGIN) {
+  if (p.z < margin || p.z > ceilingZ - margin) {
     messages.push('Z fuera de márgenes');
   }
 
@@ -110,172 +178,252 @@ function checkPolygonAndMargins(p, vertices, alturaZ) {
 }
 
 /**
- * Valida distancias mínimas entre F1 y F2 en cada eje y planos.
- * @param {{x:number,y:number,z:number}} F1 Coordenadas de la fuente 1.
- * @param {{x:number,y:number,z:number}} F2 Coordenadas de la fuente 2.
+ * Valida que un punto no caiga en ninguna zona excluida (incluida su holgura).
+ * @param {{x:number,y:number}} p Punto a validar.
+ * @param {object[]} exclusions Zonas excluidas del recinto.
+ * @returns {string[]} Un mensaje por zona que contiene el punto.
+ */
+function checkExclusions(p, exclusions) {
+  return zonesContaining(p, exclusions).map(
+    (i) => `Dentro de la zona excluida ${zoneName(i)}`
+  );
+}
+
+/**
+ * Valida distancias mínimas entre dos fuentes en cada eje y planos.
+ * @param {{x:number,y:number,z:number}} A Coordenadas de la primera fuente.
+ * @param {{x:number,y:number,z:number}} B Coordenadas de la segunda fuente.
+ * @param {string} pair Etiqueta del par para los mensajes (p. ej. "F1–F2").
+ * @param {{minFFAxis:number}} rules Perfil de reglas activo.
  * @returns {{violations:{x:boolean,y:boolean,z:boolean}, messages:string[]}} Flags por eje y mensajes.
  */
-function checkF1F2Distances(F1, F2) {
-  const pd = planarDistances(F1, F2);
-  const dx = Math.abs(F1.x - F2.x);
-  const dy = Math.abs(F1.y - F2.y);
-  const dz = Math.abs(F1.z - F2.z);
+function checkSourcePairDistances(A, B, pair, rules) {
+  const min = rules.minFFAxis;
+  const lim = fmtComma(min);
+  const pd = planarDistances(A, B);
+  const dx = Math.abs(A.x - B.x);
+  const dy = Math.abs(A.y - B.y);
+  const dz = Math.abs(A.z - B.z);
 
   const violations = { x: false, y: false, z: false };
   const messages = [];
 
-  if (pd.xy < MIN_F_F_AXIS) {
+  if (pd.xy < min) {
     violations.x = violations.y = true;
-    messages.push(`F1–F2 < 0,7 en XY (${pd.xy.toFixed(2)} m)`);
+    messages.push(`${pair} < ${lim} en XY (${pd.xy.toFixed(2)} m)`);
   }
-  if (pd.xz < MIN_F_F_AXIS) {
+  if (pd.xz < min) {
     violations.x = violations.z = true;
-    messages.push(`F1–F2 < 0,7 en XZ (${pd.xz.toFixed(2)} m)`);
+    messages.push(`${pair} < ${lim} en XZ (${pd.xz.toFixed(2)} m)`);
   }
-  if (pd.yz < MIN_F_F_AXIS) {
+  if (pd.yz < min) {
     violations.y = violations.z = true;
-    messages.push(`F1–F2 < 0,7 en YZ (${pd.yz.toFixed(2)} m)`);
+    messages.push(`${pair} < ${lim} en YZ (${pd.yz.toFixed(2)} m)`);
   }
-  if (dx < MIN_F_F_AXIS) {
+  if (dx < min) {
     violations.x = true;
-    messages.push(`F1–F2: |X| = ${dx.toFixed(2)} < 0,7 m`);
+    messages.push(`${pair}: |X| = ${dx.toFixed(2)} < ${lim} m`);
   }
-  if (dy < MIN_F_F_AXIS) {
+  if (dy < min) {
     violations.y = true;
-    messages.push(`F1–F2: |Y| = ${dy.toFixed(2)} < 0,7 m`);
+    messages.push(`${pair}: |Y| = ${dy.toFixed(2)} < ${lim} m`);
   }
-  if (dz < MIN_F_F_AXIS) {
+  if (dz < min) {
     violations.z = true;
-    messages.push(`F1–F2: |Z| = ${dz.toFixed(2)} < 0,7 m`);
+    messages.push(`${pair}: |Z| = ${dz.toFixed(2)} < ${lim} m`);
   }
 
   return { violations, messages };
 }
 
-/**
- * Valida distancias entre todos los puntos activos y clasifica violaciones.
- * @param {{name:string,p:{x:number,y:number,z:number}}[]} points Lista de puntos con nombre.
- * @param {{activeF1?:boolean, activeF2?:boolean, F1?:{x:number,y:number,z:number}, F2?:{x:number,y:number,z:number}}} options Estado de activación y coordenadas Fx.
- * @returns {{pairs:Set<string>, msgs:string[]}} Pares en violación y mensajes de detalle.
- */
-function checkAllDistances(
-  points,
-  { activeF1 = false, activeF2 = false, F1 = null, F2 = null } = {}
-) {
-  const pairs = new Set();
-  const msgs = [];
-  const N = points.length;
-
-  for (let i = 0; i < N; i++) {
-    for (let j = i + 1; j < N; j++) {
-      const A = points[i],
-        B = points[j];
-      const nameA = A.name,
-        nameB = B.name;
-      const isFA = nameA.startsWith('F');
-      const isFB = nameB.startsWith('F');
-      const isPA = nameA.startsWith('P');
-      const isPB = nameB.startsWith('P');
-
-      if (isFA && isFB) {
-        const dx = Math.abs(A.p.x - B.p.x);
-        const dy = Math.abs(A.p.y - B.p.y);
-        const dz = Math.abs(A.p.z - B.p.z);
-        const parts = [];
-        if (dx < MIN_F_F_AXIS) parts.push(`|X|=${dx.toFixed(1)}`);
-        if (dy < MIN_F_F_AXIS) parts.push(`|Y|=${dy.toFixed(1)}`);
-        if (dz < MIN_F_F_AXIS) parts.push(`|Z|=${dz.toFixed(1)}`);
-        if (parts.length) {
-          pairs.add(`${i}-${j}`);
-          msgs.push(`${nameA}–${nameB}: ${parts.join(', ')} < 0.7 m`);
-        }
-      } else if ((isFA && isPB) || (isFB && isPA)) {
-        const d = dist3D(A.p, B.p);
-        if (d < MIN_RED_BLUE) {
-          pairs.add(`${i}-${j}`);
-          msgs.push(`${nameA}–${nameB} = ${d.toFixed(1)} < 1.0 m (3D)`);
-        }
-      } else if (isPA && isPB) {
-        const d = dist3D(A.p, B.p);
-        if (d < MIN_BLUE_BLUE) {
-          pairs.add(`${i}-${j}`);
-          msgs.push(`${nameA}–${nameB} = ${d.toFixed(1)} < 0.7 m (3D)`);
-        }
-      }
-    }
-  }
-
-  return { pairs, msgs };
-}
-
 // ===== Generador de puntos azules =====
 export default function App() {
+  // Espacio de trabajo guardado (se lee una sola vez al montar). Si no se
+  // puede leer, se copia en bruto a WORKSPACE_BACKUP_KEY y se arranca con un
+  // recinto nuevo sin guardar nada hasta que el usuario decida
+  const [boot] = useState(() => {
+    let loadError = null;
+    try {
+      const ws = readWorkspace(localStorage);
+      if (ws) return ws;
+    } catch (e) {
+      let raw = null,
+        backedUp = false;
+      try {
+        raw = backupWorkspace(localStorage);
+        backedUp = raw != null;
+      } catch {}
+      loadError = { message: e.message, raw, backedUp };
+    }
+    const room = createRoom('Recinto 1');
+    return { rooms: [room], activeId: room.id, loadError };
+  });
+  // Error al leer el espacio de trabajo: bloquea el guardado automático
+  const [loadError, setLoadError] = useState(boot.loadError || null);
+  // Último fallo al guardar (cupo lleno, sin IndexedDB...) o null
+  const [saveError, setSaveError] = useState(null);
+  // Imágenes de planos de fondo que ya están en el almacén de imágenes: las
+  // leídas sin imagen de localStorage (se cargan aparte, ver más abajo)
+  const savedImages = useRef(
+    new Set(
+      boot.rooms
+        .filter((r) => r.underlay && !r.underlay.src)
+        .map((r) => r.underlay.imageId)
+    )
+  );
+  const bootRoom = boot.rooms.find((r) => r.id === boot.activeId);
+  const init = bootRoom.state;
+  const [rooms, setRooms] = useState(boot.rooms);
+  const [activeRoomId, setActiveRoomId] = useState(boot.activeId);
+
   // Polígono y altura
-  const [vertices, setVertices] = useState([
-    { x: 0, y: 0 },
-    { x: 3, y: 0 },
-    { x: 3, y: 2 },
-    { x: 0, y: 2 },
-  ]);
-  const [alturaZ, setAlturaZ] = useState(2.5);
+  const [vertices, setVertices] = useState(init.vertices);
+  // Huecos interiores (núcleos, escaleras...): anillos excluidos del recinto
+  const [holes, setHoles] = useState(init.holes);
+  const [alturaZ, setAlturaZ] = useState(init.alturaZ);
+  // Techo: horizontal a alturaZ o inclinado (plano por tres puntos)
+  const [ceiling, setCeiling] = useState(init.ceiling);
+  const heightAt = useMemo(
+    () => ceilingHeightFn(ceiling, alturaZ),
+    [ceiling, alturaZ]
+  );
+  // Altura máxima del techo (en un plano, siempre en un vértice)
+  const topZ = useMemo(
+    () => Math.max(...vertices.map(heightAt)),
+    [vertices, heightAt]
+  );
 
-  // Fuentes y receptores
-  const [F1, setF1] = useState({ x: 0.5, y: 1.5, z: 1.8 });
-  const [F2, setF2] = useState({ x: 2.5, y: 0.5, z: 1.1 });
-  const [activeF1, setActiveF1] = useState(true);
-  const [activeF2, setActiveF2] = useState(true);
-  const [blue, setBlue] = useState([]);
-  const [blueActive, setBlueActive] = useState(true);
+  // Fuentes (F1..Fn, cada una con su flag de activación) y receptores
+  const [sources, setSources] = useState(init.sources);
+  const updateSource = (i, patch) =>
+    setSources((S) => S.map((f, k) => (k === i ? { ...f, ...patch } : f)));
+  const [blue, setBlue] = useState(init.blue);
+  const [blueActive, setBlueActive] = useState(init.blueActive);
+  // Zonas excluidas (obstáculos) dentro del recinto
+  const [exclusions, setExclusions] = useState(init.exclusions);
+  // Plano escaneado de fondo: se guarda con el recinto pero fuera del historial
+  // (la imagen no se copia en cada paso de deshacer)
+  const [underlay, setUnderlay] = useState(bootRoom.underlay || null);
+  // Calibración en curso: null o los puntos ya marcados en la planta
+  const [calibration, setCalibration] = useState(null);
+  const [nPoints, setNPoints] = useState(init.nPoints);
+  // Semilla escrita por el usuario ('' = aleatoria) y semilla de los puntos actuales
+  const [seed, setSeed] = useState(init.seed);
+  const [genSeed, setGenSeed] = useState(init.genSeed);
+  // 'legacy' reproduce semillas guardadas con la conversión antigua (suma de códigos)
+  const [seedMode, setSeedMode] = useState(init.seedMode);
+  // Algoritmo de búsqueda elegido para el recinto
+  const [optimizer, setOptimizer] = useState(init.optimizer);
+
+  // Perfiles de reglas (globales) y perfil activo del recinto
+  const [profiles, setProfiles] = useState(() => {
+    try {
+      const raw = localStorage.getItem('puntos_app_profiles');
+      const list = raw
+        ? JSON.parse(raw).map(sanitizeProfile).filter(Boolean)
+        : [];
+      return list.length ? list : DEFAULT_PROFILES;
+    } catch {
+      return DEFAULT_PROFILES;
+    }
+  });
+  const [profileId, setProfileId] = useState(init.profileId);
+  const rules = useMemo(
+    () => findProfile(profiles, profileId),
+    [profiles, profileId]
+  );
+  // Las ediciones pasan por la misma normalización que los perfiles leídos
+  const updateProfile = (patch) =>
+    setProfiles((list) =>
+      list.map((p) =>
+        p.id === rules.id ? sanitizeProfile({ ...p, ...patch }) : p
+      )
+    );
+  // Perfil predefinido del activo (null si es de usuario) para restaurarlo
+  const preset = builtInProfile(rules.id);
 
   // UI
-  const radii = [0.5, 0.7, 1.0, 2.0];
-  const [ringsRed, setRingsRed] = useState({
-    0.5: true,
-    0.7: true,
-    1: false,
-    2: false,
-  });
-  const [ringsBlue, setRingsBlue] = useState({
-    0.5: true,
-    0.7: true,
-    1: false,
-    2: false,
-  });
-  const [busy, setBusy] = useState(false);
+  const radii = useMemo(
+    () =>
+      Array.from(
+        new Set([rules.margin, rules.minBlueBlue, rules.minRedBlue, 2.0])
+      ).sort((a, b) => a - b),
+    [rules]
+  );
+  const [ringsRed, setRingsRed] = useState(init.ringsRed);
+  const [ringsBlue, setRingsBlue] = useState(init.ringsBlue);
+  // Círculos que se muestran: uno por radio del perfil activo
+  const shownRingsRed = useMemo(
+    () => ringToggles(ringsRed, radii),
+    [ringsRed, radii]
+  );
+  const shownRingsBlue = useMemo(
+    () => ringToggles(ringsBlue, radii),
+    [ringsBlue, radii]
+  );
+  // Generación en un Web Worker: busy mientras hay una en curso
+  const {
+    run: runGeneration,
+    cancel: cancelGeneration,
+    running: busy,
+    progress: genProgress,
+  } = useBluePoints();
+  // Tiempo máximo de búsqueda (s); al agotarse se usan las soluciones halladas
+  const [timeBudget, setTimeBudget] = useState(10);
+  // Ajuste de los lados a 90°/45° al arrastrar vértices
+  const [snapAngles, setSnapAngles] = useState(false);
+  // Lado elegido para insertar un vértice en su punto medio
+  const [insertEdge, setInsertEdge] = useState(0);
   const [msg, setMsg] = useState('');
   const [err, setErr] = useState(false);
-  const [nonce, setNonce] = useState(0);
+  // Soluciones alternativas de la última generación (no se guardan)
+  const [alternatives, setAlternatives] = useState([]);
+  // Diagnóstico de la última generación sin solución válida (no se guarda)
+  const [diagnosis, setDiagnosis] = useState(null);
+  // Semilla aleatoria para la próxima generación cuando no se escribe ninguna
+  const [autoSeed, setAutoSeed] = useState(randomSeed);
 
   // ===== Historial (Atrás / Adelante) =====
-  const [past, setPast] = useState([]);
-  const [future, setFuture] = useState([]);
+  const [past, setPast] = useState(bootRoom.past);
+  const [future, setFuture] = useState(bootRoom.future);
   const takeSnapshot = () =>
     JSON.parse(
       JSON.stringify({
         vertices,
+        holes,
         alturaZ,
-        F1,
-        F2,
-        activeF1,
-        activeF2,
+        ceiling,
+        exclusions,
+        sources,
         blue,
         blueActive,
+        nPoints,
+        seed,
+        genSeed,
+        seedMode,
+        optimizer,
         ringsRed,
         ringsBlue,
+        profileId,
       })
     );
   const applySnapshot = (s) => {
     setVertices(s.vertices);
     setAlturaZ(s.alturaZ);
-    setF1(s.F1);
-    setF2(s.F2);
-    setActiveF1(s.activeF1);
-    setActiveF2(s.activeF2);
+    setCeiling(s.ceiling || { type: 'flat' });
+    setHoles(s.holes || []);
+    setExclusions(s.exclusions || []);
+    setSources(s.sources);
     setBlue(s.blue);
     if (typeof s.blueActive === 'boolean') setBlueActive(s.blueActive);
+    if (typeof s.nPoints === 'number') setNPoints(s.nPoints);
     setRingsRed(s.ringsRed);
     setRingsBlue(s.ringsBlue);
-    // seed eliminado: no recuperar
+    if (s.profileId) setProfileId(s.profileId);
+    if (typeof s.seed === 'string') setSeed(s.seed);
+    setGenSeed(s.genSeed ?? null);
+    setSeedMode(s.seedMode || 'hash');
+    setOptimizer(findOptimizer(s.optimizer).id);
   };
   const undo = () => {
     setPast((p) => {
@@ -296,55 +444,223 @@ export default function App() {
     });
   };
 
-  // Persistencia ligera (cargar/guardar)
+  // Persistencia ligera: espacio de trabajo completo (con pausa para no escribir en cada drag).
+  // No se guarda mientras haya un espacio de trabajo sin leer pendiente de decisión.
   useEffect(() => {
-    try {
-      const raw = localStorage.getItem('puntos_app_state_min');
-      if (raw) {
-        const s = JSON.parse(raw);
-        s.vertices && setVertices(s.vertices);
-        typeof s.alturaZ === 'number' && setAlturaZ(s.alturaZ);
-        s.F1 && setF1(s.F1);
-        s.F2 && setF2(s.F2);
-        typeof s.activeF1 === 'boolean' && setActiveF1(s.activeF1);
-        typeof s.activeF2 === 'boolean' && setActiveF2(s.activeF2);
-        s.blue && setBlue(s.blue);
-        s.ringsRed && setRingsRed(s.ringsRed);
-        s.ringsBlue && setRingsBlue(s.ringsBlue);
-        // seed eliminado: no cargar
+    if (loadError) return undefined;
+    const t = setTimeout(async () => {
+      try {
+        const current = { state: takeSnapshot(), past, future, underlay };
+        await saveWorkspace(
+          localStorage,
+          { saveImage, deleteImage },
+          rooms.map((r) => (r.id === activeRoomId ? { ...r, ...current } : r)),
+          activeRoomId,
+          savedImages.current
+        );
+        setSaveError(null);
+      } catch (e) {
+        setSaveError(
+          e && e.name === 'QuotaExceededError'
+            ? 'el almacenamiento del navegador está lleno.'
+            : (e && e.message) || String(e)
+        );
       }
-    } catch {}
-  }, []);
-  useEffect(() => {
-    try {
-      localStorage.setItem(
-        'puntos_app_state_min',
-        JSON.stringify({
-          vertices,
-          alturaZ,
-          F1,
-          F2,
-          activeF1,
-          activeF2,
-          blue,
-          blueActive,
-          ringsRed,
-          ringsBlue,
-        })
-      );
-    } catch {}
+    }, 300);
+    return () => clearTimeout(t);
   }, [
+    loadError,
+    rooms,
+    activeRoomId,
+    past,
+    future,
     vertices,
+    holes,
     alturaZ,
-    F1,
-    F2,
-    activeF1,
-    activeF2,
+    ceiling,
+    exclusions,
+    underlay,
+    sources,
     blue,
     blueActive,
+    nPoints,
+    seed,
+    genSeed,
+    seedMode,
+    optimizer,
     ringsRed,
     ringsBlue,
+    profileId,
   ]);
+  // Imágenes de los planos de fondo guardados: se leen una vez al montar
+  useEffect(() => {
+    const ids = [...savedImages.current];
+    if (!ids.length) return;
+    Promise.all(ids.map((id) => readImage(id).catch(() => undefined))).then(
+      (srcs) => {
+        const found = new Map(ids.map((id, k) => [id, srcs[k]]));
+        const fill = (u) =>
+          u && !u.src && found.get(u.imageId)
+            ? { ...u, src: found.get(u.imageId) }
+            : u;
+        setRooms((list) =>
+          list.map((r) => ({ ...r, underlay: fill(r.underlay) }))
+        );
+        setUnderlay(fill);
+      }
+    );
+  }, []);
+  useEffect(() => {
+    try {
+      localStorage.setItem('puntos_app_profiles', JSON.stringify(profiles));
+    } catch {}
+  }, [profiles]);
+
+  // ===== Recintos: cambiar, añadir, duplicar, renombrar, eliminar =====
+  const activeRoom = rooms.find((r) => r.id === activeRoomId) || rooms[0];
+  // Guarda en la lista el estado e historial vivos del recinto activo
+  const stashActiveRoom = (list) =>
+    list.map((r) =>
+      r.id === activeRoomId
+        ? { ...r, state: takeSnapshot(), past, future, underlay }
+        : r
+    );
+  const openRoom = (room) => {
+    applySnapshot(room.state);
+    setUnderlay(room.underlay || null);
+    setCalibration(null);
+    setPast(room.past);
+    setFuture(room.future);
+    setActiveRoomId(room.id);
+    setAlternatives([]);
+    setDiagnosis(null);
+    setMsg('');
+    setErr(false);
+  };
+  const switchRoom = (id) => {
+    const target = rooms.find((r) => r.id === id);
+    if (!target || id === activeRoomId || busy) return;
+    setRooms(stashActiveRoom);
+    openRoom(target);
+  };
+  const addRoom = (room) => {
+    setRooms((list) => [...stashActiveRoom(list), room]);
+    openRoom(room);
+  };
+  const renameRoom = (name) =>
+    setRooms((list) =>
+      list.map((r) => (r.id === activeRoomId ? { ...r, name } : r))
+    );
+  const deleteRoom = () => {
+    if (rooms.length <= 1 || busy) return;
+    if (!window.confirm(`¿Eliminar el recinto "${activeRoom.name}"?`)) return;
+    const rest = rooms.filter((r) => r.id !== activeRoomId);
+    setRooms(rest);
+    openRoom(rest[0]);
+  };
+
+  // ===== Archivo de proyecto (exportar / importar JSON) =====
+  const fileInputRef = useRef(null);
+  const exportProject = () => {
+    downloadFile(
+      serializeProject(
+        { ...takeSnapshot(), ...(underlay ? { underlay } : {}) },
+        rules
+      ),
+      `${activeRoom.name.trim() || 'recinto'}.json`,
+      'application/json'
+    );
+  };
+  const importProject = async (file) => {
+    try {
+      const { room, profile } = parseProject(await file.text());
+      let pid = room.profileId;
+      if (profile) {
+        const merged = mergeProfile(profiles, profile);
+        setProfiles(merged.profiles);
+        pid = merged.id;
+      }
+      setPast((p) => [...p, takeSnapshot()]);
+      setFuture([]);
+      applySnapshot({ ...takeSnapshot(), ...room, profileId: pid });
+      setUnderlay(room.underlay);
+      setCalibration(null);
+      setErr(false);
+      setMsg(`✓ Proyecto "${file.name}" cargado.`);
+    } catch (e) {
+      setErr(true);
+      setMsg(
+        `⚠️ No se pudo importar "${file.name}":\n• ${e.message.split('\n').join('\n• ')}`
+      );
+    }
+  };
+
+  // ===== Contorno desde un plano DXF/SVG =====
+  const outlineInputRef = useRef(null);
+  const [outlineImport, setOutlineImport] = useState(null); // { fileName, outlines, unit }
+  const importOutline = async (file) => {
+    try {
+      const { outlines, unit } = parseOutlineFile(file.name, await file.text());
+      setOutlineImport({
+        fileName: file.name,
+        outlines,
+        // Sin $INSUNITS, los DXF de arquitectura suelen estar en mm
+        unit: unit || (/\.svg$/i.test(file.name) ? 'px' : 'mm'),
+      });
+    } catch (e) {
+      setErr(true);
+      setMsg(`⚠️ No se pudo leer "${file.name}": ${e.message}`);
+    }
+  };
+  // Con reset, lo colocado sobre el contorno anterior se sustituye en el mismo
+  // paso de deshacer: sin huecos ni zonas, una fuente en un punto interior y
+  // sin puntos (el techo inclinado se vuelve a apoyar en los vértices nuevos)
+  const applyOutline = (next, reset) => {
+    changeVertices(next);
+    if (reset) {
+      const c = interiorPoint(next);
+      setHoles([]);
+      setExclusions([]);
+      if (ceiling.type === 'plane')
+        setCeiling(createCeilingPlane(next, alturaZ));
+      setSources([{ x: c.x, y: c.y, z: round01(alturaZ / 2), active: true }]);
+      setBlue([]);
+      setGenSeed(null);
+      setAlternatives([]);
+      setDiagnosis(null);
+    }
+    setErr(false);
+    setMsg(
+      `✓ Contorno importado de "${outlineImport.fileName}" (${next.length} vértices)${
+        reset
+          ? '; se han borrado huecos, zonas, fuentes y puntos anteriores'
+          : ''
+      }.`
+    );
+    setOutlineImport(null);
+  };
+
+  // ===== Plano de fondo (imagen escaneada para calcar) =====
+  const loadUnderlay = async (file) => {
+    try {
+      const image = await loadUnderlayImage(file);
+      setUnderlay(createUnderlay(image, bounds));
+      setCalibration(null);
+      setErr(false);
+      setMsg(
+        `✓ Plano "${file.name}" cargado. Calibra su escala con una cota conocida.`
+      );
+    } catch (e) {
+      setErr(true);
+      setMsg(`⚠️ No se pudo cargar "${file.name}": ${e.message}`);
+    }
+  };
+  const applyCalibration = (distance) => {
+    setUnderlay((u) =>
+      calibrateUnderlay(u, calibration[0], calibration[1], distance)
+    );
+    setCalibration(null);
+  };
 
   // Escala y helpers de dibujo
   const width = 700,
@@ -355,255 +671,198 @@ export default function App() {
   const panelHPad = 24; // p-3 izquierda + derecha = 24px
   const rightColW = tableW + panelHPad; // ancho total del panel derecho
   const leftColW = width + panelHPad; // ancho total del panel del gráfico
-  const bounds = useMemo(() => {
-    const xs = vertices.map((v) => v.x),
-      ys = vertices.map((v) => v.y);
-    return {
-      minX: Math.min(0, ...xs),
-      maxX: Math.max(...xs),
-      minY: Math.min(0, ...ys),
-      maxY: Math.max(...ys),
-    };
-  }, [vertices]);
-  const scale = useMemo(() => {
-    const wu = Math.max(1e-3, bounds.maxX - bounds.minX),
-      hu = Math.max(1e-3, bounds.maxY - bounds.minY);
-    return Math.min((width - 2 * pad) / wu, (height - 2 * pad) / hu);
-  }, [bounds]);
-  const toSvg = (p) => ({
-    x: pad + (p.x - bounds.minX) * scale,
-    y: height - pad - (p.y - bounds.minY) * scale,
-  });
+  const bounds = useMemo(() => planBounds(vertices), [vertices]);
+  // Encuadre de la planta del editor: el recinto y, si se muestra, el plano de fondo
+  const viewBounds = useMemo(
+    () => planBounds(vertices, underlayCorners(underlay)),
+    [vertices, underlay]
+  );
+  const scale = useMemo(
+    () => planScale(viewBounds, width, height, pad),
+    [viewBounds]
+  );
   // Inversa: de coords SVG a unidades del recinto; permite congelar bounds/scale durante drag
-  const fromSvg = (sx, sy, frozenBounds = bounds, frozenScale = scale) => ({
+  const fromSvg = (sx, sy, frozenBounds = viewBounds, frozenScale = scale) => ({
     x: frozenBounds.minX + (sx - pad) / frozenScale,
     y: frozenBounds.minY + (height - pad - sy) / frozenScale,
   });
 
-  // Celdas XY válidas y niveles Z válidos
-  const xyCells = useMemo(() => {
-    const xs = [],
-      ys = [];
-    const bx = {
-      min: Math.min(...vertices.map((v) => v.x)),
-      max: Math.max(...vertices.map((v) => v.x)),
-    };
-    const by = {
-      min: Math.min(...vertices.map((v) => v.y)),
-      max: Math.max(...vertices.map((v) => v.y)),
-    };
-    for (
-      let x = Math.ceil((bx.min + MARGIN) * 10) / 10;
-      x <= bx.max - MARGIN + EPS;
-      x += STEP
-    )
-      xs.push(round01(x));
-    for (
-      let y = Math.ceil((by.min + MARGIN) * 10) / 10;
-      y <= by.max - MARGIN + EPS;
-      y += STEP
-    )
-      ys.push(round01(y));
-    const out = [];
-    for (const x of xs)
-      for (const y of ys) {
-        const p = { x, y };
-        if (!pointInPolygon(p, vertices)) continue;
-        if (minDistToEdges2D(p, vertices) < MARGIN - EPS) continue;
-        out.push(p);
-      }
-    return out;
-  }, [vertices]);
-  const zLevels = useMemo(() => {
-    const v = [];
-    for (
-      let z = Math.ceil(MARGIN * 10) / 10;
-      z <= alturaZ - MARGIN + EPS;
-      z += STEP
-    )
-      v.push(round01(z));
-    return v;
-  }, [alturaZ]);
-  const candidates = useMemo(() => {
-    const out = [];
-    for (const p of xyCells)
-      for (const z of zLevels) out.push({ x: p.x, y: p.y, z });
-    return out;
-  }, [xyCells, zLevels]);
-
-  // Índices precomputados para el generador (optimización clave)
-  const byZ = useMemo(() => {
-    const m = new Map();
-    for (const c of candidates) {
-      const k = key01(c.z);
-      if (!m.has(k)) m.set(k, []);
-      m.get(k).push(c);
-    }
-    return m;
-  }, [candidates]);
-  const zLevelsAll = useMemo(() => {
-    return Array.from(new Set(candidates.map((c) => c.z))).sort(
-      (a, b) => a - b
-    );
-  }, [candidates]);
+  // Problemas del contorno y de los huecos (se resaltan y bloquean la generación)
+  const polygonProblems = useMemo(
+    () =>
+      [
+        { ring: vertices, name: idxToLetter },
+        ...holes.map((h, k) => ({
+          ring: h,
+          name: (j) => `${holeName(k)}.${j + 1}`,
+        })),
+      ]
+        .flatMap(({ ring, name }) =>
+          polygonIssues(ring, name).map((issue) => ({
+            ...issue,
+            segments: issue.edges.map((i) => [
+              ring[i],
+              ring[(i + 1) % ring.length],
+            ]),
+          }))
+        )
+        .concat(holeIssues(vertices, holes, holeName)),
+    [vertices, holes]
+  );
+  // Punto interior para colocar huecos y zonas nuevos
+  const interior = useMemo(
+    () => interiorPoint(vertices, holes),
+    [vertices, holes]
+  );
 
   // Validación y avisos
-  const [viol, setViol] = useState({
-    F1: { x: false, y: false, z: false, msg: [] },
-    F2: { x: false, y: false, z: false, msg: [] },
-    blue: [],
-  });
+  const [viol, setViol] = useState({ sources: [], blue: [] });
 
   const validate = useCallback(() => {
+    const emptyFlags = () => ({ x: false, y: false, z: false, msg: [] });
     const v = {
-      F1: { x: false, y: false, z: false, msg: [] },
-      F2: { x: false, y: false, z: false, msg: [] },
-      blue: blue.map(() => ({ x: false, y: false, z: false, msg: [] })),
+      sources: sources.map(emptyFlags),
+      blue: blue.map(emptyFlags),
     };
 
-    // Construir lista de puntos para validación
-    const allPoints = [
-      ...(activeF1 ? [{ name: 'F1', p: F1 }] : []),
-      ...(activeF2 ? [{ name: 'F2', p: F2 }] : []),
-      ...blue.map((b, i) => ({ name: `P${i + 1}`, p: b })),
-    ];
-
     // Validar duplicidades de coordenadas
     ['x', 'y', 'z'].forEach((axis) => {
       const map = new Map();
-      const add = (who, i, val) => {
+      const add = (target, val) => {
         const k = key01(val);
         if (!map.has(k)) map.set(k, []);
-        map.get(k).push({ who, i });
+        map.get(k).push(target);
       };
-      // X/Y: incluyen F1/F2; Z: solo Pxs (Fx permitida con Px)
+      // X/Y: incluyen fuentes activas; Z: solo Pxs (Fx permitida con Px)
       if (axis !== 'z') {
-        if (activeF1) add('F1', -1, F1[axis]);
-        if (activeF2) add('F2', -1, F2[axis]);
+        sources.forEach((f, i) => f.active && add(v.sources[i], f[axis]));
       }
-      blue.forEach((b, i) => add('B', i, b[axis]));
+      blue.forEach((b, i) => add(v.blue[i], b[axis]));
 
       for (const [, list] of map) {
         if (list.length > 1) {
-          list.forEach((e) => {
-            if (e.who === 'F1') {
-              v.F1[axis] = true;
-              v.F1.msg.push(`${axis.toUpperCase()} repetida`);
-            } else if (e.who === 'F2') {
-              v.F2[axis] = true;
-              v.F2.msg.push(`${axis.toUpperCase()} repetida`);
-            } else {
-              v.blue[e.i][axis] = true;
-              v.blue[e.i].msg.push(`${axis.toUpperCase()} repetida`);
-            }
+          list.forEach((flags) => {
+            flags[axis] = true;
+            flags.msg.push(`${axis.toUpperCase()} repetida`);
           });
         }
       }
     });
 
     // Validar polígono y márgenes
-    if (activeF1) {
-      const msgs = checkPolygonAndMargins(F1, vertices, alturaZ);
+    const markMargins = (flags, p) => {
+      const msgs = checkPolygonAndMargins(
+        p,
+        vertices,
+        holes,
+        heightAt(p),
+        rules
+      );
       if (msgs.length > 0) {
-        v.F1.x = v.F1.y = msgs.some(
-          (m) => m.includes('polígono') || m.includes('borde')
-        );
-        v.F1.z = msgs.some((m) => m.includes('Z'));
-        v.F1.msg.push(...msgs);
+        flags.x = flags.y = msgs.some((m) => m.includes('(XY)'));
+        flags.z = msgs.some((m) => m.includes('Z'));
+        flags.msg.push(...msgs);
       }
-    }
-    if (activeF2) {
-      const msgs = checkPolygonAndMargins(F2, vertices, alturaZ);
+    };
+    sources.forEach((f, i) => f.active && markMargins(v.sources[i], f));
+    blue.forEach((b, i) => markMargins(v.blue[i], b));
+
+    // Validar zonas excluidas
+    const markZones = (flags, p) => {
+      const msgs = checkExclusions(p, exclusions);
       if (msgs.length > 0) {
-        v.F2.x = v.F2.y = msgs.some(
-          (m) => m.includes('polígono') || m.includes('borde')
-        );
-        v.F2.z = msgs.some((m) => m.includes('Z'));
-        v.F2.msg.push(...msgs);
+        flags.x = flags.y = true;
+        flags.msg.push(...msgs);
       }
-    }
-    blue.forEach((b, i) => {
-      const msgs = checkPolygonAndMargins(b, vertices, alturaZ);
-      if (msgs.length > 0) {
-        v.blue[i].x = v.blue[i].y = msgs.some(
-          (m) => m.includes('polígono') || m.includes('borde')
+    };
+    sources.forEach((f, i) => f.active && markZones(v.sources[i], f));
+    blue.forEach((b, i) => markZones(v.blue[i], b));
+
+    // Validar separación por ejes entre cada par de fuentes activas
+    for (let i = 0; i < sources.length; i++) {
+      for (let j = i + 1; j < sources.length; j++) {
+        if (!sources[i].active || !sources[j].active) continue;
+        const ff = checkSourcePairDistances(
+          sources[i],
+          sources[j],
+          `${sourceName(i)}–${sourceName(j)}`,
+          rules
         );
-        v.blue[i].z = msgs.some((m) => m.includes('Z'));
-        v.blue[i].msg.push(...msgs);
-      }
-    });
-
-    // Validar distancias F1-F2
-    if (activeF1 && activeF2) {
-      const f1f2 = checkF1F2Distances(F1, F2);
-      if (f1f2.violations.x) {
-        v.F1.x = v.F2.x = true;
-      }
-      if (f1f2.violations.y) {
-        v.F1.y = v.F2.y = true;
+        ['x', 'y', 'z'].forEach((ax) => {
+          if (ff.violations[ax]) v.sources[i][ax] = v.sources[j][ax] = true;
+        });
+        v.sources[i].msg.push(...ff.messages);
+        v.sources[j].msg.push(...ff.messages);
       }
-      if (f1f2.violations.z) {
-        v.F1.z = v.F2.z = true;
-      }
-      v.F1.msg.push(...f1f2.messages);
-      v.F2.msg.push(...f1f2.messages);
     }
 
     // Validar distancias 3D azules contra fuentes activas y entre sí
     blue.forEach((b, i) => {
-      if (activeF1 && dist3D(b, F1) < MIN_RED_BLUE) {
-        v.blue[i].x = v.blue[i].y = v.blue[i].z = true;
-        v.blue[i].msg.push(
-          `Distancia a F1 < 1.0 (=${dist3D(b, F1).toFixed(1)} m)`
-        );
-      }
-      if (activeF2 && dist3D(b, F2) < MIN_RED_BLUE) {
-        v.blue[i].x = v.blue[i].y = v.blue[i].z = true;
-        v.blue[i].msg.push(
-          `Distancia a F2 < 1.0 (=${dist3D(b, F2).toFixed(1)} m)`
-        );
-      }
+      sources.forEach((f, k) => {
+        if (!f.active) return;
+        const d = dist3D(b, f);
+        if (d < rules.minRedBlue) {
+          v.blue[i].x = v.blue[i].y = v.blue[i].z = true;
+          v.blue[i].msg.push(
+            `Distancia a ${sourceName(k)} < ${rules.minRedBlue.toFixed(1)} (=${d.toFixed(1)} m)`
+          );
+        }
+      });
     });
     for (let i = 0; i < blue.length; i++) {
       for (let j = i + 1; j < blue.length; j++) {
         const d = dist3D(blue[i], blue[j]);
-        if (d < MIN_BLUE_BLUE) {
+        if (d < rules.minBlueBlue) {
+          const m = `P${i + 1}–P${j + 1} < ${rules.minBlueBlue.toFixed(1)} (=${d.toFixed(1)} m)`;
           v.blue[i].x = v.blue[i].y = v.blue[i].z = true;
           v.blue[j].x = v.blue[j].y = v.blue[j].z = true;
-          v.blue[i].msg.push(`P${i + 1}–P${j + 1} < 0.7 (=${d.toFixed(1)} m)`);
-          v.blue[j].msg.push(`P${i + 1}–P${j + 1} < 0.7 (=${d.toFixed(1)} m)`);
+          v.blue[i].msg.push(m);
+          v.blue[j].msg.push(m);
         }
       }
     }
 
-    v.F1.msg = Array.from(new Set(v.F1.msg));
-    v.F2.msg = Array.from(new Set(v.F2.msg));
-    v.blue.forEach((b) => (b.msg = Array.from(new Set(b.msg))));
+    [...v.sources, ...v.blue].forEach(
+      (b) => (b.msg = Array.from(new Set(b.msg)))
+    );
     setViol(v);
-  }, [F1, F2, blue, vertices, alturaZ, activeF1, activeF2]);
+  }, [sources, blue, vertices, holes, heightAt, rules, exclusions]);
   useEffect(() => {
     const t = setTimeout(validate, 60);
     return () => clearTimeout(t);
   }, [validate]);
 
+  // Fuentes activas con nombre (F1..Fn conservan su índice aunque haya inactivas)
+  const activeSourceList = useMemo(
+    () =>
+      sources
+        .map((f, i) => ({ name: sourceName(i), p: f }))
+        .filter(({ p }) => p.active),
+    [sources]
+  );
+
   // Helper: resumen de violaciones para un conjunto de puntos (mensaje de imposibilidad)
   const buildViolationSummary = (pts) => {
     const out = [];
 
     // Construir lista de puntos con nombres
     const pointsWithNames = pts.map((p, i) => ({ name: `P${i + 1}`, p }));
-    const allPoints = [
-      ...(activeF1 ? [{ name: 'F1', p: F1 }] : []),
-      ...(activeF2 ? [{ name: 'F2', p: F2 }] : []),
-      ...pointsWithNames,
-    ];
+    const allPoints = [...activeSourceList, ...pointsWithNames];
 
     // Validar márgenes y polígono
     pointsWithNames.forEach(({ name, p }) => {
-      const msgs = checkPolygonAndMargins(p, vertices, alturaZ);
+      const msgs = checkPolygonAndMargins(
+        p,
+        vertices,
+        holes,
+        heightAt(p),
+        rules
+      );
       if (msgs.length > 0) {
-        if (msgs.some((m) => m.includes('polígono') || m.includes('borde'))) {
-          out.push(`${name} fuera del polígono o a < 0.5 m del borde`);
+        if (msgs.some((m) => m.includes('(XY)'))) {
+          out.push(
+            `${name} fuera del polígono o a < ${rules.margin.toFixed(1)} m del borde`
+          );
         }
         if (msgs.some((m) => m.includes('Z'))) {
           out.push(`${name} con Z fuera de márgenes`);
@@ -611,255 +870,243 @@ export default function App() {
       }
     });
 
+    // Validar zonas excluidas
+    pointsWithNames.forEach(({ name, p }) =>
+      out.push(...checkExclusions(p, exclusions).map((m) => `${name}: ${m}`))
+    );
+
     // Validar duplicidades por ejes (X/Y entre todos; Z solo entre Pxs)
     const dupMsgs = checkCoordinateDuplicates(allPoints, { includeFx: true });
     out.push(...dupMsgs);
 
     // Validar distancias P-P
-    const distCheck = checkAllDistances(pointsWithNames, {
-      activeF1,
-      activeF2,
-      F1,
-      F2,
-    });
+    const distCheck = checkAllDistances(pointsWithNames, { rules });
     out.push(...distCheck.msgs);
 
     // Validar distancias P-F (no incluidas en checkAllDistances cuando solo hay Pxs)
     pointsWithNames.forEach(({ name, p }) => {
-      if (activeF1) {
-        const d = dist3D(p, F1);
-        if (d < MIN_RED_BLUE)
-          out.push(`${name} a F1 = ${d.toFixed(1)} < 1.0 m`);
-      }
-      if (activeF2) {
-        const d = dist3D(p, F2);
-        if (d < MIN_RED_BLUE)
-          out.push(`${name} a F2 = ${d.toFixed(1)} < 1.0 m`);
-      }
+      activeSourceList.forEach(({ name: fName, p: f }) => {
+        const d = dist3D(p, f);
+        if (d < rules.minRedBlue)
+          out.push(
+            `${name} a ${fName} = ${d.toFixed(1)} < ${rules.minRedBlue.toFixed(1)} m`
+          );
+      });
     });
 
     return Array.from(new Set(out));
   };
 
-  // Generación
-  const { points: generatedPoints, feasible: generatedFeasible } =
-    useBluePoints({
-      F1,
-      F2,
-      candidates,
-      f1Active: activeF1,
-      f2Active: activeF2,
-      byZ,
-      zLevelsAll,
-      seed: null,
-      genNonce: nonce,
-    });
+  // Generación (misma semilla + misma geometría => mismos puntos)
+  const effectiveSeed = seed.trim() || autoSeed;
 
-  const generate = useCallback(() => {
-    if (busy) return;
-    setBusy(true);
+  // Solo se genera al pulsar "Generar puntos": los candidatos y la búsqueda se
+  // calculan en el worker con la geometría y las reglas de ese momento
+  const polygonBlocked = () => {
+    if (!polygonProblems.length) return false;
+    setErr(true);
+    setMsg(
+      `⚠️ Corrige el polígono antes de generar:\n${polygonProblems.map((p) => `• ${p.msg}`).join('\n')}`
+    );
+    return true;
+  };
+  // Nº puntos no baja del último punto bloqueado: no se descarta un punto fijo
+  const minN = blueActive ? minPointCount(blue) : 1;
+  const lockBlocked = () => {
+    if (nPoints >= minN) return false;
+    setErr(true);
+    setMsg(
+      `⚠️ P${minN} está bloqueado y "Nº puntos" es ${nPoints}: sube "Nº puntos" a ${minN} o desbloquea los puntos que sobran.`
+    );
+    return true;
+  };
+  const generationParams = () => ({
+    room: { vertices, holes, exclusions, ceiling, alturaZ },
+    sources,
+    rules,
+    seed: effectiveSeed,
+    seedMode,
+    count: nPoints,
+    // Puntos bloqueados en su posición (null = libre); se conservan al generar
+    locked: blueActive
+      ? blue.slice(0, nPoints).map((b) => (b.locked ? b : null))
+      : [],
+    timeBudgetMs: timeBudget * 1000,
+    optimizer,
+  });
+  const generate = async () => {
+    if (busy || polygonBlocked() || lockBlocked()) return;
     setErr(false);
     setMsg('Generando puntos...');
+    setDiagnosis(null);
+    let result;
+    try {
+      result = await runGeneration({ ...generationParams(), diagnose: true });
+    } catch (e) {
+      console.error(e);
+      setErr(true);
+      setMsg('Error al generar puntos.');
+      return;
+    }
+    if (!result) {
+      setErr(false);
+      setMsg('Generación cancelada.');
+      return;
+    }
+
     // grabar estado previo para poder deshacer la generación
-    setPast((p) => [
-      ...p,
-      JSON.parse(
-        JSON.stringify({
-          vertices,
-          alturaZ,
-          F1,
-          F2,
-          activeF1,
-          activeF2,
-          blue,
-          ringsRed,
-          ringsBlue,
-        })
-      ),
-    ]);
+    setPast((p) => [...p, takeSnapshot()]);
     setFuture([]);
+    setBlue(result.points);
+    setBlueActive(true);
+    // Una búsqueda cortada por tiempo depende de la velocidad de la máquina:
+    // la semilla no la reproduce y no se guarda con los puntos
+    const reproducible = !result.timedOut;
+    setGenSeed(reproducible ? effectiveSeed : null);
+    // Solo la alternativa elegida por la semilla se reproduce con ella
+    setAlternatives(
+      result.alternatives.map((a) =>
+        reproducible && samePoints(a.points, result.points)
+          ? { ...a, seed: effectiveSeed, optimizer: result.optimizer }
+          : a
+      )
+    );
+    setDiagnosis(result.diagnosis || null);
+    const algoNote =
+      result.optimizer !== OPTIMIZERS[0].id
+        ? `, ${findOptimizer(result.optimizer).label.toLowerCase()}`
+        : '';
+    const seedNote = `(semilla: ${effectiveSeed}${seedMode === 'legacy' ? ', compatibilidad' : ''}${algoNote})`;
+    const timeNote = result.timedOut
+      ? ` Tiempo agotado (${timeBudget} s): búsqueda parcial, que depende de la velocidad del equipo; la semilla no reproduce estos puntos.`
+      : '';
+
+    const issues = buildViolationSummary(result.points);
+    if (result.feasible && issues.length === 0) {
+      setErr(false);
+      setMsg(
+        `✓ Generados ${result.points.length} puntos válidos ${seedNote}.${timeNote}`
+      );
+    } else if (result.feasible) {
+      setErr(false);
+      setMsg(
+        `✓ Generados ${result.points.length} puntos ${seedNote}.${timeNote} Revisa posibles avisos:\n• ${issues
+          .slice(0, 6)
+          .join('\n• ')}`
+      );
+    } else {
+      setErr(true);
+      setMsg(
+        `⚠️ No es posible cumplir todas las reglas con esta geometría. Se muestran ${result.points.length} puntos maximizando separación ${seedNote}.${timeNote}${result.diagnosis ? ' Consulta el diagnóstico de factibilidad.' : ''}\n• ${issues
+          .slice(0, 8)
+          .join('\n• ')}`
+      );
+    }
+    if (!seed.trim()) setAutoSeed(randomSeed());
+  };
 
-    setTimeout(() => {
+  // Ejecuta cada algoritmo con los mismos datos y semilla (sin "Tiempo máx.":
+  // ver COMPARE_LIMITS) y muestra sus resultados como alternativas, sin
+  // cambiar los puntos actuales
+  const compareOptimizers = async () => {
+    if (busy || polygonBlocked() || lockBlocked()) return;
+    setErr(false);
+    setDiagnosis(null);
+    const params = generationParams();
+    const anchors = sources.filter((f) => f.active !== false);
+    const compared = [];
+    for (const opt of OPTIMIZERS) {
+      setMsg(`Comparando algoritmos: ${opt.label}...`);
+      let result;
       try {
-        setBlue(generatedPoints);
-        setBlueActive(true);
-
-        const issues = buildViolationSummary(generatedPoints);
-        if (generatedFeasible && issues.length === 0) {
-          setErr(false);
-          setMsg(`✓ Generados ${generatedPoints.length} puntos válidos.`);
-        } else if (generatedFeasible) {
-          setErr(false);
-          setMsg(
-            `✓ Generados ${generatedPoints.length} puntos. Revisa posibles avisos:\n• ${issues
-              .slice(0, 6)
-              .join('\n• ')}`
-          );
-        } else {
-          setErr(true);
-          setMsg(
-            `⚠️ No es posible cumplir todas las reglas con esta geometría. Se muestran 5 puntos maximizando separación.\n• ${issues
-              .slice(0, 8)
-              .join('\n• ')}`
-          );
-        }
-        setNonce((n) => n + 1);
+        result = await runGeneration({
+          ...params,
+          ...COMPARE_LIMITS,
+          optimizer: opt.id,
+        });
       } catch (e) {
         console.error(e);
         setErr(true);
         setMsg('Error al generar puntos.');
-      } finally {
-        setBusy(false);
+        return;
       }
-    }, 20);
-  }, [
-    F1,
-    F2,
-    activeF1,
-    activeF2,
-    alturaZ,
-    blue,
-    blueActive,
-    bounds,
-    busy,
-    byZ,
-    candidates,
-    generatedFeasible,
-    generatedPoints,
-    ringsBlue,
-    ringsRed,
-    vertices,
-  ]);
-
-  // Dibujo: rejilla + ejes + polígono + puntos
-  const GridAxes = useMemo(() => {
-    const axisColor = '#bfbfbf';
-    const els = []; // rejilla menor 0,1 y mayor 0,5
-    for (
-      let x = Math.ceil(bounds.minX / STEP) * STEP;
-      x <= bounds.maxX + EPS;
-      x += STEP
-    ) {
-      const sx = pad + (x - bounds.minX) * scale;
-      els.push(
-        <line
-          key={'gx' + x}
-          x1={sx}
-          y1={pad}
-          x2={sx}
-          y2={height - pad}
-          stroke="#e5e7eb"
-        />
-      );
-    }
-    for (
-      let y = Math.ceil(bounds.minY / STEP) * STEP;
-      y <= bounds.maxY + EPS;
-      y += STEP
-    ) {
-      const sy = height - pad - (y - bounds.minY) * scale;
-      els.push(
-        <line
-          key={'gy' + y}
-          x1={pad}
-          y1={sy}
-          x2={width - pad}
-          y2={sy}
-          stroke="#e5e7eb"
-        />
-      );
-    }
-    for (
-      let x = Math.ceil(bounds.minX / 0.5) * 0.5;
-      x <= bounds.maxX + EPS;
-      x += 0.5
-    ) {
-      const sx = pad + (x - bounds.minX) * scale;
-      els.push(
-        <line
-          key={'GX' + x}
-          x1={sx}
-          y1={pad}
-          x2={sx}
-          y2={height - pad}
-          stroke="#c7cdd6"
-        />
-      );
-      els.push(
-        <text
-          key={'TX' + x}
-          x={sx}
-          y={height - pad + 14}
-          fontSize={12}
-          textAnchor="middle"
-          fill="#666"
-        >
-          {x.toFixed(1)}
-        </text>
-      );
+      if (!result) {
+        setErr(false);
+        setMsg('Comparación cancelada.');
+        return;
+      }
+      compared.push({
+        points: result.points,
+        quality: solutionQuality(result.points, anchors),
+        label: opt.label,
+        feasible: result.feasible,
+        elapsedMs: result.elapsedMs,
+        seed: result.timedOut ? undefined : params.seed,
+        optimizer: opt.id,
+      });
     }
-    for (
-      let y = Math.ceil(bounds.minY / 0.5) * 0.5;
-      y <= bounds.maxY + EPS;
-      y += 0.5
-    ) {
-      const sy = height - pad - (y - bounds.minY) * scale;
-      els.push(
-        <line
-          key={'GY' + y}
-          x1={pad}
-          y1={sy}
-          x2={width - pad}
-          y2={sy}
-          stroke="#c7cdd6"
-        />
-      );
-      els.push(
-        <text
-          key={'TY' + y}
-          x={pad - 8}
-          y={sy + 3}
-          fontSize={12}
-          textAnchor="end"
-          fill="#666"
-        >
-          {y.toFixed(1)}
-        </text>
+    setAlternatives(compared);
+    const fmt = (d) => (d == null ? '—' : d.toFixed(2).replace('.', ','));
+    setMsg(
+      `Comparación (semilla: ${params.seed}):\n${compared
+        .map(
+          (c) =>
+            `• ${c.label}: ${c.feasible ? 'cumple las reglas' : 'no cumple las reglas'}, P–P mín ${fmt(c.quality.minPP)} m, F–P mín ${fmt(c.quality.minFP)} m, ${fmt(c.elapsedMs / 1000)} s`
+        )
+        .join('\n')}`
+    );
+  };
+
+  // El diagnóstico solo vale para los datos con que se generó
+  useEffect(() => {
+    setDiagnosis(null);
+  }, [vertices, holes, alturaZ, ceiling, exclusions, sources, nPoints, rules]);
+
+  // Aplica un cambio propuesto por el diagnóstico (sin regenerar)
+  const applyFix = (fix) => {
+    const text = describeFix(fix, sources);
+    setPast((p) => [...p, takeSnapshot()]);
+    setFuture([]);
+    if (fix.type === 'count') setNPoints(fix.count);
+    else
+      setSources((list) =>
+        list.map((f, i) =>
+          i === fix.index
+            ? { ...f, [fix.axis]: round01(f[fix.axis] + fix.delta) }
+            : f
+        )
       );
-    }
-    const O = {
-      x: pad + (0 - bounds.minX) * scale,
-      y: height - pad - (0 - bounds.minY) * scale,
-    };
-    els.push(
-      <line
-        key="ax"
-        x1={pad}
-        y1={O.y}
-        x2={width - pad}
-        y2={O.y}
-        stroke={axisColor}
-      />
+    setDiagnosis(null);
+    setErr(false);
+    setMsg(
+      `✓ Cambio aplicado (${text}). Pulsa "Generar puntos" para recalcular.`
     );
-    els.push(
-      <line
-        key="ay"
-        x1={O.x}
-        y1={height - pad}
-        x2={O.x}
-        y2={pad}
-        stroke={axisColor}
-      />
+  };
+
+  const applyAlternative = (alt, k) => {
+    setPast((p) => [...p, takeSnapshot()]);
+    setFuture([]);
+    setBlue(alt.points);
+    setBlueActive(true);
+    // Sin semilla (alternativas refinadas) los puntos no se pueden reproducir;
+    // con ella, también se fija el algoritmo que los generó
+    setGenSeed(alt.seed || null);
+    if (alt.optimizer) setOptimizer(alt.optimizer);
+    setErr(false);
+    setMsg(
+      `✓ Aplicada ${alt.label ? `la solución de ${alt.label}` : `la alternativa #${k + 1}`} (${alt.seed ? `semilla: ${alt.seed}` : 'no reproducible con la semilla'}).`
     );
-    return <g>{els}</g>;
-  }, [bounds, scale]);
+  };
 
-  const area = useMemo(() => polygonArea(vertices), [vertices]);
-  const volumen = useMemo(() => area * alturaZ, [area, alturaZ]);
+  const area = useMemo(() => roomArea(vertices, holes), [vertices, holes]);
+  const volumen = useMemo(
+    () => roomVolume(vertices, holes, heightAt),
+    [vertices, holes, heightAt]
+  );
 
-  // ===== Drag & Drop (puntos y vértices) =====
+  // ===== Drag & Drop (puntos y vértices en planta; altura Z en los alzados) =====
   const svgRef = useRef(null);
-  const dragRef = useRef(null); // { kind: 'V'|'F1'|'F2'|'P', index?: number, bounds, scale, pointerId }
+  const dragRef = useRef(null); // { kind: 'V'|'HV'|'F'|'P'|'ZR'|'ZS'|'ZV', index?: number, vertex?: number, toZ?: fn, svg, bounds, scale, pointerId }
 
   const beginDrag = (e, payload) => {
     try {
@@ -869,7 +1116,8 @@ export default function App() {
     } catch {}
     dragRef.current = {
       ...payload,
-      bounds: { ...bounds },
+      svg: e.currentTarget.ownerSVGElement || svgRef.current,
+      bounds: { ...viewBounds },
       scale,
       pointerId: e.pointerId,
     };
@@ -878,40 +1126,103 @@ export default function App() {
     e.stopPropagation();
     // Captura opcional en el SVG
     try {
-      svgRef.current &&
-        svgRef.current.setPointerCapture &&
-        svgRef.current.setPointerCapture(e.pointerId);
+      const svg = dragRef.current.svg;
+      svg && svg.setPointerCapture && svg.setPointerCapture(e.pointerId);
     } catch {}
   };
 
   const handlePointerMove = (e) => {
     const drag = dragRef.current;
-    if (!drag || !svgRef.current) return;
+    if (!drag || !drag.svg) return;
     e.preventDefault();
     // Obtener coords SVG
-    const rect = svgRef.current.getBoundingClientRect();
+    const rect = drag.svg.getBoundingClientRect();
     const sx = e.clientX - rect.left;
     const sy = e.clientY - rect.top;
+
+    // Alzados: solo cambia Z (limitada a la altura del recinto)
+    if (drag.toZ) {
+      const nz = round01(Math.min(topZ, Math.max(0, drag.toZ(sy))));
+      const setZ = (L) => {
+        const curr = L[drag.index];
+        if (!curr || curr.z === nz) return L;
+        return L.map((p, k) => (k === drag.index ? { ...p, z: nz } : p));
+      };
+      if (drag.kind === 'F') setSources(setZ);
+      if (drag.kind === 'P') {
+        setBlue(setZ);
+        // Un punto movido a mano ya no lo reproduce la semilla
+        if (blue[drag.index] && blue[drag.index].z !== nz) setGenSeed(null);
+      }
+      return;
+    }
+
     const w = fromSvg(sx, sy, drag.bounds, drag.scale);
     const nx = round01(w.x);
     const ny = round01(w.y);
 
+    // Zonas excluidas: mover rectángulo (ZR), redimensionarlo (ZS) o mover un vértice (ZV)
+    if (drag.kind === 'ZR' || drag.kind === 'ZS' || drag.kind === 'ZV') {
+      setExclusions((Z) =>
+        Z.map((zn, k) => {
+          if (k !== drag.index) return zn;
+          if (drag.kind === 'ZR') return { ...zn, x: nx, y: ny };
+          if (drag.kind === 'ZS')
+            return {
+              ...zn,
+              w: Math.max(0.1, round01(nx - zn.x)),
+              h: Math.max(0.1, round01(ny - zn.y)),
+            };
+          return {
+            ...zn,
+            vertices: zn.vertices.map((v, j) =>
+              j === drag.vertex ? { x: nx, y: ny } : v
+            ),
+          };
+        })
+      );
+      return;
+    }
+
+    // Huecos: mover un vértice (HV)
+    if (drag.kind === 'HV') {
+      setHoles((H) =>
+        H.map((h, k) =>
+          k === drag.index
+            ? h.map((v, j) => (j === drag.vertex ? { x: nx, y: ny } : v))
+            : h
+        )
+      );
+      return;
+    }
+
     if (drag.kind === 'V') {
       const idx = drag.index;
       setVertices((V) => {
         const curr = V[idx];
-        if (!curr || (curr.x === nx && curr.y === ny)) return V;
-        const next = V.map((p, k) => (k === idx ? { ...p, x: nx, y: ny } : p));
-        return next;
+        if (!curr) return V;
+        // Con ajuste activo, los lados con los vecinos buscan 0°/45°/90°/135° (a menos de 12 px)
+        const snapped =
+          snapAngles &&
+          snapVertex(
+            w,
+            V[(idx - 1 + V.length) % V.length],
+            V[(idx + 1) % V.length],
+            12 / drag.scale
+          );
+        const { x, y } = snapped || { x: nx, y: ny };
+        if (curr.x === x && curr.y === y) return V;
+        return V.map((p, k) => (k === idx ? { ...p, x, y } : p));
       });
       return;
     }
-    if (drag.kind === 'F1') {
-      setF1((p) => (p.x === nx && p.y === ny ? p : { ...p, x: nx, y: ny }));
-      return;
-    }
-    if (drag.kind === 'F2') {
-      setF2((p) => (p.x === nx && p.y === ny ? p : { ...p, x: nx, y: ny }));
+    if (drag.kind === 'F') {
+      const idx = drag.index;
+      setSources((S) => {
+        const curr = S[idx];
+        if (!curr || (curr.x === nx && curr.y === ny)) return S;
+        return S.map((p, k) => (k === idx ? { ...p, x: nx, y: ny } : p));
+      });
       return;
     }
     if (drag.kind === 'P') {
@@ -921,6 +1232,8 @@ export default function App() {
         if (!curr || (curr.x === nx && curr.y === ny)) return B;
         return B.map((p, k) => (k === idx ? { ...p, x: nx, y: ny } : p));
       });
+      if (blue[idx] && (blue[idx].x !== nx || blue[idx].y !== ny))
+        setGenSeed(null);
       return;
     }
   };
@@ -928,40 +1241,44 @@ export default function App() {
   const endDrag = (e) => {
     if (!dragRef.current) return;
     try {
-      svgRef.current &&
-        svgRef.current.releasePointerCapture &&
-        svgRef.current.releasePointerCapture(dragRef.current.pointerId);
+      const svg = dragRef.current.svg;
+      svg &&
+        svg.releasePointerCapture &&
+        svg.releasePointerCapture(dragRef.current.pointerId);
     } catch {}
     dragRef.current = null;
   };
 
+  // Edición de zonas excluidas desde el panel (cada cambio es un paso de historial)
+  const changeExclusions = (next) => {
+    setPast((p) => [...p, takeSnapshot()]);
+    setFuture([]);
+    setExclusions(next);
+  };
+  // Edición del contorno por lados y ángulos (un paso de historial por cambio)
+  const changeVertices = (next) => {
+    setPast((p) => [...p, takeSnapshot()]);
+    setFuture([]);
+    setVertices(next);
+  };
+  // Vértice nuevo en el punto medio del lado i (panel o doble clic en la planta)
+  const addVertexOnEdge = (i) => {
+    if (vertices.length >= MAX_VERTICES) return;
+    changeVertices(insertMidpoint(vertices, Math.min(i, vertices.length - 1)));
+  };
+  // Edición de huecos desde el panel (igual que las zonas)
+  const changeHoles = (next) => {
+    setPast((p) => [...p, takeSnapshot()]);
+    setFuture([]);
+    setHoles(next);
+  };
+
   // ===== Distancias (matriz 3D) =====
-  const pointList = useMemo(() => {
-    const arr = [];
-    if (activeF1) arr.push({ name: 'F1', p: F1, color: '#e11d48' });
-    if (activeF2) arr.push({ name: 'F2', p: F2, color: '#e11d48' });
-    blue.forEach((b, i) =>
-      arr.push({ name: `P${i + 1}`, p: b, color: '#2563eb' })
-    );
-    return arr;
-  }, [F1, F2, blue, activeF1, activeF2]);
-  // Lista para la tabla: incluye placeholders de P1..P5 aunque no existan (p = null)
-  const pointListTable = useMemo(() => {
-    const arr = [];
-    // Siempre incluir F1/F2; si están inactivas, p=null para mostrar "--"
-    arr.push({ name: 'F1', p: activeF1 ? F1 : null, color: '#e11d48' });
-    arr.push({ name: 'F2', p: activeF2 ? F2 : null, color: '#e11d48' });
-    const maxP = 5;
-    for (let i = 0; i < maxP; i++) {
-      const b = blue[i] || null;
-      arr.push({
-        name: `P${i + 1}`,
-        p: blueActive && b ? b : null,
-        color: '#2563eb',
-      });
-    }
-    return arr;
-  }, [F1, F2, blue, blueActive, activeF1, activeF2]);
+  // Lista para la tabla: incluye placeholders de P1..PN aunque no existan (p = null)
+  const pointListTable = useMemo(
+    () => namedPoints({ sources, blue, blueActive, nPoints }),
+    [sources, blue, blueActive, nPoints]
+  );
 
   const distMatrix = useMemo(() => {
     const n = pointListTable.length;
@@ -999,52 +1316,188 @@ export default function App() {
     return best.d < Infinity ? best : null;
   }, [pointListTable]);
 
-  // Pares en violación de distancias + mensajes para avisos
-  const distViol = useMemo(() => {
-    const pairs = new Set();
-    const msgs = [];
-    const N = pointListTable.length;
-    for (let i = 0; i < N; i++) {
-      for (let j = i + 1; j < N; j++) {
-        const A = pointListTable[i],
-          B = pointListTable[j];
-        if (!A.p || !B.p) continue; // sin datos => sin chequeo ni mensaje
-        const nameA = A.name,
-          nameB = B.name;
-        const isFA = nameA.startsWith('F');
-        const isFB = nameB.startsWith('F');
-        const isPA = nameA.startsWith('P');
-        const isPB = nameB.startsWith('P');
-
-        if (isFA && isFB) {
-          const dx = Math.abs(A.p.x - B.p.x);
-          const dy = Math.abs(A.p.y - B.p.y);
-          const dz = Math.abs(A.p.z - B.p.z);
-          const parts = [];
-          if (dx < MIN_F_F_AXIS) parts.push(`|X|=${dx.toFixed(1)}`);
-          if (dy < MIN_F_F_AXIS) parts.push(`|Y|=${dy.toFixed(1)}`);
-          if (dz < MIN_F_F_AXIS) parts.push(`|Z|=${dz.toFixed(1)}`);
-          if (parts.length) {
-            pairs.add(`${i}-${j}`);
-            msgs.push(`${nameA}–${nameB}: ${parts.join(', ')} < 0.7 m`);
-          }
-        } else if ((isFA && isPB) || (isFB && isPA)) {
-          const d = dist3D(A.p, B.p);
-          if (d < MIN_RED_BLUE) {
-            pairs.add(`${i}-${j}`);
-            msgs.push(`${nameA}–${nameB} = ${d.toFixed(1)} < 1.0 m (3D)`);
-          }
-        } else if (isPA && isPB) {
-          const d = dist3D(A.p, B.p);
-          if (d < MIN_BLUE_BLUE) {
-            pairs.add(`${i}-${j}`);
-            msgs.push(`${nameA}–${nameB} = ${d.toFixed(1)} < 0.7 m (3D)`);
-          }
-        }
-      }
+  // Pares en violación de distancias + mensajes para avisos
+  const distViol = useMemo(
+    () => checkAllDistances(pointListTable, { rules }),
+    [pointListTable, rules]
+  );
+
+  // Avisos de incoherencia (márgenes, duplicidades y distancias) y resumen por regla
+  const { warnings, ruleChecks } = useMemo(() => {
+    const pts = [
+      ...activeSourceList,
+      ...(blueActive ? blue.map((b, i) => ({ name: `P${i + 1}`, p: b })) : []),
+    ];
+
+    // Validar márgenes y pertenencia al polígono
+    const marginMsgs = pts.flatMap(({ name, p }) =>
+      checkPolygonAndMargins(p, vertices, holes, heightAt(p), rules).map(
+        (m) => `${name}: ${m}`
+      )
+    );
+
+    // Validar el techo inclinado: plano bien definido y por encima del suelo
+    const ceilingMsgs = [];
+    if (ceiling.type === 'plane') {
+      if (!ceilingPlane(ceiling.points))
+        ceilingMsgs.push(
+          'Techo inclinado: los tres puntos están alineados en planta; se usa la altura Z'
+        );
+      vertices.forEach((v, i) => {
+        if (heightAt(v) <= 2 * rules.margin)
+          ceilingMsgs.push(
+            `Techo a ${fmtComma(heightAt(v))} m en el vértice ${idxToLetter(i)}: no deja sitio entre los márgenes de suelo y techo`
+          );
+      });
     }
-    return { pairs, msgs };
-  }, [pointListTable]);
+
+    // Validar zonas excluidas
+    const zoneMsgs = pts.flatMap(({ name, p }) =>
+      checkExclusions(p, exclusions).map((m) => `${name}: ${m}`)
+    );
+
+    // Validar duplicidades (Z solo entre Pxs)
+    const dupMsgs = checkCoordinateDuplicates(pts, {
+      includeFx: false,
+    });
+
+    // Añadir avisos por distancias (F–F por ejes; F–P y P–P en 3D según el perfil)
+    const list = [
+      ...polygonProblems.map((p) => `Polígono: ${p.msg}`),
+      ...ceilingMsgs,
+      ...marginMsgs,
+      ...zoneMsgs,
+      ...dupMsgs,
+      ...distViol.msgs,
+    ];
+
+    const ok = (kind) => !distViol.kinds.has(kind);
+    return {
+      warnings: Array.from(new Set(list)),
+      ruleChecks: [
+        {
+          label: `Todos ≥ ${rules.margin.toFixed(1)} m a todas las caras (incluye Z)`,
+          ok: !marginMsgs.length,
+        },
+        ...(exclusions.length
+          ? [{ label: 'Fuera de las zonas excluidas', ok: !zoneMsgs.length }]
+          : []),
+        { label: 'Coordenadas X/Y/Z sin repetir', ok: !dupMsgs.length },
+        {
+          label: `Fuente – Fuente ≥ ${rules.minFFAxis.toFixed(1)} m en cada eje`,
+          ok: ok('FF'),
+        },
+        {
+          label: `Fuente – Punto ≥ ${rules.minRedBlue.toFixed(1)} m (3D)`,
+          ok: ok('FP'),
+        },
+        {
+          label: `Punto – Punto ≥ ${rules.minBlueBlue.toFixed(1)} m (3D)`,
+          ok: ok('PP'),
+        },
+      ],
+    };
+  }, [
+    activeSourceList,
+    blue,
+    blueActive,
+    vertices,
+    holes,
+    polygonProblems,
+    ceiling,
+    heightAt,
+    rules,
+    exclusions,
+    distViol,
+  ]);
+
+  // Datos del dibujo en planta (editor y exportación SVG/PNG)
+  const planDrawing = {
+    width,
+    height,
+    pad,
+    vertices,
+    holes,
+    exclusions,
+    sources,
+    points: blueActive ? blue : [],
+    ringsRed: shownRingsRed,
+    ringsBlue: shownRingsBlue,
+    radii,
+  };
+
+  // Punto seleccionado en la vista 3D (se resalta en las tablas)
+  const [selectedPoint, setSelectedPoint] = useState(null);
+  const selClass = (name) => (name === selectedPoint ? 'bg-sky-100' : '');
+
+  // ===== Vista de informe imprimible (ruta #/informe) =====
+  const REPORT_HASH = '#/informe';
+  const [view, setView] = useState(() =>
+    window.location.hash === REPORT_HASH ? 'report' : 'editor'
+  );
+  useEffect(() => {
+    const onHash = () =>
+      setView(window.location.hash === REPORT_HASH ? 'report' : 'editor');
+    window.addEventListener('hashchange', onHash);
+    return () => window.removeEventListener('hashchange', onHash);
+  }, []);
+  const openReport = () => {
+    window.location.hash = REPORT_HASH;
+    setView('report');
+  };
+  const closeReport = () => {
+    window.history.replaceState(null, '', window.location.pathname);
+    setView('editor');
+  };
+
+  // ===== Exportación CSV (puntos, matriz de distancias y avisos) =====
+  const [csvDecimal, setCsvDecimal] = useState('auto');
+  const exportCsv = () => {
+    const points = [
+      ...sources.map((f, i) => ({
+        name: sourceName(i),
+        p: f,
+        active: f.active,
+      })),
+      ...blue.map((b, i) => ({ name: `P${i + 1}`, p: b, active: blueActive })),
+    ];
+    const csv = buildPointsCsv(points, warnings, {
+      decimal: csvDecimal === 'auto' ? localeDecimal() : csvDecimal,
+      title: activeRoom.name,
+      seed: blueActive ? genSeed : null,
+    });
+    downloadFile(
+      csv,
+      `${activeRoom.name.trim() || 'recinto'}.csv`,
+      'text/csv;charset=utf-8'
+    );
+  };
+
+  if (view === 'report') {
+    return (
+      <ReportView
+        roomName={activeRoom.name}
+        profileName={rules.name}
+        seed={blueActive ? genSeed : null}
+        vertices={vertices}
+        holes={holes}
+        exclusions={exclusions}
+        heightAt={heightAt}
+        area={area}
+        volumen={volumen}
+        sources={sources}
+        points={blueActive ? blue : []}
+        ringsRed={shownRingsRed}
+        ringsBlue={shownRingsBlue}
+        radii={radii}
+        pointList={pointListTable}
+        distMatrix={distMatrix}
+        ruleChecks={ruleChecks}
+        warnings={warnings}
+        onBack={closeReport}
+      />
+    );
+  }
 
   return (
     <div className="p-6 space-y-4">
@@ -1053,6 +1506,152 @@ export default function App() {
         aislamiento a ruido aéreo
       </h1>
 
+      {loadError ? (
+        <div className="p-3 border border-red-300 rounded bg-red-50 text-red-700 text-xs">
+          <div className="font-medium mb-1">
+            No se pudo leer el espacio de trabajo guardado: {loadError.message}
+          </div>
+          <div className="mb-2">
+            {loadError.backedUp
+              ? `Se ha guardado una copia sin cambios en el navegador (${WORKSPACE_BACKUP_KEY}). `
+              : 'No se pudo hacer una copia en el navegador. '}
+            Mientras no elijas qué hacer, los cambios no se guardan y los datos
+            anteriores siguen intactos.
+          </div>
+          <div className="flex gap-2">
+            {loadError.raw != null && (
+              <button
+                className="px-2 py-0.5 border rounded bg-white hover:bg-gray-50"
+                onClick={() =>
+                  downloadFile(
+                    loadError.raw,
+                    'espacio_de_trabajo_copia.json',
+                    'application/json'
+                  )
+                }
+              >
+                Descargar copia
+              </button>
+            )}
+            <button
+              className="px-2 py-0.5 border rounded bg-white hover:bg-red-50"
+              onClick={() => setLoadError(null)}
+              title="Guarda a partir de ahora el espacio de trabajo actual en lugar del que no se pudo leer"
+            >
+              Empezar de cero y guardar
+            </button>
+          </div>
+        </div>
+      ) : null}
+      {saveError && !loadError ? (
+        <div className="p-3 border border-red-300 rounded bg-red-50 text-red-700 text-xs">
+          No se pudieron guardar los cambios en el navegador: {saveError} Se
+          reintenta con el siguiente cambio; exporta el proyecto para no
+          perderlos.
+        </div>
+      ) : null}
+
+      <RoomBar
+        rooms={rooms}
+        activeId={activeRoomId}
+        onSelect={switchRoom}
+        onAdd={() => addRoom(createRoom(nextRoomName(rooms)))}
+        onDuplicate={() =>
+          addRoom(
+            createRoom(`${activeRoom.name} (copia)`, takeSnapshot(), underlay)
+          )
+        }
+        onRename={renameRoom}
+        onDelete={deleteRoom}
+      />
+
+      <div className="flex gap-2 items-center text-sm">
+        <button
+          className="px-3 py-1 rounded-lg bg-gray-200 hover:bg-gray-300"
+          onClick={exportProject}
+          title="Guardar el recinto en un archivo .json"
+        >
+          Exportar proyecto
+        </button>
+        <button
+          className="px-3 py-1 rounded-lg bg-gray-200 hover:bg-gray-300"
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          title="Cargar un recinto desde un archivo .json"
+        >
+          Importar proyecto
+        </button>
+        <button
+          className="px-3 py-1 rounded-lg bg-gray-200 hover:bg-gray-300"
+          onClick={() =>
+            outlineInputRef.current && outlineInputRef.current.click()
+          }
+          title="Tomar el contorno del recinto de un plano .dxf o .svg"
+        >
+          Importar contorno (DXF/SVG)
+        </button>
+        <span className="mx-1 text-gray-300">|</span>
+        <button
+          className="px-3 py-1 rounded-lg bg-gray-200 hover:bg-gray-300"
+          onClick={exportCsv}
+          title="Tabla de puntos, matriz de distancias 3D y avisos en CSV"
+        >
+          Exportar CSV
+        </button>
+        <label className="text-xs flex items-center gap-1">
+          Decimal:
+          <select
+            className="border rounded px-1 py-0.5"
+            value={csvDecimal}
+            onChange={(e) => setCsvDecimal(e.target.value)}
+          >
+            <option value="auto">Auto ({localeDecimal()})</option>
+            <option value=",">Coma (,)</option>
+            <option value=".">Punto (.)</option>
+          </select>
+        </label>
+        <span className="mx-1 text-gray-300">|</span>
+        <button
+          className="px-3 py-1 rounded-lg bg-gray-200 hover:bg-gray-300"
+          onClick={openReport}
+          title="Hoja de medida lista para imprimir o guardar en PDF"
+        >
+          Informe / imprimir
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files && e.target.files[0];
+            e.target.value = '';
+            if (file) importProject(file);
+          }}
+        />
+        <input
+          ref={outlineInputRef}
+          type="file"
+          accept=".dxf,.svg,image/svg+xml"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files && e.target.files[0];
+            e.target.value = '';
+            if (file) importOutline(file);
+          }}
+        />
+      </div>
+
+      {outlineImport && (
+        <div className="p-3 rounded-xl shadow bg-white border">
+          <OutlineImport
+            key={outlineImport.fileName}
+            {...outlineImport}
+            onUse={applyOutline}
+            onCancel={() => setOutlineImport(null)}
+          />
+        </div>
+      )}
+
       <div
         className="grid gap-4 items-stretch"
         style={{ gridTemplateColumns: `${leftColW}px ${rightColW}px` }}
@@ -1068,7 +1667,10 @@ export default function App() {
                 <label>X:</label>
                 <NumInput
                   value={v.x}
+                  decimals={3}
                   onCommit={(val) => {
+                    // Confirma también al salir del campo: solo si cambia
+                    if (val === v.x) return;
                     setPast((p) => [...p, takeSnapshot()]);
                     setFuture([]);
                     setVertices((V) =>
@@ -1080,7 +1682,10 @@ export default function App() {
                 <label>Y:</label>
                 <NumInput
                   value={v.y}
+                  decimals={3}
                   onCommit={(val) => {
+                    // Confirma también al salir del campo: solo si cambia
+                    if (val === v.y) return;
                     setPast((p) => [...p, takeSnapshot()]);
                     setFuture([]);
                     setVertices((V) =>
@@ -1089,17 +1694,33 @@ export default function App() {
                   }}
                   className="w-20 border rounded px-1"
                 />
+                <button
+                  onClick={() => changeVertices(moveVertex(vertices, i, -1))}
+                  disabled={i === 0}
+                  className="px-1 py-0.5 border rounded hover:bg-gray-50 disabled:opacity-50"
+                  title="Subir en el orden del contorno"
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => changeVertices(moveVertex(vertices, i, 1))}
+                  disabled={i === vertices.length - 1}
+                  className="px-1 py-0.5 border rounded hover:bg-gray-50 disabled:opacity-50"
+                  title="Bajar en el orden del contorno"
+                >
+                  ↓
+                </button>
                 <button
                   onClick={() => {
                     setPast((p) => [...p, takeSnapshot()]);
                     setFuture([]);
                     setVertices((vs) => vs.filter((_, k) => k !== i));
                   }}
-                  disabled={vertices.length <= 4}
+                  disabled={vertices.length <= MIN_VERTICES}
                   className="ml-1 px-2 py-0.5 border rounded hover:bg-red-50 text-red-600 disabled:opacity-50"
                   title={
-                    vertices.length <= 4
-                      ? 'Debe haber al menos 4 vértices'
+                    vertices.length <= MIN_VERTICES
+                      ? `Debe haber al menos ${MIN_VERTICES} vértices`
                       : 'Eliminar vértice'
                   }
                 >
@@ -1108,34 +1729,109 @@ export default function App() {
               </div>
             ))}
             <div className="flex flex-col gap-2 mt-2 text-sm">
-              <div className="flex items-center gap-2">
+              <div className="flex items-center gap-2 text-xs">
                 <button
-                  onClick={() => {
-                    setPast((p) => [...p, takeSnapshot()]);
-                    setFuture([]);
-                    setVertices((v) => [...v, { x: 0, y: 0 }]);
-                  }}
-                  disabled={vertices.length >= 14}
+                  onClick={() => addVertexOnEdge(insertEdge)}
+                  disabled={vertices.length >= MAX_VERTICES}
                   title={
-                    vertices.length >= 14 ? 'Máximo 14 vértices' : '+ vértice'
+                    vertices.length >= MAX_VERTICES
+                      ? `Máximo ${MAX_VERTICES} vértices`
+                      : 'Insertar un vértice en el punto medio del lado elegido (también con doble clic sobre el lado en la planta)'
                   }
-                  className={`px-2 py-0.5 border rounded text-xs ${vertices.length >= 14 ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-50'}`}
+                  className={`px-2 py-0.5 border rounded text-xs ${vertices.length >= MAX_VERTICES ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-50'}`}
                 >
                   + vértice
                 </button>
+                <label>en</label>
+                <select
+                  className="border rounded px-1 py-0.5"
+                  value={Math.min(insertEdge, vertices.length - 1)}
+                  onChange={(e) => setInsertEdge(Number(e.target.value))}
+                >
+                  {vertices.map((_, i) => (
+                    <option key={i} value={i}>
+                      {idxToLetter(i)}–{idxToLetter((i + 1) % vertices.length)}
+                    </option>
+                  ))}
+                </select>
               </div>
               <div className="flex items-center gap-2">
-                <label>Altura Z:</label>
-                <NumInput
-                  value={alturaZ}
-                  onCommit={(val) => {
+                <label>Techo:</label>
+                <select
+                  className="border rounded px-1 py-0.5 text-xs"
+                  value={ceiling.type}
+                  onChange={(e) => {
                     setPast((p) => [...p, takeSnapshot()]);
                     setFuture([]);
-                    setAlturaZ(val);
+                    setCeiling(
+                      e.target.value === 'plane'
+                        ? createCeilingPlane(vertices, alturaZ)
+                        : { type: 'flat' }
+                    );
                   }}
-                  className="w-24 border rounded px-1"
-                />
+                >
+                  <option value="flat">Horizontal</option>
+                  <option value="plane">Inclinado (3 puntos)</option>
+                </select>
               </div>
+              {ceiling.type === 'flat' ? (
+                <div className="flex items-center gap-2">
+                  <label>Altura Z:</label>
+                  <NumInput
+                    value={alturaZ}
+                    onCommit={(val) => {
+                      setPast((p) => [...p, takeSnapshot()]);
+                      setFuture([]);
+                      setAlturaZ(val);
+                    }}
+                    className="w-24 border rounded px-1"
+                  />
+                </div>
+              ) : (
+                <div className="text-xs">
+                  {ceiling.points.map((t, i) => (
+                    <div key={i} className="flex items-center gap-1 mb-1">
+                      <span className="w-5 text-gray-500">T{i + 1}</span>
+                      {['x', 'y', 'z'].map((ax) => (
+                        <React.Fragment key={ax}>
+                          <label>{ax.toUpperCase()}:</label>
+                          <NumInput
+                            value={t[ax]}
+                            onCommit={(val) => {
+                              setPast((p) => [...p, takeSnapshot()]);
+                              setFuture([]);
+                              setCeiling((c) => ({
+                                ...c,
+                                points: c.points.map((q, k) =>
+                                  k === i ? { ...q, [ax]: val } : q
+                                ),
+                              }));
+                            }}
+                            className="w-14 border rounded px-1"
+                          />
+                        </React.Fragment>
+                      ))}
+                    </div>
+                  ))}
+                  <div className="text-gray-500">
+                    Altura del techo en los vértices:{' '}
+                    {vertices
+                      .map(
+                        (v, i) =>
+                          `${idxToLetter(i)} ${heightAt(v).toFixed(2).replace('.', ',')}`
+                      )
+                      .join(' · ')}{' '}
+                    m
+                  </div>
+                </div>
+              )}
+              {polygonProblems.length > 0 && (
+                <ul className="text-xs text-red-700 list-disc pl-4">
+                  {polygonProblems.map((p, i) => (
+                    <li key={i}>{p.msg}</li>
+                  ))}
+                </ul>
+              )}
               <div className="text-12 text-black">
                 Área: {area.toFixed(1)} m²
               </div>
@@ -1163,22 +1859,28 @@ export default function App() {
                     <td className="px-2 text-center">
                       <input
                         type="checkbox"
-                        checked={!!ringsRed[r]}
+                        checked={shownRingsRed[r]}
                         onChange={() => {
                           setPast((p) => [...p, takeSnapshot()]);
                           setFuture([]);
-                          setRingsRed((s) => ({ ...s, [r]: !s[r] }));
+                          setRingsRed((s) => ({
+                            ...s,
+                            [r]: !shownRingsRed[r],
+                          }));
                         }}
                       />
                     </td>
                     <td className="px-2 text-center">
                       <input
                         type="checkbox"
-                        checked={!!ringsBlue[r]}
+                        checked={shownRingsBlue[r]}
                         onChange={() => {
                           setPast((p) => [...p, takeSnapshot()]);
                           setFuture([]);
-                          setRingsBlue((s) => ({ ...s, [r]: !s[r] }));
+                          setRingsBlue((s) => ({
+                            ...s,
+                            [r]: !shownRingsBlue[r],
+                          }));
                         }}
                       />
                     </td>
@@ -1186,7 +1888,6 @@ export default function App() {
                 ))}
               </tbody>
             </table>
-            {/* Opción de semilla eliminada */}
           </section>
         </div>
 
@@ -1206,10 +1907,12 @@ export default function App() {
                 </span>
               ) : null}
             </div>
-            <div className="overflow-x-hidden overflow-y-auto max-h-64">
+            <div className="overflow-x-auto overflow-y-auto max-h-64">
               <table
                 className="text-12 border table-fixed"
-                style={{ width: tableW }}
+                style={{
+                  width: Math.max(tableW, 34 * (pointListTable.length + 1)),
+                }}
               >
                 <thead>
                   <tr>
@@ -1217,7 +1920,7 @@ export default function App() {
                     {pointListTable.map((pt) => (
                       <th
                         key={pt.name}
-                        className={`px-1 py-1 text-right h-7 whitespace-nowrap ${!pt.p ? 'text-gray-400' : ''}`}
+                        className={`px-1 py-1 text-right h-7 whitespace-nowrap ${!pt.p ? 'text-gray-400' : ''} ${selClass(pt.name)}`}
                         style={{ color: pt.p ? pt.color : undefined }}
                       >
                         {pt.name}
@@ -1229,7 +1932,7 @@ export default function App() {
                   {pointListTable.map((row, i) => (
                     <tr key={row.name}>
                       <td
-                        className="px-1 py-1 font-medium h-7 whitespace-nowrap"
+                        className={`px-1 py-1 font-medium h-7 whitespace-nowrap ${selClass(row.name)}`}
                         style={{
                           color: row.p ? row.color : undefined,
                           opacity: row.p ? 1 : 0.6,
@@ -1296,130 +1999,127 @@ export default function App() {
         className="grid gap-4 items-start"
         style={{ gridTemplateColumns: `${leftColW}px ${rightColW}px` }}
       >
-        <div
-          className="p-3 rounded-xl shadow bg-white border"
-          style={{ width: leftColW }}
-        >
-          <svg
-            ref={svgRef}
-            width={width}
-            height={height}
-            onPointerMove={handlePointerMove}
-            onPointerUp={endDrag}
-            onPointerLeave={endDrag}
-            style={{ touchAction: 'none' }}
+        <div className="flex flex-col gap-4">
+          <div
+            className="p-3 rounded-xl shadow bg-white border"
+            style={{ width: leftColW }}
           >
-            {/* Relleno del recinto debajo de la rejilla */}
-            <polygon
-              points={vertices
-                .map((v) => {
-                  const s = toSvg(v);
-                  return `${s.x},${s.y}`;
-                })
-                .join(' ')}
-              fill="#eef6ff"
-              stroke="none"
+            <PlanDrawing
+              {...planDrawing}
+              badSegments={polygonProblems.flatMap((p) => p.segments)}
+              onEdgeDoubleClick={addVertexOnEdge}
+              svgRef={svgRef}
+              onPointerMove={handlePointerMove}
+              onPointerUp={endDrag}
+              onPointerLeave={endDrag}
+              // Mientras se calibra, los clics marcan puntos en lugar de arrastrar
+              onItemPointerDown={calibration ? undefined : beginDrag}
+              underlay={underlay}
+              calibration={calibration || []}
+              onPlanClick={
+                calibration && calibration.length < 2
+                  ? (p) => setCalibration((c) => [...c, p])
+                  : undefined
+              }
             />
-            {/* Rejilla por encima del relleno para que se vea dentro del recinto */}
-            {GridAxes}
-            {/* Contorno del recinto por encima de la rejilla */}
-            <polygon
-              points={vertices
-                .map((v) => {
-                  const s = toSvg(v);
-                  return `${s.x},${s.y}`;
-                })
-                .join(' ')}
-              fill="none"
-              stroke="#93c5fd"
-              strokeWidth={2}
+            <div className="flex gap-2 mt-2">
+              {['x', 'y'].map((axis) => (
+                <ElevationView
+                  key={axis}
+                  axis={axis}
+                  width={(width - 8) / 2}
+                  height={230}
+                  pad={36}
+                  vertices={vertices}
+                  heightAt={heightAt}
+                  margin={rules.margin}
+                  sources={sources}
+                  points={blueActive ? blue : []}
+                  onPointerMove={handlePointerMove}
+                  onPointerUp={endDrag}
+                  onPointerLeave={endDrag}
+                  onItemPointerDown={beginDrag}
+                />
+              ))}
+            </div>
+            <div className="mt-2">
+              <PlanExport
+                drawing={planDrawing}
+                filename={`${activeRoom.name.trim() || 'recinto'}-planta`}
+                onError={(m) => {
+                  setErr(true);
+                  setMsg(`⚠️ ${m}`);
+                }}
+              />
+            </div>
+          </div>
+          <div
+            className="p-3 rounded-xl shadow bg-white border"
+            style={{ width: leftColW }}
+          >
+            <UnderlayEditor
+              underlay={underlay}
+              calibration={calibration}
+              onLoad={loadUnderlay}
+              onChange={setUnderlay}
+              onRemove={() => {
+                setUnderlay(null);
+                setCalibration(null);
+              }}
+              onCalibrationStart={() => setCalibration([])}
+              onCalibrationCancel={() => setCalibration(null)}
+              onCalibrationApply={applyCalibration}
             />
-
-            {/* Vértices etiquetados A, B, C, ... */}
-            {vertices.map((v, i) => {
-              const s = toSvg(v);
-              const label = idxToLetter(i);
-              return (
-                <g key={`V-${i}`}>
-                  <circle
-                    cx={s.x}
-                    cy={s.y}
-                    r={5}
-                    fill="#111"
-                    style={{ cursor: 'grab' }}
-                    onPointerDown={(e) => beginDrag(e, { kind: 'V', index: i })}
-                  />
-                  <text x={s.x + 6} y={s.y - 6} fontSize={12} fill="#111">
-                    {label}
-                  </text>
-                </g>
-              );
-            })}
-
-            {(() => {
-              const draw = (p, label, color, rings, active, dragPayload) => {
-                const s = toSvg(p);
-                const groupOpacity = active ? 1 : 0.35; // atenuado cuando la fuente está desactivada
-                return (
-                  <g
-                    key={label}
-                    opacity={groupOpacity}
-                    style={{ cursor: 'grab' }}
-                    onPointerDown={(e) => beginDrag(e, dragPayload)}
-                  >
-                    {Object.entries(rings)
-                      .filter(([, on]) => on)
-                      .map(([rr]) => (
-                        <circle
-                          key={rr}
-                          cx={s.x}
-                          cy={s.y}
-                          r={parseFloat(rr) * scale}
-                          fill="none"
-                          stroke={color}
-                          opacity={0.35}
-                        />
-                      ))}
-                    <circle cx={s.x} cy={s.y} r={5} fill={color} />
-                    <text x={s.x + 6} y={s.y - 6} fontSize={12} fill={color}>
-                      {label}
-                    </text>
-                  </g>
-                );
-              };
-
-              return [
-                draw(
-                  F1,
-                  `F1 (${F1.x.toFixed(1)}, ${F1.y.toFixed(1)}, ${F1.z.toFixed(1)})`,
-                  '#e11d48',
-                  ringsRed,
-                  activeF1,
-                  { kind: 'F1' }
-                ),
-                draw(
-                  F2,
-                  `F2 (${F2.x.toFixed(1)}, ${F2.y.toFixed(1)}, ${F2.z.toFixed(1)})`,
-                  '#e11d48',
-                  ringsRed,
-                  activeF2,
-                  { kind: 'F2' }
-                ),
-                ...(blueActive
-                  ? blue.map((b, i) =>
-                      draw(
-                        b,
-                        `P${i + 1} (${b.x.toFixed(1)}, ${b.y.toFixed(1)}, ${b.z.toFixed(1)})`,
-                        '#2563eb',
-                        ringsBlue,
-                        true,
-                        { kind: 'P', index: i }
-                      )
-                    )
-                  : []),
-              ];
-            })()}
-          </svg>
+          </div>
+          <div
+            className="p-3 rounded-xl shadow bg-white border"
+            style={{ width: leftColW }}
+          >
+            <EdgeEditor
+              vertices={vertices}
+              snap={snapAngles}
+              onSnapChange={setSnapAngles}
+              onChange={changeVertices}
+            />
+          </div>
+          <div
+            className="p-3 rounded-xl shadow bg-white border"
+            style={{ width: leftColW }}
+          >
+            <HolesEditor
+              holes={holes}
+              center={interior}
+              onChange={changeHoles}
+            />
+          </div>
+          <div
+            className="p-3 rounded-xl shadow bg-white border"
+            style={{ width: leftColW }}
+          >
+            <ExclusionsEditor
+              exclusions={exclusions}
+              center={interior}
+              onChange={changeExclusions}
+            />
+          </div>
+          <div
+            className="p-3 rounded-xl shadow bg-white border"
+            style={{ width: leftColW }}
+          >
+            <View3D
+              width={width}
+              height={440}
+              pad={30}
+              vertices={vertices}
+              holes={holes}
+              heightAt={heightAt}
+              sources={sources}
+              points={blueActive ? blue : []}
+              rules={rules}
+              selected={selectedPoint}
+              onSelect={setSelectedPoint}
+            />
+          </div>
         </div>
 
         <div className="flex flex-col gap-4">
@@ -1434,7 +2134,12 @@ export default function App() {
             >
               <thead>
                 <tr>
-                  <th className="px-2 h-7 w-16 text-center">Activa</th>
+                  <th
+                    className="px-2 h-7 w-16 text-center"
+                    title="Fuentes: activa. Puntos: bloqueado (no se mueve al generar)"
+                  >
+                    Activa / 🔒
+                  </th>
                   <th className="px-2 h-7 w-20 text-left">Punto</th>
                   <th className="px-2 h-7 w-16 text-center">X</th>
                   <th className="px-2 h-7 w-16 text-center">Y</th>
@@ -1442,97 +2147,96 @@ export default function App() {
                 </tr>
               </thead>
               <tbody>
-                {[
-                  {
-                    name: 'F1',
-                    val: F1,
-                    v: viol.F1,
-                    active: activeF1,
-                    setActive: setActiveF1,
-                  },
-                  {
-                    name: 'F2',
-                    val: F2,
-                    v: viol.F2,
-                    active: activeF2,
-                    setActive: setActiveF2,
-                  },
-                ].map((row) => (
-                  <tr key={row.name}>
+                {sources.map((f, i) => {
+                  const fv = viol.sources[i] || {
+                    x: false,
+                    y: false,
+                    z: false,
+                    msg: [],
+                  };
+                  return (
+                    <tr key={`F${i}`} className={selClass(sourceName(i))}>
+                      <td className="px-2 text-center h-7">
+                        <input
+                          type="checkbox"
+                          checked={f.active}
+                          onChange={(e) => {
+                            setPast((p) => [...p, takeSnapshot()]);
+                            setFuture([]);
+                            updateSource(i, { active: e.target.checked });
+                          }}
+                        />
+                      </td>
+                      <td className="px-2 font-medium h-7 text-left whitespace-nowrap">
+                        {sourceName(i)}
+                        <button
+                          onClick={() => {
+                            setPast((p) => [...p, takeSnapshot()]);
+                            setFuture([]);
+                            setSources((S) => S.filter((_, k) => k !== i));
+                          }}
+                          disabled={sources.length <= 1}
+                          className="ml-1 px-1 border rounded hover:bg-red-50 text-red-600 disabled:opacity-50"
+                          title={
+                            sources.length <= 1
+                              ? 'Debe haber al menos una fuente'
+                              : 'Eliminar fuente'
+                          }
+                        >
+                          –
+                        </button>
+                      </td>
+                      {['x', 'y', 'z'].map((ax) => (
+                        <td key={ax} className="px-2 h-7 text-center">
+                          <NumInput
+                            value={f[ax]}
+                            onCommit={(val) => {
+                              setPast((p) => [...p, takeSnapshot()]);
+                              setFuture([]);
+                              updateSource(i, { [ax]: val });
+                            }}
+                            className={`w-16 border rounded px-1 ${fv[ax] ? 'border-red-500 bg-red-50' : ''}`}
+                            title={fv.msg.join('\n')}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+                {blue.map((b, i) => (
+                  <tr
+                    key={i}
+                    className={`${!blueActive ? 'opacity-60' : ''} ${selClass(`P${i + 1}`)}`}
+                  >
                     <td className="px-2 text-center h-7">
                       <input
                         type="checkbox"
-                        checked={row.active}
+                        checked={!!b.locked}
                         onChange={(e) => {
                           setPast((p) => [...p, takeSnapshot()]);
                           setFuture([]);
-                          row.setActive(e.target.checked);
-                        }}
-                      />
-                    </td>
-                    <td className="px-2 font-medium h-7 text-left">
-                      {row.name}
-                    </td>
-                    <td className="px-2 h-7 text-center">
-                      <NumInput
-                        value={row.val.x}
-                        onCommit={(val) => {
-                          setPast((p) => [...p, takeSnapshot()]);
-                          setFuture([]);
-                          (row.name === 'F1' ? setF1 : setF2)((p) => ({
-                            ...p,
-                            x: val,
-                          }));
-                        }}
-                        className={`w-16 border rounded px-1 ${row.v.x ? 'border-red-500 bg-red-50' : ''}`}
-                        title={row.v.msg.join('\n')}
-                      />
-                    </td>
-                    <td className="px-2 h-7 text-center">
-                      <NumInput
-                        value={row.val.y}
-                        onCommit={(val) => {
-                          setPast((p) => [...p, takeSnapshot()]);
-                          setFuture([]);
-                          (row.name === 'F1' ? setF1 : setF2)((p) => ({
-                            ...p,
-                            y: val,
-                          }));
-                        }}
-                        className={`w-16 border rounded px-1 ${row.v.y ? 'border-red-500 bg-red-50' : ''}`}
-                        title={row.v.msg.join('\n')}
-                      />
-                    </td>
-                    <td className="px-2 h-7 text-center">
-                      <NumInput
-                        value={row.val.z}
-                        onCommit={(val) => {
-                          setPast((p) => [...p, takeSnapshot()]);
-                          setFuture([]);
-                          (row.name === 'F1' ? setF1 : setF2)((p) => ({
-                            ...p,
-                            z: val,
-                          }));
+                          setBlue((B) =>
+                            B.map((p, k) =>
+                              k === i ? { ...p, locked: e.target.checked } : p
+                            )
+                          );
                         }}
-                        className={`w-16 border rounded px-1 ${row.v.z ? 'border-red-500 bg-red-50' : ''}`}
-                        title={row.v.msg.join('\n')}
+                        disabled={!blueActive || (i >= nPoints && !b.locked)}
+                        title="Bloquear: el punto se mantiene fijo al generar"
                       />
                     </td>
-                  </tr>
-                ))}
-                {blue.map((b, i) => (
-                  <tr key={i} className={!blueActive ? 'opacity-60' : ''}>
-                    <td className="px-2 text-center h-7">—</td>
                     <td className="px-2 h-7">{`P${i + 1}`}</td>
                     <td className="px-2 h-7 text-center">
                       <NumInput
                         value={b.x}
                         onCommit={(val) => {
+                          if (val === b.x) return;
                           setPast((p) => [...p, takeSnapshot()]);
                           setFuture([]);
                           setBlue((B) =>
                             B.map((p, k) => (k === i ? { ...p, x: val } : p))
                           );
+                          setGenSeed(null);
                         }}
                         disabled={!blueActive}
                         className={`w-16 border rounded px-1 ${!blueActive ? 'bg-gray-50' : ''} ${viol.blue[i]?.x ? 'border-red-500 bg-red-50' : ''}`}
@@ -1543,11 +2247,13 @@ export default function App() {
                       <NumInput
                         value={b.y}
                         onCommit={(val) => {
+                          if (val === b.y) return;
                           setPast((p) => [...p, takeSnapshot()]);
                           setFuture([]);
                           setBlue((B) =>
                             B.map((p, k) => (k === i ? { ...p, y: val } : p))
                           );
+                          setGenSeed(null);
                         }}
                         disabled={!blueActive}
                         className={`w-16 border rounded px-1 ${!blueActive ? 'bg-gray-50' : ''} ${viol.blue[i]?.y ? 'border-red-500 bg-red-50' : ''}`}
@@ -1558,11 +2264,13 @@ export default function App() {
                       <NumInput
                         value={b.z}
                         onCommit={(val) => {
+                          if (val === b.z) return;
                           setPast((p) => [...p, takeSnapshot()]);
                           setFuture([]);
                           setBlue((B) =>
                             B.map((p, k) => (k === i ? { ...p, z: val } : p))
                           );
+                          setGenSeed(null);
                         }}
                         disabled={!blueActive}
                         className={`w-16 border rounded px-1 ${!blueActive ? 'bg-gray-50' : ''} ${viol.blue[i]?.z ? 'border-red-500 bg-red-50' : ''}`}
@@ -1594,12 +2302,155 @@ export default function App() {
               </button>
 
               <button
-                className={`px-4 py-2 rounded-lg text-white bg-blue-600 ${busy ? 'opacity-60' : 'hover:bg-blue-700'}`}
+                className={`px-3 py-2 rounded-lg bg-gray-200 ${sources.length >= MAX_SOURCES ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-300'}`}
+                onClick={() => {
+                  setPast((p) => [...p, takeSnapshot()]);
+                  setFuture([]);
+                  // Nueva fuente en un punto interior, a media altura
+                  setSources((S) => [
+                    ...S,
+                    {
+                      x: interior.x,
+                      y: interior.y,
+                      z: round01(heightAt(interior) / 2),
+                      active: true,
+                    },
+                  ]);
+                }}
+                disabled={busy || sources.length >= MAX_SOURCES}
+                title={
+                  sources.length >= MAX_SOURCES
+                    ? `Máximo ${MAX_SOURCES} fuentes`
+                    : 'Añadir fuente'
+                }
+              >
+                + fuente
+              </button>
+              <button
+                className={`px-4 py-2 rounded-lg text-white bg-blue-600 ${busy || polygonProblems.length ? 'opacity-60' : 'hover:bg-blue-700'}`}
                 onClick={generate}
-                disabled={busy}
+                disabled={busy || polygonProblems.length > 0}
+                title={
+                  polygonProblems.length
+                    ? 'El polígono no es válido: revisa los lados marcados en rojo'
+                    : undefined
+                }
               >
                 {busy ? 'Generando…' : 'Generar puntos'}
               </button>
+              {busy && (
+                <span className="text-xs flex items-center gap-1">
+                  <progress
+                    className="w-24"
+                    max={1}
+                    value={genProgress.fraction}
+                  />
+                  {genProgress.solutions} sol.
+                  <button
+                    className="px-2 py-0.5 border rounded text-xs hover:bg-red-50 text-red-600"
+                    onClick={cancelGeneration}
+                  >
+                    Cancelar
+                  </button>
+                </span>
+              )}
+              <label
+                className="text-xs flex items-center gap-1"
+                title="Tiempo máximo de búsqueda; al agotarse se usan las soluciones encontradas hasta entonces"
+              >
+                Tiempo máx. (s):
+                <NumInput
+                  value={timeBudget}
+                  decimals={0}
+                  onCommit={(v) => setTimeBudget(Math.max(1, v))}
+                  className="w-12 border rounded px-1"
+                />
+              </label>
+              <label className="text-xs flex items-center gap-1">
+                Nº puntos:
+                <select
+                  className="border rounded px-1 py-0.5"
+                  value={nPoints}
+                  onChange={(e) => {
+                    setPast((p) => [...p, takeSnapshot()]);
+                    setFuture([]);
+                    setNPoints(Number(e.target.value));
+                  }}
+                  disabled={busy}
+                  title={
+                    minN > 1
+                      ? `Al menos ${minN}: P${minN} está bloqueado`
+                      : undefined
+                  }
+                >
+                  {Array.from({ length: MAX_POINTS }, (_, i) => i + 1).map(
+                    (n) => (
+                      <option key={n} value={n} disabled={n < minN}>
+                        {n}
+                      </option>
+                    )
+                  )}
+                </select>
+              </label>
+              <label
+                className="text-xs flex items-center gap-1"
+                title={findOptimizer(optimizer).description}
+              >
+                Algoritmo:
+                <select
+                  className="border rounded px-1 py-0.5"
+                  value={optimizer}
+                  onChange={(e) => {
+                    setPast((p) => [...p, takeSnapshot()]);
+                    setFuture([]);
+                    setOptimizer(e.target.value);
+                  }}
+                  disabled={busy}
+                >
+                  {OPTIMIZERS.map((o) => (
+                    <option key={o.id} value={o.id} title={o.description}>
+                      {o.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <button
+                className="px-2 py-0.5 border rounded text-xs hover:bg-gray-50"
+                onClick={compareOptimizers}
+                disabled={busy || polygonProblems.length > 0}
+                title="Ejecuta todos los algoritmos con la misma semilla y muestra sus resultados como alternativas"
+              >
+                Comparar algoritmos
+              </button>
+              <label
+                className="text-xs flex items-center gap-1"
+                title="Con la misma semilla y la misma geometría se obtienen los mismos puntos. Vacía = aleatoria."
+              >
+                Semilla:
+                <input
+                  className="border rounded px-1 w-20"
+                  value={seed}
+                  placeholder="aleatoria"
+                  onChange={(e) => setSeed(e.target.value)}
+                  disabled={busy}
+                />
+              </label>
+              <label
+                className="text-xs flex items-center gap-1"
+                title="Convierte la semilla como las versiones antiguas (suma de códigos de carácter) para regenerar puntos guardados antes del cambio"
+              >
+                <input
+                  type="checkbox"
+                  checked={seedMode === 'legacy'}
+                  onChange={(e) => {
+                    setPast((p) => [...p, takeSnapshot()]);
+                    setFuture([]);
+                    setSeedMode(e.target.checked ? 'legacy' : 'hash');
+                  }}
+                  disabled={busy}
+                />
+                Compatibilidad
+              </label>
               <button
                 className="px-3 py-2 rounded-lg bg-gray-200 hover:bg-gray-300"
                 onClick={() => {
@@ -1614,47 +2465,48 @@ export default function App() {
                 Limpiar
               </button>
             </div>{' '}
+            {genSeed && blueActive ? (
+              <div className="mt-2 text-xs text-gray-600 flex items-center gap-2">
+                Semilla de los puntos actuales:{' '}
+                <span className="font-medium text-gray-900">{genSeed}</span>
+                {genSeed !== seed.trim() ? (
+                  <button
+                    className="px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300"
+                    onClick={() => setSeed(genSeed)}
+                    title="Escribir esta semilla para reproducir los puntos"
+                  >
+                    Fijar
+                  </button>
+                ) : null}
+              </div>
+            ) : null}
+            {msg ? (
+              <div
+                className={`mt-2 text-xs whitespace-pre-line ${err ? 'text-red-700' : 'text-green-700'}`}
+              >
+                {msg}
+              </div>
+            ) : null}
             {/* Avisos de incoherencia (siempre en rojo) */}
-            {(() => {
-              const pts = [
-                ...(activeF1 ? [{ name: 'F1', p: F1 }] : []),
-                ...(activeF2 ? [{ name: 'F2', p: F2 }] : []),
-                ...(blueActive
-                  ? blue.map((b, i) => ({ name: `P${i + 1}`, p: b }))
-                  : []),
-              ];
-
-              // Validar duplicidades (Z solo entre Pxs)
-              const dupMsgs = checkCoordinateDuplicates(pts, {
-                includeFx: false,
-              });
-
-              // Añadir avisos por distancias (F–F por ejes; F–P 3D <1.0; P–P 3D <0.7)
-              const list = [...dupMsgs, ...distViol.msgs];
-              const uniq = Array.from(new Set(list));
-
-              return uniq.length ? (
-                <div className="mt-2 p-2 border border-red-300 rounded bg-red-50 text-red-700 text-xs">
-                  <div className="font-medium mb-1">
-                    Avisos de incoherencia:
-                  </div>
-                  <ul className="list-disc pl-4 space-y-0.5">
-                    {uniq.map((m, i) => (
-                      <li key={i}>{m}</li>
-                    ))}
-                  </ul>
-                </div>
-              ) : null;
-            })()}
+            {warnings.length ? (
+              <div className="mt-2 p-2 border border-red-300 rounded bg-red-50 text-red-700 text-xs">
+                <div className="font-medium mb-1">Avisos de incoherencia:</div>
+                <ul className="list-disc pl-4 space-y-0.5">
+                  {warnings.map((m, i) => (
+                    <li key={i}>{m}</li>
+                  ))}
+                </ul>
+              </div>
+            ) : null}
             <div className="mt-3 text-12 text-black">
-              <div className="font-medium mb-1">Reglas:</div>
+              <div className="font-medium mb-1">Reglas ({rules.name}):</div>
               <div className="mb-1">
                 <span className="font-medium">❖ Coordenadas:</span> No puede
                 repetirse
               </div>
               <ul className="list-none pl-4 space-y-0.5">
                 <li>
-                  ➤ Coordenada X e Y entre ningún punto (incluye F1 y F2
+                  ➤ Coordenada X e Y entre ningún punto (incluye las fuentes
                   activas).
                 </li>
                 <li>➤ Coordenada Z entre Px</li>
@@ -1667,15 +2519,145 @@ export default function App() {
               </div>
               <ul className="list-none pl-4 space-y-0.5">
                 <li>
-                  ➤ Todos (Fuente y Punto) ≥ 0.5 m a todas las caras (incluye
-                  Z).
+                  ➤ Todos (Fuente y Punto) ≥ {rules.margin.toFixed(1)} m a todas
+                  las caras (incluye Z).
+                </li>
+                <li>
+                  ➤ Fuente – Fuente ≥ {rules.minFFAxis.toFixed(1)} m en todos
+                  los ejes.
+                </li>
+                <li>
+                  ➤ Fuente – Punto ≥ {rules.minRedBlue.toFixed(1)} m (3D).
+                </li>
+                <li>
+                  ➤ Punto – Punto ≥ {rules.minBlueBlue.toFixed(1)} m (3D).
                 </li>
-                <li>➤ Fuente – Fuente ≥ 0.7 m en todos los ejes.</li>
-                <li>➤ Fuente – Punto ≥ 1.0 m (3D).</li>
-                <li>➤ Punto – Punto ≥ 0.7 m (3D).</li>
               </ul>
             </div>
           </section>
+
+          {/* Diagnóstico de la última generación sin solución */}
+          {diagnosis ? (
+            <section
+              className="p-3 rounded-xl shadow bg-white border text-sm"
+              style={{ width: rightColW }}
+            >
+              <FeasibilityPanel
+                diagnosis={diagnosis}
+                sources={sources}
+                rules={rules}
+                onApply={applyFix}
+              />
+            </section>
+          ) : null}
+
+          {/* Alternativas de la última generación */}
+          {alternatives.length > 1 ? (
+            <section
+              className="p-3 rounded-xl shadow bg-white border text-sm"
+              style={{ width: rightColW }}
+            >
+              <AlternativesPanel
+                alternatives={alternatives}
+                current={blueActive ? blue : []}
+                vertices={vertices}
+                holes={holes}
+                sources={sources}
+                rules={rules}
+                onApply={applyAlternative}
+              />
+            </section>
+          ) : null}
+
+          {/* Perfil de reglas: selección y edición */}
+          <section
+            className="p-3 rounded-xl shadow bg-white border text-sm"
+            style={{ width: rightColW }}
+          >
+            <h2 className="text-13 font-medium mb-2">Perfil de reglas</h2>
+            <div className="flex items-center gap-2 mb-2 text-xs">
+              <select
+                className="border rounded px-1 py-0.5 flex-1"
+                value={rules.id}
+                onChange={(e) => {
+                  setPast((p) => [...p, takeSnapshot()]);
+                  setFuture([]);
+                  setProfileId(e.target.value);
+                }}
+              >
+                {profiles.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="px-2 py-0.5 border rounded hover:bg-gray-50"
+                onClick={() => {
+                  const copy = duplicateProfile(rules, profiles);
+                  setProfiles((list) => [...list, copy]);
+                  setProfileId(copy.id);
+                }}
+                title="Crear un perfil nuevo a partir del activo"
+              >
+                Duplicar
+              </button>
+              <button
+                className="px-2 py-0.5 border rounded hover:bg-red-50 text-red-600 disabled:opacity-50"
+                onClick={() => {
+                  const rest = profiles.filter((p) => p.id !== rules.id);
+                  setProfiles(rest);
+                  setProfileId(rest[0].id);
+                }}
+                disabled={profiles.length <= 1}
+                title={
+                  profiles.length <= 1
+                    ? 'Debe haber al menos un perfil'
+                    : 'Eliminar perfil'
+                }
+              >
+                Eliminar
+              </button>
+              {preset && (
+                <button
+                  className="px-2 py-0.5 border rounded hover:bg-gray-50 disabled:opacity-50"
+                  onClick={() =>
+                    setProfiles((list) =>
+                      list.map((p) => (p.id === preset.id ? preset : p))
+                    )
+                  }
+                  disabled={
+                    rules.name === preset.name &&
+                    RULE_FIELDS.every(({ key }) => rules[key] === preset[key])
+                  }
+                  title="Volver a los valores originales de este perfil predefinido"
+                >
+                  Restaurar
+                </button>
+              )}
+            </div>
+            <div className="flex items-center gap-2 mb-2 text-xs">
+              <label className="w-40">Nombre:</label>
+              <input
+                className="border rounded px-1 flex-1"
+                value={rules.name}
+                onChange={(e) => updateProfile({ name: e.target.value })}
+              />
+            </div>
+            {RULE_FIELDS.map(({ key, label }) => (
+              <div key={key} className="flex items-center gap-2 mb-1 text-xs">
+                <label className="w-40">{label} (m):</label>
+                <NumInput
+                  value={rules[key]}
+                  onCommit={(val) =>
+                    val !== rules[key] &&
+                    updateProfile({ [key]: Math.max(0, val) })
+                  }
+                  className="w-20 border rounded px-1"
+                />
+              </div>
+            ))}
+          </section>
         </div>
       </div>
     </div>
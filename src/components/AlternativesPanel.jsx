@@ -0,0 +1,92 @@
+import React from 'react';
+import PlanDrawing from './PlanDrawing';
+
+const fmt = (d) => (d == null ? '—' : `${d.toFixed(2).replace('.', ',')} m`);
+const sameSet = (a, b) =>
+  a.length === b.length &&
+  a.every((p, i) => p.x === b[i].x && p.y === b[i].y && p.z === b[i].z);
+
+/**
+ * Soluciones alternativas de la última generación, en miniatura y una junto a
+ * otra, con su calidad (mínimas P–P y F–P). "Aplicar" sustituye los puntos.
+ * Las de una comparación de algoritmos llevan `label` (nombre del algoritmo),
+ * `feasible` y `elapsedMs`.
+ */
+function AlternativesPanel({
+  alternatives,
+  current,
+  vertices,
+  holes,
+  sources,
+  rules,
+  onApply,
+}) {
+  return (
+    <div>
+      <h2 className="text-13 font-medium mb-1">
+        {alternatives[0].label
+          ? 'Comparación de algoritmos'
+          : `Alternativas (${alternatives.length})`}
+      </h2>
+      <div className="text-xs text-gray-500 mb-2">
+        {alternatives[0].label
+          ? 'Resultado de cada algoritmo con la misma semilla.'
+          : 'Ordenadas de mejor a peor separación.'}{' '}
+        Mínimos exigidos: P–P ≥ {fmt(rules.minBlueBlue)}, F–P ≥{' '}
+        {fmt(rules.minRedBlue)}.
+      </div>
+      <div className="flex gap-2 flex-wrap">
+        {alternatives.map((alt, k) => {
+          const applied = sameSet(alt.points, current);
+          return (
+            <div
+              key={k}
+              className={`border rounded-lg p-1 text-xs ${applied ? 'border-blue-600' : ''}`}
+            >
+              <PlanDrawing
+                width={200}
+                height={150}
+                pad={12}
+                vertices={vertices}
+                holes={holes}
+                sources={sources}
+                points={alt.points}
+                ringsRed={{}}
+                ringsBlue={{}}
+                radii={[]}
+                showGrid={false}
+                showRings={false}
+                compact
+              />
+              <div className="flex items-center justify-between gap-2 mt-1">
+                <div>
+                  <div className="font-medium">{alt.label || `#${k + 1}`}</div>
+                  {alt.feasible === false && (
+                    <div className="text-red-700">No cumple las reglas</div>
+                  )}
+                  <div>P–P mín: {fmt(alt.quality.minPP)}</div>
+                  <div>F–P mín: {fmt(alt.quality.minFP)}</div>
+                  {alt.elapsedMs != null && (
+                    <div>
+                      Tiempo:{' '}
+                      {(alt.elapsedMs / 1000).toFixed(1).replace('.', ',')} s
+                    </div>
+                  )}
+                </div>
+                <button
+                  className="px-2 py-1 rounded-lg bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+                  onClick={() => onApply(alt, k)}
+                  disabled={applied}
+                >
+                  {applied ? 'Aplicada' : 'Aplicar'}
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default AlternativesPanel;
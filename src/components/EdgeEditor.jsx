@@ -0,0 +1,123 @@
+import React from 'react';
+import NumInput from './NumInput';
+import { idxToLetter } from '../utils/labels';
+import {
+  cornerAngle,
+  edgeLength,
+  orthogonalize,
+  setCornerAngle,
+  setEdgeLength,
+} from '../utils/polygonEdit';
+
+const fmt = (n, d) => n.toFixed(d).replace('.', ',');
+const roundTo = (n, d) => Math.round(n * 10 ** d) / 10 ** d;
+
+/**
+ * Editor del contorno por lados, como en un levantamiento: longitud de cada
+ * pared y ángulo interior entre paredes. El último lado cierra el polígono y
+ * se muestra calculado. Incluye el ajuste a 90°/45° al arrastrar vértices y
+ * la acción de ortogonalizar.
+ */
+function EdgeEditor({ vertices, snap, onSnapChange, onChange }) {
+  const n = vertices.length;
+  const name = (i) => idxToLetter(i % n);
+  // NumInput confirma también al salir del campo: solo se aplica si el valor cambia
+  const commitIf = (shown, val, apply) => {
+    if (val !== shown) onChange(apply(val));
+  };
+
+  return (
+    <div className="text-xs">
+      <div className="flex items-center gap-2 mb-2 flex-wrap">
+        <h2 className="text-13 font-medium">Lados</h2>
+        <label
+          className="flex items-center gap-1"
+          title="Al arrastrar un vértice, sus lados se ajustan a horizontal, vertical o diagonal"
+        >
+          <input
+            type="checkbox"
+            checked={snap}
+            onChange={(e) => onSnapChange(e.target.checked)}
+          />
+          Ajustar a 90°/45° al arrastrar
+        </label>
+        <button
+          className="px-2 py-0.5 border rounded text-xs hover:bg-gray-50"
+          onClick={() => onChange(orthogonalize(vertices))}
+          title="Deja todas las paredes paralelas o perpendiculares a la más larga"
+        >
+          Ortogonalizar
+        </button>
+      </div>
+      <table className="border-collapse">
+        <thead>
+          <tr className="text-gray-500">
+            <th className="px-1 text-left font-normal">Lado</th>
+            <th className="px-1 text-left font-normal">Longitud (m)</th>
+            <th className="px-1 text-left font-normal">Ángulo interior (°)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {vertices.map((_, i) => {
+            const closing = i === n - 1;
+            // El ángulo en el vértice final del lado es editable salvo en los dos de cierre
+            const corner = i + 1;
+            const cornerEditable = corner <= n - 2;
+            return (
+              <tr key={i}>
+                <td className="px-1">
+                  {name(i)}–{name(i + 1)}
+                </td>
+                <td className="px-1">
+                  {closing ? (
+                    <span className="text-gray-500">
+                      {fmt(edgeLength(vertices, i), 2)} (cierre)
+                    </span>
+                  ) : (
+                    <NumInput
+                      value={roundTo(edgeLength(vertices, i), 2)}
+                      decimals={2}
+                      onCommit={(val) =>
+                        val > 0 &&
+                        commitIf(
+                          roundTo(edgeLength(vertices, i), 2),
+                          val,
+                          (v) => setEdgeLength(vertices, i, v)
+                        )
+                      }
+                      className="w-16 border rounded px-1"
+                    />
+                  )}
+                </td>
+                <td className="px-1">
+                  <span className="text-gray-500 mr-1">en {name(corner)}:</span>
+                  {cornerEditable ? (
+                    <NumInput
+                      value={roundTo(cornerAngle(vertices, corner), 1)}
+                      onCommit={(val) =>
+                        val > 0 &&
+                        val < 360 &&
+                        commitIf(
+                          roundTo(cornerAngle(vertices, corner), 1),
+                          val,
+                          (v) => setCornerAngle(vertices, corner, v)
+                        )
+                      }
+                      className="w-16 border rounded px-1"
+                    />
+                  ) : (
+                    <span className="text-gray-500">
+                      {fmt(cornerAngle(vertices, corner % n), 1)}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default EdgeEditor;
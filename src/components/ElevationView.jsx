@@ -0,0 +1,170 @@
+import React, { useMemo } from 'react';
+import { EPS } from '../utils/constants';
+import { sourceName } from '../utils/labels';
+import { planScale } from '../utils/planLayout';
+
+// Envolvente superior (de izquierda a derecha) de puntos {h, z}
+const upperHull = (pts) => {
+  const sorted = [...pts].sort((a, b) => a.h - b.h || a.z - b.z);
+  const hull = [];
+  for (const p of sorted) {
+    while (hull.length >= 2) {
+      const o = hull[hull.length - 2],
+        a = hull[hull.length - 1];
+      if ((a.h - o.h) * (p.z - o.z) - (a.z - o.z) * (p.h - o.h) < 0) break;
+      hull.pop();
+    }
+    hull.push(p);
+  }
+  return hull;
+};
+
+/**
+ * Alzado del recinto (XZ o YZ): silueta bajo el techo (horizontal o
+ * inclinado), franjas de margen inferior y superior y proyección de fuentes y
+ * puntos. Los puntos se arrastran solo en Z.
+ */
+function ElevationView({
+  axis,
+  width,
+  height,
+  pad,
+  vertices,
+  heightAt,
+  margin,
+  sources,
+  points,
+  onPointerMove,
+  onPointerUp,
+  onPointerLeave,
+  onItemPointerDown,
+}) {
+  // Extensión horizontal del recinto en el eje del alzado
+  const [hMin, hMax] = useMemo(() => {
+    const hs = vertices.map((v) => v[axis]);
+    return [Math.min(...hs), Math.max(...hs)];
+  }, [vertices, axis]);
+  // Perfil del techo visto en este alzado (con un plano, la envolvente de los vértices)
+  const roof = useMemo(
+    () => upperHull(vertices.map((v) => ({ h: v[axis], z: heightAt(v) }))),
+    [vertices, axis, heightAt]
+  );
+  const topZ = Math.max(...roof.map((r) => r.z));
+  const bounds = useMemo(
+    () => ({ minX: Math.min(0, hMin), maxX: hMax, minY: 0, maxY: topZ }),
+    [hMin, hMax, topZ]
+  );
+  const scale = useMemo(
+    () => planScale(bounds, width, height, pad),
+    [bounds, width, height, pad]
+  );
+  const sx = (h) => pad + (h - bounds.minX) * scale;
+  const sz = (z) => height - pad - z * scale;
+  // Inversa vertical con la escala del momento (se congela al empezar el arrastre)
+  const toZ = (y) => (height - pad - y) / scale;
+
+  const left = sx(hMin),
+    right = sx(hMax);
+  const bandH = Math.min(margin, topZ / 2) * scale;
+  const pts = (list) => list.map((r) => `${sx(r.h)},${sz(r.z)}`).join(' ');
+  const section = pts([{ h: hMin, z: 0 }, ...roof, { h: hMax, z: 0 }]);
+  const roofBand = pts([
+    ...roof,
+    ...roof
+      .map((r) => ({ h: r.h, z: r.z - Math.min(margin, r.z / 2) }))
+      .reverse(),
+  ]);
+
+  const zTicks = [];
+  for (let z = 0; z <= topZ + EPS; z += 0.5) zTicks.push(z);
+
+  const draw = (p, label, color, active, payload) => {
+    const x = sx(p[axis]),
+      y = sz(p.z);
+    return (
+      <g
+        key={label}
+        opacity={active ? 1 : 0.35}
+        style={{ cursor: 'ns-resize' }}
+        onPointerDown={(e) => onItemPointerDown(e, { ...payload, toZ })}
+      >
+        <circle cx={x} cy={y} r={5} fill={color} />
+        <text x={x + 6} y={y - 6} fontSize={11} fill={color}>
+          {label}
+        </text>
+      </g>
+    );
+  };
+
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      width={width}
+      height={height}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+      onPointerLeave={onPointerLeave}
+      style={{ touchAction: 'none' }}
+    >
+      <text x={pad} y={14} fontSize={12} fill="#111">
+        Alzado {axis.toUpperCase()}Z
+      </text>
+      {/* Sección del recinto */}
+      <polygon
+        points={section}
+        fill="#eef6ff"
+        stroke="#93c5fd"
+        strokeWidth={2}
+      />
+      {/* Franjas de margen en suelo y techo */}
+      <polygon points={roofBand} fill="#fde68a" opacity={0.5} />
+      <rect
+        x={left}
+        y={sz(0) - bandH}
+        width={right - left}
+        height={bandH}
+        fill="#fde68a"
+        opacity={0.5}
+      />
+      {zTicks.map((z) => (
+        <g key={z}>
+          <line
+            x1={left}
+            y1={sz(z)}
+            x2={right}
+            y2={sz(z)}
+            stroke="#c7cdd6"
+            strokeDasharray="2 3"
+          />
+          <text
+            x={pad - 8}
+            y={sz(z) + 3}
+            fontSize={11}
+            textAnchor="end"
+            fill="#666"
+          >
+            {z.toFixed(1)}
+          </text>
+        </g>
+      ))}
+      <text
+        x={(left + right) / 2}
+        y={height - pad + 16}
+        fontSize={11}
+        textAnchor="middle"
+        fill="#666"
+      >
+        {axis.toUpperCase()} (m)
+      </text>
+
+      {sources.map((f, i) =>
+        draw(f, sourceName(i), '#e11d48', f.active, { kind: 'F', index: i })
+      )}
+      {points.map((b, i) =>
+        draw(b, `P${i + 1}`, '#2563eb', true, { kind: 'P', index: i })
+      )}
+    </svg>
+  );
+}
+
+export default ElevationView;
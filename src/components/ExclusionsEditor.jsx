@@ -0,0 +1,154 @@
+import React from 'react';
+import NumInput from './NumInput';
+import { round01 } from '../utils/constants';
+import { createZone, zoneName } from '../utils/exclusions';
+
+const btn = 'px-2 py-0.5 border rounded text-xs hover:bg-gray-50';
+const btnDel =
+  'px-2 py-0.5 border rounded text-xs hover:bg-red-50 text-red-600 disabled:opacity-50';
+
+// Campos editables de una zona rectangular
+const RECT_FIELDS = [
+  { key: 'x', label: 'X' },
+  { key: 'y', label: 'Y' },
+  { key: 'w', label: 'Ancho' },
+  { key: 'h', label: 'Fondo' },
+];
+
+/**
+ * Panel de zonas excluidas: rectángulos y polígonos con holgura propia. Las
+ * zonas también se ajustan arrastrando sus tiradores en la planta.
+ */
+function ExclusionsEditor({ exclusions, center, onChange }) {
+  const update = (i, patch) =>
+    onChange(exclusions.map((z, k) => (k === i ? { ...z, ...patch } : z)));
+  const updateVertex = (i, j, patch) =>
+    update(i, {
+      vertices: exclusions[i].vertices.map((v, k) =>
+        k === j ? { ...v, ...patch } : v
+      ),
+    });
+
+  return (
+    <div className="text-xs">
+      <div className="flex items-center gap-2 mb-2">
+        <h2 className="text-13 font-medium">Zonas excluidas</h2>
+        <button
+          className={btn}
+          onClick={() => onChange([...exclusions, createZone('rect', center)])}
+        >
+          + rectángulo
+        </button>
+        <button
+          className={btn}
+          onClick={() => onChange([...exclusions, createZone('poly', center)])}
+        >
+          + polígono
+        </button>
+      </div>
+      {!exclusions.length && (
+        <div className="text-gray-500">
+          Sin zonas. Añade pilares, muebles, barridos de puerta o máquinas donde
+          no se puede colocar ningún punto.
+        </div>
+      )}
+      {exclusions.map((zn, i) => (
+        <div key={i} className="border rounded-lg p-2 mb-2">
+          <div className="flex items-center gap-2 flex-wrap">
+            <span className="font-medium w-6">{zoneName(i)}</span>
+            <span className="text-gray-500">
+              {zn.type === 'rect' ? 'Rectángulo' : 'Polígono'}
+            </span>
+            {zn.type === 'rect' &&
+              RECT_FIELDS.map(({ key, label }) => (
+                <label key={key} className="flex items-center gap-1">
+                  {label}:
+                  <NumInput
+                    value={zn[key]}
+                    onCommit={(val) =>
+                      update(i, {
+                        [key]:
+                          key === 'w' || key === 'h' ? Math.max(0.1, val) : val,
+                      })
+                    }
+                    className="w-16 border rounded px-1"
+                  />
+                </label>
+              ))}
+            <label className="flex items-center gap-1">
+              Holgura:
+              <NumInput
+                value={zn.clearance}
+                onCommit={(val) => update(i, { clearance: Math.max(0, val) })}
+                className="w-16 border rounded px-1"
+              />
+            </label>
+            <button
+              className={btnDel}
+              onClick={() => onChange(exclusions.filter((_, k) => k !== i))}
+              title="Eliminar zona"
+            >
+              Eliminar
+            </button>
+          </div>
+          {zn.type === 'poly' && (
+            <div className="mt-1 flex flex-wrap gap-2 items-center">
+              {zn.vertices.map((v, j) => (
+                <span key={j} className="flex items-center gap-1">
+                  {j + 1}:
+                  <NumInput
+                    value={v.x}
+                    onCommit={(val) => updateVertex(i, j, { x: val })}
+                    className="w-16 border rounded px-1"
+                  />
+                  <NumInput
+                    value={v.y}
+                    onCommit={(val) => updateVertex(i, j, { y: val })}
+                    className="w-16 border rounded px-1"
+                  />
+                  <button
+                    className={btnDel}
+                    onClick={() =>
+                      update(i, {
+                        vertices: zn.vertices.filter((_, k) => k !== j),
+                      })
+                    }
+                    disabled={zn.vertices.length <= 3}
+                    title={
+                      zn.vertices.length <= 3
+                        ? 'Un polígono necesita al menos 3 vértices'
+                        : 'Eliminar vértice'
+                    }
+                  >
+                    –
+                  </button>
+                </span>
+              ))}
+              <button
+                className={btn}
+                onClick={() => {
+                  const a = zn.vertices[zn.vertices.length - 1],
+                    b = zn.vertices[0];
+                  update(i, {
+                    vertices: [
+                      ...zn.vertices,
+                      {
+                        x: round01((a.x + b.x) / 2),
+                        y: round01((a.y + b.y) / 2),
+                      },
+                    ],
+                  });
+                }}
+                title="Añadir un vértice entre el último y el primero"
+              >
+                + vértice
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ExclusionsEditor;
@@ -0,0 +1,87 @@
+import React from 'react';
+import { describeFix } from '../utils/feasibility';
+
+const fmt = (n) => n.toFixed(1).replace('.', ',');
+
+/**
+ * Diagnóstico de una generación sin solución válida: candidatos que quedan
+ * tras cada regla (marcando la que los agota primero) y arreglos mínimos
+ * comprobados, con "Aplicar" para cada uno.
+ */
+function FeasibilityPanel({ diagnosis, sources, rules, onApply }) {
+  const { stages, blocking, fixes, complete } = diagnosis;
+  const needed = stages.length ? stages[0].needed : 0;
+  const blockingStage = stages.find((s) => s.id === blocking);
+  const blockIdx = stages.indexOf(blockingStage);
+
+  return (
+    <div className="text-xs">
+      <h2 className="text-13 font-medium mb-1">Diagnóstico de factibilidad</h2>
+      <div className="text-gray-500 mb-2">
+        Candidatos (celdas de 0,1 m) que quedan tras aplicar cada regla; se
+        necesitan al menos {needed} para los puntos libres.
+      </div>
+      <table className="w-full mb-2">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="font-normal">Regla</th>
+            <th className="font-normal text-right">Quedan</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stages.map((s, i) => (
+            <tr
+              key={s.id}
+              className={
+                s.id === blocking
+                  ? 'text-red-700 font-medium'
+                  : blockIdx >= 0 && i > blockIdx
+                    ? 'text-gray-400'
+                    : ''
+              }
+            >
+              <td>{s.label}</td>
+              <td className="text-right">{s.remaining}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mb-2">
+        {blockingStage
+          ? `La primera regla que deja menos de ${needed} candidatos es «${blockingStage.label}».`
+          : `Ninguna regla agota los candidatos por sí sola: lo que falla es separar ${needed} puntos ≥ ${fmt(rules.minBlueBlue)} m entre sí con X, Y y Z distintas.`}
+      </div>
+      <div className="font-medium mb-1">
+        Cambios mínimos con solución válida:
+      </div>
+      {fixes.length ? (
+        <ul className="space-y-1">
+          {fixes.map((fix, k) => (
+            <li key={k} className="flex items-center justify-between gap-2">
+              <span>{describeFix(fix, sources)}</span>
+              <button
+                className="px-2 py-0.5 border rounded text-xs hover:bg-gray-50"
+                onClick={() => onApply(fix)}
+              >
+                Aplicar
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="text-gray-500">
+          No se ha encontrado ninguno (menos puntos o mover una fuente hasta 1
+          m).
+        </div>
+      )}
+      {!complete && (
+        <div className="text-gray-500 mt-1">
+          Diagnóstico parcial: se agotó su tiempo (6 s) antes de probar todos
+          los cambios.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FeasibilityPanel;
@@ -0,0 +1,133 @@
+import React from 'react';
+import NumInput from './NumInput';
+import { round01 } from '../utils/constants';
+import { holeName } from '../utils/labels';
+
+const btn = 'px-2 py-0.5 border rounded text-xs hover:bg-gray-50';
+const btnDel =
+  'px-2 py-0.5 border rounded text-xs hover:bg-red-50 text-red-600 disabled:opacity-50';
+
+// Hueco nuevo: cuadrado de 1 × 1 m centrado en c
+const createHole = (c) => {
+  const x = round01(c.x - 0.5),
+    y = round01(c.y - 0.5);
+  return [
+    { x, y },
+    { x: round01(x + 1), y },
+    { x: round01(x + 1), y: round01(y + 1) },
+    { x, y: round01(y + 1) },
+  ];
+};
+
+/**
+ * Panel de huecos interiores del recinto (escaleras, núcleos, patios): cada
+ * hueco es un anillo de vértices que se descuenta del área y del volumen y a
+ * cuyos bordes se aplica el mismo margen que a las caras. Los vértices también
+ * se arrastran en la planta.
+ */
+function HolesEditor({ holes, center, onChange }) {
+  const updateVertex = (i, j, patch) =>
+    onChange(
+      holes.map((h, k) =>
+        k === i ? h.map((v, m) => (m === j ? { ...v, ...patch } : v)) : h
+      )
+    );
+
+  return (
+    <div className="text-xs">
+      <div className="flex items-center gap-2 mb-2">
+        <h2 className="text-13 font-medium">Huecos</h2>
+        <button
+          className={btn}
+          onClick={() => onChange([...holes, createHole(center)])}
+        >
+          + hueco
+        </button>
+      </div>
+      {!holes.length && (
+        <div className="text-gray-500">
+          Sin huecos. Añade escaleras o núcleos estructurales que queden dentro
+          del recinto.
+        </div>
+      )}
+      {holes.map((h, i) => (
+        <div key={i} className="border rounded-lg p-2 mb-2">
+          <div className="flex flex-wrap gap-2 items-center">
+            <span className="font-medium w-6">{holeName(i)}</span>
+            {h.map((v, j) => (
+              <span key={j} className="flex items-center gap-1">
+                {j + 1}:
+                <NumInput
+                  value={v.x}
+                  decimals={3}
+                  onCommit={(val) =>
+                    val !== v.x && updateVertex(i, j, { x: val })
+                  }
+                  className="w-16 border rounded px-1"
+                />
+                <NumInput
+                  value={v.y}
+                  decimals={3}
+                  onCommit={(val) =>
+                    val !== v.y && updateVertex(i, j, { y: val })
+                  }
+                  className="w-16 border rounded px-1"
+                />
+                <button
+                  className={btnDel}
+                  onClick={() =>
+                    onChange(
+                      holes.map((r, k) =>
+                        k === i ? r.filter((_, m) => m !== j) : r
+                      )
+                    )
+                  }
+                  disabled={h.length <= 3}
+                  title={
+                    h.length <= 3
+                      ? 'Un hueco necesita al menos 3 vértices'
+                      : 'Eliminar vértice'
+                  }
+                >
+                  –
+                </button>
+              </span>
+            ))}
+            <button
+              className={btn}
+              onClick={() => {
+                const a = h[h.length - 1],
+                  b = h[0];
+                onChange(
+                  holes.map((r, k) =>
+                    k === i
+                      ? [
+                          ...r,
+                          {
+                            x: round01((a.x + b.x) / 2),
+                            y: round01((a.y + b.y) / 2),
+                          },
+                        ]
+                      : r
+                  )
+                );
+              }}
+              title="Añadir un vértice entre el último y el primero"
+            >
+              + vértice
+            </button>
+            <button
+              className={btnDel}
+              onClick={() => onChange(holes.filter((_, k) => k !== i))}
+              title="Eliminar hueco"
+            >
+              Eliminar
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default HolesEditor;
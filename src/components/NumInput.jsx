@@ -1,13 +1,17 @@
 import React, { useState, useEffect } from 'react';
 
-const round01 = (n) => Math.round(n * 10) / 10;
+const roundTo = (n, decimals) => {
+  const f = 10 ** decimals;
+  return Math.round(n * f) / f;
+};
 const parseNum = (v, fb = 0) => {
   const n = parseFloat(String(v).replace(',', '.'));
   return Number.isFinite(n) ? n : fb;
 };
 
-// Input numérico tolerante (spinner = inmediato; tecleo = al salir/Enter)
-function NumInput({ value, onCommit, className, title }) {
+// Input numérico tolerante (spinner = inmediato; tecleo = al salir/Enter).
+// `decimals` fija la precisión (0,1 por defecto; p. ej. 2 para longitudes en cm)
+function NumInput({ value, onCommit, className, title, decimals = 1 }) {
   const [txt, setTxt] = useState('');
   const [focus, setFocus] = useState(false);
   const [typing, setTyping] = useState(false); // true cuando el usuario está tecleando
@@ -25,14 +29,14 @@ function NumInput({ value, onCommit, className, title }) {
   return (
     <input
       type="number"
-      step={0.1}
+      step={10 ** -decimals}
       lang="en" // asegura que el "." del teclado numérico funcione
       inputMode="decimal"
       value={display}
       title={title}
       onFocus={() => {
         setFocus(true);
-        setTxt(Number(value).toFixed(1));
+        setTxt(Number(value).toFixed(decimals));
         setTyping(false);
       }}
       onChange={(e) => {
@@ -42,16 +46,20 @@ function NumInput({ value, onCommit, className, title }) {
           setTxt(s);
           // Si NO estamos tecleando (spinner/rueda), confirmamos al instante
           if (!typing) {
-            const n = round01(parseNum(s === '' ? String(value) : s, value));
-            setTxt(n.toFixed(1));
+            const n = roundTo(
+              parseNum(s === '' ? String(value) : s, value),
+              decimals
+            );
+            setTxt(n.toFixed(decimals));
             onCommit(n);
           }
         }
       }}
       onBlur={() => {
         setFocus(false);
-        const n = round01(
-          parseNum(display === '' ? String(value) : display, value)
+        const n = roundTo(
+          parseNum(display === '' ? String(value) : display, value),
+          decimals
         );
         onCommit(n);
         setTyping(false);
@@ -65,13 +73,14 @@ function NumInput({ value, onCommit, className, title }) {
           e.key === 'PageDown'
         ) {
           e.preventDefault();
-          const step = e.key === 'PageUp' || e.key === 'PageDown' ? 1.0 : 0.1;
+          const step =
+            e.key === 'PageUp' || e.key === 'PageDown' ? 1.0 : 10 ** -decimals;
           const dir = e.key === 'ArrowUp' || e.key === 'PageUp' ? 1 : -1;
           const base = focus
             ? parseNum(display === '' ? String(value) : display, value)
             : value;
-          const next = round01(base + dir * step);
-          setTxt(next.toFixed(1));
+          const next = roundTo(base + dir * step, decimals);
+          setTxt(next.toFixed(decimals));
           onCommit(next);
           setTyping(false);
           return;
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import NumInput from './NumInput';
+import {
+  OUTLINE_UNITS,
+  outlineProblem,
+  outlineToVertices,
+} from '../utils/outlineImport';
+
+const btn = 'px-2 py-0.5 border rounded text-xs hover:bg-gray-50';
+const fmt = (n) => n.toFixed(2).replace('.', ',');
+
+// Miniatura del contorno ajustada a w × h (Y hacia arriba)
+function OutlinePreview({ points, w = 64, h = 48 }) {
+  const xs = points.map((p) => p.x),
+    ys = points.map((p) => p.y);
+  const minX = Math.min(...xs),
+    maxY = Math.max(...ys);
+  const spanX = Math.max(...xs) - minX || 1,
+    spanY = maxY - Math.min(...ys) || 1;
+  const s = Math.min((w - 4) / spanX, (h - 4) / spanY);
+  const d = points
+    .map((p) => `${2 + (p.x - minX) * s},${2 + (maxY - p.y) * s}`)
+    .join(' ');
+  return (
+    <svg width={w} height={h} className="border rounded bg-gray-50">
+      <polygon points={d} fill="#dbeafe" stroke="#1d4ed8" strokeWidth={1} />
+    </svg>
+  );
+}
+
+/**
+ * Panel para elegir el contorno importado de un plano DXF/SVG: lista de
+ * polilíneas cerradas, unidades del dibujo y escala del plano. Al aceptar, el
+ * contorno elegido se pasa a metros y sustituye a los vértices del recinto;
+ * por defecto se pide además borrar lo colocado sobre el contorno anterior.
+ */
+function OutlineImport({ fileName, outlines, unit, onUse, onCancel }) {
+  const [selected, setSelected] = useState(0);
+  const [unitId, setUnitId] = useState(unit);
+  const [scale, setScale] = useState(1);
+  // Huecos, zonas, fuentes y puntos del contorno anterior no encajan en el nuevo
+  const [reset, setReset] = useState(true);
+
+  const factor =
+    OUTLINE_UNITS.find((u) => u.id === unitId).factor * (scale > 0 ? scale : 1);
+  const outline = outlines[selected];
+  const vertices = outline ? outlineToVertices(outline.points, factor) : [];
+  const problem = outline ? outlineProblem(vertices) : null;
+  const sizeX = Math.max(0, ...vertices.map((v) => v.x)),
+    sizeY = Math.max(0, ...vertices.map((v) => v.y));
+
+  return (
+    <div className="text-xs">
+      <div className="flex items-center gap-2 mb-2 flex-wrap">
+        <h2 className="text-13 font-medium">Importar contorno</h2>
+        <span className="text-gray-500">{fileName}</span>
+      </div>
+      {!outlines.length ? (
+        <div className="text-gray-500">
+          No se han encontrado polilíneas cerradas en el plano.
+        </div>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 mb-2">
+            {outlines.map((o, i) => (
+              <label
+                key={i}
+                className={`flex items-center gap-1 border rounded-lg p-1 cursor-pointer ${
+                  i === selected ? 'border-blue-500' : ''
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="outline"
+                  checked={i === selected}
+                  onChange={() => setSelected(i)}
+                />
+                <OutlinePreview points={o.points} />
+                <span>
+                  {o.label}
+                  <br />
+                  <span className="text-gray-500">
+                    {o.points.length} vértices
+                  </span>
+                </span>
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center gap-3 flex-wrap mb-2">
+            <label className="flex items-center gap-1">
+              Unidades del dibujo:
+              <select
+                className="border rounded px-1 py-0.5"
+                value={unitId}
+                onChange={(e) => setUnitId(e.target.value)}
+              >
+                {OUTLINE_UNITS.map((u) => (
+                  <option key={u.id} value={u.id}>
+                    {u.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label
+              className="flex items-center gap-1"
+              title="Para planos dibujados a escala (1:50, 1:100...); 1 si el dibujo está a tamaño real"
+            >
+              Escala del plano 1:
+              <NumInput
+                value={scale}
+                decimals={0}
+                onCommit={(v) => v > 0 && setScale(v)}
+                className="w-16 border rounded px-1"
+              />
+            </label>
+            <span className="text-gray-500">
+              Tamaño: {fmt(sizeX)} × {fmt(sizeY)} m
+            </span>
+          </div>
+          {problem && <div className="text-red-600 mb-2">⚠️ {problem}</div>}
+        </>
+      )}
+      <label className="flex items-center gap-1 mb-2">
+        <input
+          type="checkbox"
+          checked={reset}
+          onChange={(e) => setReset(e.target.checked)}
+        />
+        Borrar huecos, zonas excluidas, fuentes y puntos del contorno anterior
+      </label>
+      <div className="flex gap-2">
+        <button
+          className={`${btn} disabled:opacity-50`}
+          disabled={!outline || !!problem}
+          onClick={() => onUse(vertices, reset)}
+          title="Sustituye los vértices del recinto (se puede deshacer en un solo paso)"
+        >
+          Usar este contorno
+        </button>
+        <button className={btn} onClick={onCancel}>
+          Cancelar
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default OutlineImport;
@@ -0,0 +1,617 @@
+import React, { useMemo } from 'react';
+import { EPS, STEP } from '../utils/constants';
+import { holeName, idxToLetter, sourceName } from '../utils/labels';
+import { planBounds, planScale, scaleBarLength } from '../utils/planLayout';
+import { zoneName, zonePolygon } from '../utils/exclusions';
+import { underlayCorners } from '../utils/underlay';
+
+/**
+ * Dibujo en planta (XY): relleno y contorno del recinto (con sus huecos), rejilla, vértices,
+ * fuentes y puntos con sus anillos de distancia. Se usa en el editor (con
+ * manejadores de arrastre) y en vistas estáticas como el informe. La leyenda
+ * y la barra de escala se dibujan en el margen superior. En modo compacto
+ * (miniaturas) se omiten las letras de los vértices y las coordenadas.
+ * En el editor puede llevar debajo un plano escaneado (underlay), que entra en
+ * el encuadre, y marcar los puntos de su calibración.
+ */
+function PlanDrawing({
+  width,
+  height,
+  pad,
+  vertices,
+  holes = [],
+  exclusions = [],
+  badSegments = [],
+  sources,
+  points,
+  ringsRed,
+  ringsBlue,
+  radii,
+  showGrid = true,
+  showRings = true,
+  showLegend = false,
+  showScaleBar = false,
+  compact = false,
+  svgRef,
+  onPointerMove,
+  onPointerUp,
+  onPointerLeave,
+  onItemPointerDown,
+  onEdgeDoubleClick,
+  underlay = null,
+  calibration = [],
+  onPlanClick,
+}) {
+  const interactive = !!onItemPointerDown;
+  const grab = interactive ? { cursor: 'grab' } : undefined;
+  const bounds = useMemo(
+    () => planBounds(vertices, underlayCorners(underlay)),
+    [vertices, underlay]
+  );
+  const scale = useMemo(
+    () => planScale(bounds, width, height, pad),
+    [bounds, width, height, pad]
+  );
+  const toSvg = (p) => ({
+    x: pad + (p.x - bounds.minX) * scale,
+    y: height - pad - (p.y - bounds.minY) * scale,
+  });
+  // Contorno y huecos en un solo trazado (relleno evenodd: los huecos quedan vacíos)
+  const roomPath = [vertices, ...holes]
+    .filter((ring) => ring.length >= 3)
+    .map(
+      (ring) =>
+        ring
+          .map(toSvg)
+          .map((s, i) => `${i ? 'L' : 'M'}${s.x},${s.y}`)
+          .join(' ') + ' Z'
+    )
+    .join(' ');
+
+  // Rejilla 0,1/0,5 m + ejes por el origen
+  const GridAxes = useMemo(() => {
+    const axisColor = '#bfbfbf';
+    const els = []; // rejilla menor 0,1 y mayor 0,5
+    for (
+      let x = Math.ceil(bounds.minX / STEP) * STEP;
+      x <= bounds.maxX + EPS;
+      x += STEP
+    ) {
+      const sx = pad + (x - bounds.minX) * scale;
+      els.push(
+        <line
+          key={'gx' + x}
+          x1={sx}
+          y1={pad}
+          x2={sx}
+          y2={height - pad}
+          stroke="#e5e7eb"
+        />
+      );
+    }
+    for (
+      let y = Math.ceil(bounds.minY / STEP) * STEP;
+      y <= bounds.maxY + EPS;
+      y += STEP
+    ) {
+      const sy = height - pad - (y - bounds.minY) * scale;
+      els.push(
+        <line
+          key={'gy' + y}
+          x1={pad}
+          y1={sy}
+          x2={width - pad}
+          y2={sy}
+          stroke="#e5e7eb"
+        />
+      );
+    }
+    for (
+      let x = Math.ceil(bounds.minX / 0.5) * 0.5;
+      x <= bounds.maxX + EPS;
+      x += 0.5
+    ) {
+      const sx = pad + (x - bounds.minX) * scale;
+      els.push(
+        <line
+          key={'GX' + x}
+          x1={sx}
+          y1={pad}
+          x2={sx}
+          y2={height - pad}
+          stroke="#c7cdd6"
+        />
+      );
+      els.push(
+        <text
+          key={'TX' + x}
+          x={sx}
+          y={height - pad + 14}
+          fontSize={12}
+          textAnchor="middle"
+          fill="#666"
+        >
+          {x.toFixed(1)}
+        </text>
+      );
+    }
+    for (
+      let y = Math.ceil(bounds.minY / 0.5) * 0.5;
+      y <= bounds.maxY + EPS;
+      y += 0.5
+    ) {
+      const sy = height - pad - (y - bounds.minY) * scale;
+      els.push(
+        <line
+          key={'GY' + y}
+          x1={pad}
+          y1={sy}
+          x2={width - pad}
+          y2={sy}
+          stroke="#c7cdd6"
+        />
+      );
+      els.push(
+        <text
+          key={'TY' + y}
+          x={pad - 8}
+          y={sy + 3}
+          fontSize={12}
+          textAnchor="end"
+          fill="#666"
+        >
+          {y.toFixed(1)}
+        </text>
+      );
+    }
+    const O = {
+      x: pad + (0 - bounds.minX) * scale,
+      y: height - pad - (0 - bounds.minY) * scale,
+    };
+    els.push(
+      <line
+        key="ax"
+        x1={pad}
+        y1={O.y}
+        x2={width - pad}
+        y2={O.y}
+        stroke={axisColor}
+      />
+    );
+    els.push(
+      <line
+        key="ay"
+        x1={O.x}
+        y1={height - pad}
+        x2={O.x}
+        y2={pad}
+        stroke={axisColor}
+      />
+    );
+    return <g>{els}</g>;
+  }, [bounds, scale, width, height, pad]);
+
+  return (
+    <svg
+      ref={svgRef}
+      xmlns="http://www.w3.org/2000/svg"
+      width={width}
+      height={height}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+      onPointerLeave={onPointerLeave}
+      onClick={
+        onPlanClick
+          ? (e) => {
+              const r = e.currentTarget.getBoundingClientRect();
+              onPlanClick({
+                x: bounds.minX + (e.clientX - r.left - pad) / scale,
+                y: bounds.minY + (height - pad - (e.clientY - r.top)) / scale,
+              });
+            }
+          : undefined
+      }
+      style={
+        onPlanClick
+          ? { cursor: 'crosshair' }
+          : interactive
+            ? { touchAction: 'none' }
+            : undefined
+      }
+    >
+      {/* Plano escaneado de fondo (esquina superior izquierda en u.x, u.y) */}
+      {underlay && underlay.visible && underlay.src && (
+        <image
+          href={underlay.src}
+          x={toSvg(underlay).x}
+          y={toSvg(underlay).y}
+          width={underlay.widthPx * underlay.scale * scale}
+          height={underlay.heightPx * underlay.scale * scale}
+          opacity={underlay.opacity}
+          preserveAspectRatio="none"
+        />
+      )}
+      {/* Relleno del recinto debajo de la rejilla (translúcido sobre el plano de fondo) */}
+      <path
+        d={roomPath}
+        fill="#eef6ff"
+        fillOpacity={underlay && underlay.visible ? 0.4 : 1}
+        fillRule="evenodd"
+        stroke="none"
+      />
+      {/* Rejilla por encima del relleno para que se vea dentro del recinto */}
+      {showGrid ? GridAxes : null}
+      {/* Contorno del recinto y de los huecos por encima de la rejilla */}
+      <path d={roomPath} fill="none" stroke="#93c5fd" strokeWidth={2} />
+      {/* Lados del contorno: doble clic para insertar un vértice en su punto medio */}
+      {onEdgeDoubleClick &&
+        vertices.map((v, i) => {
+          const s = toSvg(v),
+            t = toSvg(vertices[(i + 1) % vertices.length]);
+          return (
+            <line
+              key={`edge-${i}`}
+              x1={s.x}
+              y1={s.y}
+              x2={t.x}
+              y2={t.y}
+              stroke="transparent"
+              strokeWidth={10}
+              style={{ cursor: 'copy' }}
+              onDoubleClick={() => onEdgeDoubleClick(i)}
+            >
+              <title>
+                {`Doble clic: insertar vértice entre ${idxToLetter(i)} y ${idxToLetter((i + 1) % vertices.length)}`}
+              </title>
+            </line>
+          );
+        })}
+      {/* Lados con problemas de geometría (cruces, longitud cero, solapes) */}
+      {badSegments.map(([a, b], i) => {
+        const s = toSvg(a),
+          t = toSvg(b);
+        return (
+          <line
+            key={`bad-${i}`}
+            x1={s.x}
+            y1={s.y}
+            x2={t.x}
+            y2={t.y}
+            stroke="#dc2626"
+            strokeWidth={4}
+            strokeLinecap="round"
+            opacity={0.8}
+          />
+        );
+      })}
+
+      {/* Huecos: etiqueta H1, H2... y vértices arrastrables */}
+      {holes.map((h, i) => {
+        if (h.length < 3) return null;
+        const pts = h.map(toSvg);
+        const cx = pts.reduce((a, s) => a + s.x, 0) / pts.length;
+        const cy = pts.reduce((a, s) => a + s.y, 0) / pts.length;
+        return (
+          <g key={`H-${i}`}>
+            {!compact && (
+              <text
+                x={cx}
+                y={cy + 4}
+                fontSize={11}
+                textAnchor="middle"
+                fill="#3b82f6"
+              >
+                {holeName(i)}
+              </text>
+            )}
+            {pts.map((s, j) => (
+              <circle
+                key={j}
+                cx={s.x}
+                cy={s.y}
+                r={4}
+                fill="#fff"
+                stroke="#111"
+                style={grab}
+                onPointerDown={
+                  interactive
+                    ? (e) =>
+                        onItemPointerDown(e, {
+                          kind: 'HV',
+                          index: i,
+                          vertex: j,
+                        })
+                    : undefined
+                }
+              />
+            ))}
+          </g>
+        );
+      })}
+
+      {/* Zonas excluidas: banda de holgura (trazo de 2 × holgura) y contorno */}
+      {exclusions.map((zn, i) => {
+        const poly = zonePolygon(zn).map(toSvg);
+        if (poly.length < 3) return null;
+        const pts = poly.map((s) => `${s.x},${s.y}`).join(' ');
+        const cx = poly.reduce((a, s) => a + s.x, 0) / poly.length;
+        const cy = poly.reduce((a, s) => a + s.y, 0) / poly.length;
+        const handles =
+          zn.type === 'rect'
+            ? [
+                { p: { x: zn.x, y: zn.y }, kind: 'ZR' },
+                { p: { x: zn.x + zn.w, y: zn.y + zn.h }, kind: 'ZS' },
+              ]
+            : zn.vertices.map((v, k) => ({ p: v, kind: 'ZV', vertex: k }));
+        return (
+          <g key={`Z-${i}`}>
+            <polygon
+              points={pts}
+              fill="#9ca3af"
+              fillOpacity={0.15}
+              stroke="#9ca3af"
+              strokeOpacity={0.3}
+              strokeWidth={2 * (zn.clearance || 0) * scale}
+              strokeLinejoin="round"
+            />
+            <polygon
+              points={pts}
+              fill="#9ca3af"
+              fillOpacity={0.5}
+              stroke="#4b5563"
+              strokeDasharray="4 2"
+            />
+            <text
+              x={cx}
+              y={cy + 4}
+              fontSize={11}
+              textAnchor="middle"
+              fill="#374151"
+            >
+              {zoneName(i)}
+            </text>
+            {interactive &&
+              handles.map((hd, k) => {
+                const s = toSvg(hd.p);
+                return (
+                  <rect
+                    key={k}
+                    x={s.x - 4}
+                    y={s.y - 4}
+                    width={8}
+                    height={8}
+                    fill="#4b5563"
+                    style={grab}
+                    onPointerDown={(e) =>
+                      onItemPointerDown(e, {
+                        kind: hd.kind,
+                        index: i,
+                        vertex: hd.vertex,
+                      })
+                    }
+                  />
+                );
+              })}
+          </g>
+        );
+      })}
+
+      {/* Vértices etiquetados A, B, C, ... */}
+      {vertices.map((v, i) => {
+        const s = toSvg(v);
+        const label = idxToLetter(i);
+        return (
+          <g key={`V-${i}`}>
+            <circle
+              cx={s.x}
+              cy={s.y}
+              r={5}
+              fill="#111"
+              style={grab}
+              onPointerDown={
+                interactive
+                  ? (e) => onItemPointerDown(e, { kind: 'V', index: i })
+                  : undefined
+              }
+            />
+            {!compact && (
+              <text x={s.x + 6} y={s.y - 6} fontSize={12} fill="#111">
+                {label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+
+      {(() => {
+        const draw = (p, label, color, rings, active, dragPayload) => {
+          const s = toSvg(p);
+          const groupOpacity = active ? 1 : 0.35; // atenuado cuando la fuente está desactivada
+          return (
+            <g
+              key={label}
+              opacity={groupOpacity}
+              style={grab}
+              onPointerDown={
+                interactive
+                  ? (e) => onItemPointerDown(e, dragPayload)
+                  : undefined
+              }
+            >
+              {Object.entries(rings)
+                .filter(([rr, on]) => showRings && on && radii.includes(+rr))
+                .map(([rr]) => (
+                  <circle
+                    key={rr}
+                    cx={s.x}
+                    cy={s.y}
+                    r={parseFloat(rr) * scale}
+                    fill="none"
+                    stroke={color}
+                    opacity={0.35}
+                  />
+                ))}
+              <circle cx={s.x} cy={s.y} r={5} fill={color} />
+              <text x={s.x + 6} y={s.y - 6} fontSize={12} fill={color}>
+                {label}
+              </text>
+            </g>
+          );
+        };
+
+        return [
+          ...sources.map((f, i) =>
+            draw(
+              f,
+              compact
+                ? sourceName(i)
+                : `${sourceName(i)} (${f.x.toFixed(1)}, ${f.y.toFixed(1)}, ${f.z.toFixed(1)})`,
+              '#e11d48',
+              ringsRed,
+              f.active,
+              { kind: 'F', index: i }
+            )
+          ),
+          ...points.map((b, i) =>
+            draw(
+              b,
+              compact
+                ? `P${i + 1}`
+                : `P${i + 1} (${b.x.toFixed(1)}, ${b.y.toFixed(1)}, ${b.z.toFixed(1)})`,
+              '#2563eb',
+              ringsBlue,
+              true,
+              { kind: 'P', index: i }
+            )
+          ),
+        ];
+      })()}
+
+      {/* Puntos marcados para calibrar el plano de fondo */}
+      {calibration.length > 0 && (
+        <g stroke="#ea580c" strokeWidth={2} pointerEvents="none">
+          {calibration.length === 2 && (
+            <line
+              x1={toSvg(calibration[0]).x}
+              y1={toSvg(calibration[0]).y}
+              x2={toSvg(calibration[1]).x}
+              y2={toSvg(calibration[1]).y}
+              strokeDasharray="6 3"
+            />
+          )}
+          {calibration.map((p, i) => {
+            const s = toSvg(p);
+            return (
+              <g key={i}>
+                <line x1={s.x - 6} y1={s.y} x2={s.x + 6} y2={s.y} />
+                <line x1={s.x} y1={s.y - 6} x2={s.x} y2={s.y + 6} />
+                <text
+                  x={s.x + 7}
+                  y={s.y + 14}
+                  fontSize={11}
+                  fill="#ea580c"
+                  stroke="none"
+                >
+                  {i + 1}
+                </text>
+              </g>
+            );
+          })}
+        </g>
+      )}
+
+      {/* Barra de escala (arriba a la izquierda) */}
+      {showScaleBar &&
+        (() => {
+          const len = scaleBarLength(scale, (width - 2 * pad) / 4);
+          const x2 = pad + len * scale;
+          const y = pad / 2;
+          return (
+            <g stroke="#111" fill="#111">
+              <line x1={pad} y1={y} x2={x2} y2={y} strokeWidth={2} />
+              <line x1={pad} y1={y - 4} x2={pad} y2={y + 4} />
+              <line x1={x2} y1={y - 4} x2={x2} y2={y + 4} />
+              <text
+                x={(pad + x2) / 2}
+                y={y - 6}
+                fontSize={11}
+                textAnchor="middle"
+                stroke="none"
+              >
+                {`${String(len).replace('.', ',')} m`}
+              </text>
+            </g>
+          );
+        })()}
+
+      {/* Leyenda (arriba a la derecha) */}
+      {showLegend &&
+        (() => {
+          const items = [
+            { label: 'Recinto', swatch: 'room' },
+            ...(exclusions.length
+              ? [{ label: 'Zona excluida', swatch: 'zone' }]
+              : []),
+            { label: 'Vértice', color: '#111' },
+            { label: 'Fuente', color: '#e11d48' },
+            { label: 'Punto', color: '#2563eb' },
+            ...(showRings
+              ? [{ label: 'Anillo de distancia', swatch: 'ring' }]
+              : []),
+          ];
+          const itemW = (label) => 22 + label.length * 7;
+          let x = width - pad - items.reduce((a, it) => a + itemW(it.label), 0);
+          const y = pad / 2;
+          return (
+            <g fontSize={11}>
+              {items.map((it) => {
+                const x0 = x;
+                x += itemW(it.label);
+                return (
+                  <g key={it.label}>
+                    {it.swatch === 'room' ? (
+                      <rect
+                        x={x0}
+                        y={y - 5}
+                        width={10}
+                        height={10}
+                        fill="#eef6ff"
+                        stroke="#93c5fd"
+                        strokeWidth={2}
+                      />
+                    ) : it.swatch === 'zone' ? (
+                      <rect
+                        x={x0}
+                        y={y - 5}
+                        width={10}
+                        height={10}
+                        fill="#9ca3af"
+                        fillOpacity={0.5}
+                        stroke="#4b5563"
+                        strokeDasharray="2 1"
+                      />
+                    ) : it.swatch === 'ring' ? (
+                      <circle
+                        cx={x0 + 5}
+                        cy={y}
+                        r={5}
+                        fill="none"
+                        stroke="#6b7280"
+                      />
+                    ) : (
+                      <circle cx={x0 + 5} cy={y} r={4} fill={it.color} />
+                    )}
+                    <text x={x0 + 14} y={y + 4} fill="#111">
+                      {it.label}
+                    </text>
+                  </g>
+                );
+              })}
+            </g>
+          );
+        })()}
+    </svg>
+  );
+}
+
+export default PlanDrawing;
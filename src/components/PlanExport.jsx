@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+import PlanDrawing from './PlanDrawing';
+import { downloadFile } from '../utils/download';
+import { svgToPng, toSvgDocument } from '../utils/planExport';
+
+// Factores de resolución ofrecidos para el PNG
+const PNG_FACTORS = [1, 2, 3, 4];
+
+// Renderiza un elemento fuera del documento y devuelve su marcado
+const renderMarkup = (element) => {
+  const host = document.createElement('div');
+  const root = createRoot(host);
+  flushSync(() => root.render(element));
+  const markup = host.innerHTML;
+  root.unmount();
+  return markup;
+};
+
+/**
+ * Controles para exportar la planta como SVG o PNG, con leyenda y barra de
+ * escala, ocultando opcionalmente anillos y rejilla.
+ * `drawing` son las props de PlanDrawing (sin manejadores).
+ */
+function PlanExport({ drawing, filename, onError }) {
+  const [withRings, setWithRings] = useState(true);
+  const [withGrid, setWithGrid] = useState(true);
+  const [factor, setFactor] = useState(2);
+
+  const buildSvg = () =>
+    toSvgDocument(
+      renderMarkup(
+        <PlanDrawing
+          {...drawing}
+          showRings={withRings}
+          showGrid={withGrid}
+          showLegend
+          showScaleBar
+        />
+      )
+    );
+
+  const exportSvg = () =>
+    downloadFile(buildSvg(), `${filename}.svg`, 'image/svg+xml');
+
+  const exportPng = async () => {
+    try {
+      const png = await svgToPng(
+        buildSvg(),
+        drawing.width,
+        drawing.height,
+        factor
+      );
+      downloadFile(png, `${filename}.png`);
+    } catch (e) {
+      onError(e.message);
+    }
+  };
+
+  return (
+    <div className="flex gap-2 items-center flex-wrap text-xs">
+      <span className="font-medium">Exportar planta:</span>
+      <label className="flex items-center gap-1">
+        <input
+          type="checkbox"
+          checked={withRings}
+          onChange={(e) => setWithRings(e.target.checked)}
+        />
+        Anillos
+      </label>
+      <label className="flex items-center gap-1">
+        <input
+          type="checkbox"
+          checked={withGrid}
+          onChange={(e) => setWithGrid(e.target.checked)}
+        />
+        Rejilla
+      </label>
+      <button
+        className="px-2 py-1 rounded-lg bg-gray-200 hover:bg-gray-300"
+        onClick={exportSvg}
+        title="Dibujo vectorial con leyenda y barra de escala"
+      >
+        SVG
+      </button>
+      <button
+        className="px-2 py-1 rounded-lg bg-gray-200 hover:bg-gray-300"
+        onClick={exportPng}
+        title="Imagen rasterizada con leyenda y barra de escala"
+      >
+        PNG
+      </button>
+      <select
+        className="border rounded px-1 py-0.5"
+        value={factor}
+        onChange={(e) => setFactor(Number(e.target.value))}
+        title="Resolución del PNG"
+      >
+        {PNG_FACTORS.map((f) => (
+          <option key={f} value={f}>
+            {drawing.width * f} × {drawing.height * f} px
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default PlanExport;
@@ -0,0 +1,237 @@
+import React from 'react';
+import PlanDrawing from './PlanDrawing';
+import { EPS } from '../utils/constants';
+import { holeName, idxToLetter } from '../utils/labels';
+
+const fmt = (n, d = 2) => n.toFixed(d).replace('.', ',');
+
+/**
+ * Hoja de medida imprimible del recinto activo: planta, dimensiones, tabla de
+ * coordenadas, matriz de distancias 3D y comprobación de reglas.
+ */
+function ReportView({
+  roomName,
+  profileName,
+  seed,
+  vertices,
+  holes,
+  exclusions,
+  heightAt,
+  area,
+  volumen,
+  sources,
+  points,
+  ringsRed,
+  ringsBlue,
+  radii,
+  pointList,
+  distMatrix,
+  ruleChecks,
+  warnings,
+  onBack,
+}) {
+  const allOk = ruleChecks.every((c) => c.ok);
+  // Alturas del techo en los vértices (iguales si es horizontal)
+  const zs = vertices.map(heightAt);
+  const zMin = Math.min(...zs),
+    zMax = Math.max(...zs);
+  const rows = [
+    ...sources.map((f, i) => ({ ...pointList[i], src: f })),
+    ...points.map((b, i) => ({ name: `P${i + 1}`, color: '#2563eb', src: b })),
+  ];
+  const th = 'border px-2 py-1 text-left font-medium';
+  const td = 'border px-2 py-1';
+
+  return (
+    <div className="report p-6 space-y-4 text-sm">
+      <div className="no-print flex gap-2">
+        <button
+          className="px-3 py-1 rounded-lg bg-blue-600 hover:bg-blue-700 text-white"
+          onClick={() => window.print()}
+        >
+          Imprimir
+        </button>
+        <button
+          className="px-3 py-1 rounded-lg bg-gray-200 hover:bg-gray-300"
+          onClick={onBack}
+        >
+          Volver
+        </button>
+      </div>
+
+      <header>
+        <h1 className="text-14 font-semibold text-gray-900">
+          Hoja de medida – {roomName}
+        </h1>
+        <div className="text-xs text-gray-600">
+          UNE EN ISO 16283-1:2015 · Perfil de reglas: {profileName}
+          {seed ? ` · Semilla: ${seed}` : ''} · Fecha:{' '}
+          {new Date().toLocaleDateString('es-ES')}
+        </div>
+      </header>
+
+      <section className="report-block">
+        <PlanDrawing
+          width={640}
+          height={460}
+          pad={40}
+          vertices={vertices}
+          holes={holes}
+          exclusions={exclusions}
+          sources={sources}
+          points={points}
+          ringsRed={ringsRed}
+          ringsBlue={ringsBlue}
+          radii={radii}
+          showLegend
+          showScaleBar
+        />
+      </section>
+
+      <section className="report-block flex gap-6 flex-wrap">
+        <div>
+          <h2 className="font-semibold mb-1">Recinto</h2>
+          <table className="border-collapse">
+            <tbody>
+              <tr>
+                <th className={th}>
+                  {zMax - zMin > EPS ? 'Techo inclinado' : 'Altura Z'}
+                </th>
+                <td className={td}>
+                  {zMax - zMin > EPS
+                    ? `${fmt(zMin)} – ${fmt(zMax)}`
+                    : fmt(zMax)}{' '}
+                  m
+                </td>
+              </tr>
+              <tr>
+                <th className={th}>Área</th>
+                <td className={td}>{fmt(area, 1)} m²</td>
+              </tr>
+              <tr>
+                <th className={th}>Volumen</th>
+                <td className={td}>{fmt(volumen, 1)} m³</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+        <div>
+          <h2 className="font-semibold mb-1">Vértices</h2>
+          <table className="border-collapse">
+            <thead>
+              <tr>
+                <th className={th}>Vértice</th>
+                <th className={th}>X (m)</th>
+                <th className={th}>Y (m)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {vertices.map((v, i) => (
+                <tr key={i}>
+                  <td className={td}>{idxToLetter(i)}</td>
+                  <td className={td}>{fmt(v.x)}</td>
+                  <td className={td}>{fmt(v.y)}</td>
+                </tr>
+              ))}
+              {holes.flatMap((h, k) =>
+                h.map((v, j) => (
+                  <tr key={`${k}-${j}`}>
+                    <td className={td}>
+                      {holeName(k)}.{j + 1}
+                    </td>
+                    <td className={td}>{fmt(v.x)}</td>
+                    <td className={td}>{fmt(v.y)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        <div>
+          <h2 className="font-semibold mb-1">Fuentes y puntos</h2>
+          <table className="border-collapse">
+            <thead>
+              <tr>
+                <th className={th}>Punto</th>
+                <th className={th}>X (m)</th>
+                <th className={th}>Y (m)</th>
+                <th className={th}>Z (m)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ name, color, src }) => (
+                <tr
+                  key={name}
+                  className={src.active === false ? 'text-gray-400' : ''}
+                >
+                  <td className={td} style={{ color }}>
+                    {name}
+                    {src.active === false ? ' (inactiva)' : ''}
+                  </td>
+                  <td className={td}>{fmt(src.x)}</td>
+                  <td className={td}>{fmt(src.y)}</td>
+                  <td className={td}>{fmt(src.z)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section className="report-block">
+        <h2 className="font-semibold mb-1">Tabla de distancias 3D (m)</h2>
+        <table className="border-collapse text-xs">
+          <thead>
+            <tr>
+              <th className={th}></th>
+              {pointList.map((pt) => (
+                <th key={pt.name} className={th} style={{ color: pt.color }}>
+                  {pt.name}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pointList.map((pt, i) => (
+              <tr key={pt.name}>
+                <th className={th} style={{ color: pt.color }}>
+                  {pt.name}
+                </th>
+                {distMatrix[i].map((d, j) => (
+                  <td key={j} className={`${td} text-right`}>
+                    {i === j ? '' : d.replace('.', ',')}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="report-block">
+        <h2 className="font-semibold mb-1">
+          Comprobación de reglas:{' '}
+          <span style={{ color: allOk ? '#15803d' : '#be123c' }}>
+            {allOk ? 'se cumplen todas' : 'hay incumplimientos'}
+          </span>
+        </h2>
+        <ul>
+          {ruleChecks.map((c) => (
+            <li key={c.label} style={{ color: c.ok ? '#15803d' : '#be123c' }}>
+              {c.ok ? '✓' : '✗'} {c.label}
+            </li>
+          ))}
+        </ul>
+        {warnings.length > 0 && (
+          <ul className="mt-2 text-xs text-rose-700">
+            {warnings.map((w, i) => (
+              <li key={i}>• {w}</li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default ReportView;
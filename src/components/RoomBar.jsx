@@ -0,0 +1,66 @@
+import React from 'react';
+
+// Barra de recintos del espacio de trabajo: pestañas + acciones sobre el activo
+function RoomBar({
+  rooms,
+  activeId,
+  onSelect,
+  onAdd,
+  onDuplicate,
+  onRename,
+  onDelete,
+}) {
+  const active = rooms.find((r) => r.id === activeId);
+  return (
+    <div className="flex gap-2 items-center flex-wrap text-sm">
+      <span className="text-13 font-medium">Recintos:</span>
+      {rooms.map((r) => (
+        <button
+          key={r.id}
+          className={`px-3 py-1 rounded-lg border ${r.id === activeId ? 'bg-blue-600 text-white border-blue-600' : 'bg-white hover:bg-gray-50'}`}
+          onClick={() => onSelect(r.id)}
+          title={
+            r.id === activeId ? 'Recinto activo' : 'Cambiar a este recinto'
+          }
+        >
+          {r.name}
+        </button>
+      ))}
+      <button
+        className="px-2 py-1 rounded-lg bg-gray-200 hover:bg-gray-300"
+        onClick={onAdd}
+        title="Añadir un recinto vacío"
+      >
+        + recinto
+      </button>
+      <span className="mx-1 text-gray-300">|</span>
+      <label className="text-xs">Nombre:</label>
+      <input
+        className="border rounded px-1 text-xs w-40"
+        value={active ? active.name : ''}
+        onChange={(e) => onRename(e.target.value)}
+      />
+      <button
+        className="px-2 py-1 rounded-lg bg-gray-200 hover:bg-gray-300 text-xs"
+        onClick={onDuplicate}
+        title="Copiar el recinto activo en uno nuevo"
+      >
+        Duplicar
+      </button>
+      <button
+        className="px-2 py-1 rounded-lg border text-xs text-red-600 hover:bg-red-50 disabled:opacity-50"
+        onClick={onDelete}
+        disabled={rooms.length <= 1}
+        title={
+          rooms.length <= 1
+            ? 'Debe haber al menos un recinto'
+            : 'Eliminar el recinto activo'
+        }
+      >
+        Eliminar
+      </button>
+    </div>
+  );
+}
+
+export default RoomBar;
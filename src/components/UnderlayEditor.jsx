@@ -0,0 +1,168 @@
+import React, { useRef, useState } from 'react';
+import NumInput from './NumInput';
+
+const btn = 'px-2 py-0.5 border rounded text-xs hover:bg-gray-50';
+const fmt = (n, d) => n.toFixed(d).replace('.', ',');
+
+/**
+ * Panel del plano de fondo: carga de la imagen, visibilidad, opacidad,
+ * posición y calibración de la escala con dos puntos de una cota conocida.
+ * Los puntos se marcan pulsando en la planta; `calibration` es null fuera del
+ * modo de calibración y, dentro, la lista de puntos ya marcados.
+ */
+function UnderlayEditor({
+  underlay,
+  calibration,
+  onLoad,
+  onChange,
+  onRemove,
+  onCalibrationStart,
+  onCalibrationCancel,
+  onCalibrationApply,
+}) {
+  const inputRef = useRef(null);
+  const [distance, setDistance] = useState(1);
+  const measured =
+    calibration && calibration.length === 2
+      ? Math.hypot(
+          calibration[1].x - calibration[0].x,
+          calibration[1].y - calibration[0].y
+        )
+      : null;
+
+  return (
+    <div className="text-xs">
+      <div className="flex items-center gap-2 mb-2">
+        <h2 className="text-13 font-medium">Plano de fondo</h2>
+        <button
+          className={btn}
+          onClick={() => inputRef.current && inputRef.current.click()}
+          title="Imagen PNG/JPG de un plano escaneado"
+        >
+          {underlay ? 'Cambiar imagen' : 'Cargar imagen'}
+        </button>
+        {underlay && (
+          <button
+            className="px-2 py-0.5 border rounded text-xs hover:bg-red-50 text-red-600"
+            onClick={onRemove}
+          >
+            Quitar
+          </button>
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          accept="image/*"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files && e.target.files[0];
+            e.target.value = '';
+            if (file) onLoad(file);
+          }}
+        />
+      </div>
+      {!underlay ? (
+        <div className="text-gray-500">
+          Carga un plano escaneado para calcar el contorno encima: calibra su
+          escala con dos puntos y arrastra los vértices sobre las paredes.
+        </div>
+      ) : (
+        <>
+          {!underlay.src && (
+            <div className="text-gray-500 mb-2">
+              La imagen no está en el almacén del navegador (o aún se está
+              leyendo): vuelve a cargarla con «Cambiar imagen».
+            </div>
+          )}
+          <div className="flex items-center gap-3 flex-wrap mb-2">
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={underlay.visible}
+                onChange={(e) =>
+                  onChange({ ...underlay, visible: e.target.checked })
+                }
+              />
+              Mostrar
+            </label>
+            <label className="flex items-center gap-1">
+              Opacidad
+              <input
+                type="range"
+                min={0.1}
+                max={1}
+                step={0.05}
+                value={underlay.opacity}
+                onChange={(e) =>
+                  onChange({ ...underlay, opacity: Number(e.target.value) })
+                }
+              />
+              {Math.round(underlay.opacity * 100)} %
+            </label>
+          </div>
+          <div className="flex items-center gap-2 flex-wrap mb-2">
+            <span title="Posición de la esquina superior izquierda de la imagen">
+              Esquina sup. izq.
+            </span>
+            X
+            <NumInput
+              value={underlay.x}
+              decimals={2}
+              onCommit={(x) => x !== underlay.x && onChange({ ...underlay, x })}
+              className="w-16 border rounded px-1"
+            />
+            Y
+            <NumInput
+              value={underlay.y}
+              decimals={2}
+              onCommit={(y) => y !== underlay.y && onChange({ ...underlay, y })}
+              className="w-16 border rounded px-1"
+            />
+            <span className="text-gray-500">
+              Escala: 1 px = {fmt(underlay.scale * 100, 2)} cm
+            </span>
+          </div>
+          {!calibration ? (
+            <button
+              className={btn}
+              onClick={onCalibrationStart}
+              title="Marca en la planta los extremos de una cota conocida y escribe su longitud"
+            >
+              Calibrar escala
+            </button>
+          ) : (
+            <div className="flex items-center gap-2 flex-wrap">
+              {measured === null ? (
+                <span className="text-orange-700">
+                  Pulsa en la planta el punto {calibration.length + 1} de una
+                  distancia conocida.
+                </span>
+              ) : (
+                <>
+                  <span>Medido: {fmt(measured, 2)} m. Distancia real (m):</span>
+                  <NumInput
+                    value={distance}
+                    decimals={2}
+                    onCommit={(v) => v > 0 && setDistance(v)}
+                    className="w-16 border rounded px-1"
+                  />
+                  <button
+                    className={btn}
+                    onClick={() => onCalibrationApply(distance)}
+                  >
+                    Aplicar escala
+                  </button>
+                </>
+              )}
+              <button className={btn} onClick={onCalibrationCancel}>
+                Cancelar
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default UnderlayEditor;
@@ -0,0 +1,222 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { sourceName } from '../utils/labels';
+import { extrudeRoom, project3D } from '../utils/projection3d';
+
+const DEFAULT_VIEW = { yaw: -0.6, pitch: 0.6 };
+
+/**
+ * Vista 3D (proyección ortográfica en SVG) del recinto extruido hasta su
+ * altura (huecos incluidos), con fuentes, puntos y esferas de distancia mínima. Se gira
+ * arrastrando el fondo; al pulsar un punto se selecciona.
+ */
+function View3D({
+  width,
+  height,
+  pad,
+  vertices,
+  holes = [],
+  heightAt,
+  sources,
+  points,
+  rules,
+  selected,
+  onSelect,
+}) {
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const [showSpheres, setShowSpheres] = useState(true);
+  const rotRef = useRef(null); // { x, y, view, moved, pointerId }
+
+  const room = useMemo(
+    () => extrudeRoom(vertices, heightAt),
+    [vertices, heightAt]
+  );
+  // Huecos extruidos bajo el mismo techo que el contorno
+  const holeRings = useMemo(
+    () =>
+      holes.filter((h) => h.length >= 3).map((h) => extrudeRoom(h, heightAt)),
+    [holes, heightAt]
+  );
+  // Escala fija respecto a la esfera envolvente: no cambia al girar
+  const scale = useMemo(() => {
+    const R = Math.max(
+      1e-3,
+      ...room.floor.map((p) =>
+        Math.hypot(p.x - room.center.x, p.y - room.center.y, room.center.z)
+      )
+    );
+    return (Math.min(width, height) - 2 * pad) / (2 * R);
+  }, [room, width, height, pad]);
+
+  const toScreen = (p) => {
+    const q = project3D(p, view, room.center);
+    return { x: width / 2 + q.u * scale, y: height / 2 - q.v * scale, ...q };
+  };
+  const path = (pts) =>
+    pts
+      .map(toScreen)
+      .map((s, i) => `${i ? 'L' : 'M'}${s.x},${s.y}`)
+      .join(' ') + ' Z';
+
+  const items = [
+    ...sources.map((f, i) => ({
+      name: sourceName(i),
+      p: f,
+      color: '#e11d48',
+      r: rules.minRedBlue,
+      active: f.active,
+    })),
+    ...points.map((b, i) => ({
+      name: `P${i + 1}`,
+      p: b,
+      color: '#2563eb',
+      r: rules.minBlueBlue,
+      active: true,
+    })),
+  ]
+    .map((it) => ({ ...it, s: toScreen(it.p) }))
+    .sort((a, b) => b.s.depth - a.s.depth); // del fondo hacia delante
+
+  const onPointerDown = (e) => {
+    rotRef.current = {
+      x: e.clientX,
+      y: e.clientY,
+      view,
+      moved: false,
+      pointerId: e.pointerId,
+    };
+    try {
+      e.currentTarget.setPointerCapture &&
+        e.currentTarget.setPointerCapture(e.pointerId);
+    } catch {}
+  };
+  const onPointerMove = (e) => {
+    const r = rotRef.current;
+    if (!r) return;
+    const dx = e.clientX - r.x,
+      dy = e.clientY - r.y;
+    if (Math.abs(dx) + Math.abs(dy) > 3) r.moved = true;
+    setView({
+      yaw: r.view.yaw + dx * 0.01,
+      pitch: Math.min(Math.PI / 2, Math.max(0, r.view.pitch + dy * 0.01)),
+    });
+  };
+  const onPointerUp = () => {
+    const r = rotRef.current;
+    rotRef.current = null;
+    if (r && !r.moved) onSelect(null); // clic en el fondo: quitar selección
+  };
+
+  return (
+    <div>
+      <div className="flex gap-3 items-center text-xs mb-1">
+        <span className="text-13 font-medium">Vista 3D</span>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={showSpheres}
+            onChange={(e) => setShowSpheres(e.target.checked)}
+          />
+          Esferas de distancia mínima
+        </label>
+        <button
+          className="px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300"
+          onClick={() => setView(DEFAULT_VIEW)}
+        >
+          Restablecer vista
+        </button>
+        <span className="text-gray-500">
+          Arrastra para girar; pulsa un punto para resaltarlo en las tablas.
+        </span>
+      </div>
+      <svg
+        xmlns="http://www.w3.org/2000/svg"
+        width={width}
+        height={height}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerLeave={() => (rotRef.current = null)}
+        style={{ touchAction: 'none', cursor: 'move' }}
+      >
+        <path
+          d={[room, ...holeRings].map((r) => path(r.floor)).join(' ')}
+          fill="#eef6ff"
+          fillRule="evenodd"
+          stroke="#93c5fd"
+          strokeWidth={2}
+        />
+        {[room, ...holeRings].map((r, k) =>
+          r.floor.map((p, i) => {
+            const a = toScreen(p),
+              b = toScreen(r.ceiling[i]);
+            return (
+              <line
+                key={`${k}-${i}`}
+                x1={a.x}
+                y1={a.y}
+                x2={b.x}
+                y2={b.y}
+                stroke="#93c5fd"
+              />
+            );
+          })
+        )}
+        <path
+          d={[room, ...holeRings].map((r) => path(r.ceiling)).join(' ')}
+          fill="none"
+          stroke="#93c5fd"
+          strokeDasharray="4 3"
+        />
+
+        {items.map((it) => {
+          const isSel = it.name === selected;
+          return (
+            <g
+              key={it.name}
+              opacity={it.active ? 1 : 0.35}
+              style={{ cursor: 'pointer' }}
+              onPointerDown={(e) => {
+                e.stopPropagation();
+                onSelect(isSel ? null : it.name);
+              }}
+            >
+              {showSpheres && it.active && (
+                <circle
+                  cx={it.s.x}
+                  cy={it.s.y}
+                  r={it.r * scale}
+                  fill={it.color}
+                  fillOpacity={0.06}
+                  stroke={it.color}
+                  strokeOpacity={0.35}
+                />
+              )}
+              {isSel && (
+                <circle
+                  cx={it.s.x}
+                  cy={it.s.y}
+                  r={10}
+                  fill="none"
+                  stroke="#f59e0b"
+                  strokeWidth={3}
+                />
+              )}
+              <circle cx={it.s.x} cy={it.s.y} r={5} fill={it.color} />
+              <text
+                x={it.s.x + 6}
+                y={it.s.y - 6}
+                fontSize={12}
+                fill={it.color}
+                fontWeight={isSel ? 700 : 400}
+              >
+                {it.name}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+export default View3D;
@@ -0,0 +1,237 @@
+import { dist3D, mulberry32 } from './geometry';
+import { N_POINTS, key01 } from './constants';
+import { solutionQuality } from './bluePoints';
+import { DEFAULT_RULES } from './ruleProfiles';
+import { seedToInt } from './seed';
+
+// Reinicios independientes (cada uno aporta una alternativa) e iteraciones por punto libre
+const RESTARTS = 6;
+export const ITER_PER_POINT = 4000;
+// Temperatura inicial y final del enfriamiento exponencial
+const T0 = 0.3;
+const T_END = 0.002;
+// Peso de las infracciones frente a la separación (una infracción pesa más que cualquier mejora)
+const PENALTY_WEIGHT = 10;
+// Tope de la separación normalizada (sin fuentes o con un solo punto no hay mínimo)
+const SPACING_CAP = 10;
+const PROGRESS_EVERY = 500;
+
+const cellKey = (p) => `${key01(p.x)},${key01(p.y)},${key01(p.z)}`;
+
+/**
+ * Optimizador global por recocido simulado. Minimiza
+ *   PENALTY_WEIGHT · infracciones − separación,
+ * donde las infracciones son coordenadas X/Y repetidas (también con las
+ * fuentes activas), Z repetidas entre puntos y distancias F–P o P–P por debajo
+ * del mínimo (proporcionales al déficit), y la separación es el mínimo de
+ * P–P/mín P–P y F–P/mín F–P (criterio maximin). Los movimientos cambian un
+ * punto libre a una celda vecina o, a veces, a cualquier candidato.
+ * Misma interfaz que generateBluePoints; en lugar de maxNodes, cada reinicio
+ * hace iterationsPerPoint iteraciones por punto libre (ITER_PER_POINT por
+ * defecto). Con timeBudgetMs = Infinity el resultado solo depende de la
+ * semilla y de ese tope, no de la velocidad de la máquina.
+ * @param {Object} args Candidatos, fuentes, semilla, reglas y opciones.
+ * @returns {{points:object[], feasible:boolean, alternatives:object[], timedOut:boolean}} Resultado.
+ */
+export function annealBluePoints({
+  sources = [],
+  candidates,
+  seed = null,
+  seedMode = 'hash',
+  genNonce,
+  rules = DEFAULT_RULES,
+  count = N_POINTS,
+  locked = [],
+  timeBudgetMs = Infinity,
+  iterationsPerPoint = ITER_PER_POINT,
+  onProgress = null,
+}) {
+  if (!candidates.length)
+    return { points: [], feasible: false, alternatives: [], timedOut: false };
+
+  const rng = mulberry32(
+    seed
+      ? seedToInt(seed, seedMode)
+      : (Date.now() ^ (genNonce * 0x9e3779b9)) >>> 0
+  );
+  const anchors = sources.filter((f) => f.active !== false);
+  const fixed = locked.slice(0, count).filter(Boolean);
+  const free = count - fixed.length;
+  const assemble = (pts) => {
+    let k = fixed.length;
+    return Array.from({ length: count }, (_, i) => locked[i] || pts[k++]);
+  };
+  // Celdas en enteros de 0,1 m para comparar coordenadas sin redondeos
+  const wrap = (p) => ({
+    p,
+    ix: Math.round(p.x * 10),
+    iy: Math.round(p.y * 10),
+    iz: Math.round(p.z * 10),
+  });
+  const pool = candidates.map(wrap);
+  const cells = new Map(pool.map((w) => [`${w.ix},${w.iy},${w.iz}`, w]));
+  const randomCandidate = () => pool[Math.floor(rng() * pool.length)];
+  const A = anchors.map(wrap);
+  const nf = fixed.length,
+    a = A.length;
+
+  // Matrices de distancias e infracciones por pareja (P–P y P–F); al mover un
+  // punto solo se recalcula su fila
+  const D = new Float64Array(count * count),
+    P = new Float64Array(count * count),
+    DF = new Float64Array(count * a),
+    PF = new Float64Array(count * a);
+  const updateRow = (S, i) => {
+    const u = S[i];
+    for (let j = 0; j < count; j++) {
+      if (j === i || (i < nf && j < nf)) continue;
+      const v = S[j];
+      const d = dist3D(u.p, v.p);
+      let pen = (u.ix === v.ix) + (u.iy === v.iy) + (u.iz === v.iz);
+      if (d < rules.minBlueBlue)
+        pen += (rules.minBlueBlue - d) / rules.minBlueBlue;
+      D[i * count + j] = D[j * count + i] = d;
+      P[i * count + j] = P[j * count + i] = pen;
+    }
+    if (i < nf) return;
+    for (let f = 0; f < a; f++) {
+      const d = dist3D(u.p, A[f].p);
+      let pen = (u.ix === A[f].ix) + (u.iy === A[f].iy);
+      if (d < rules.minRedBlue)
+        pen += (rules.minRedBlue - d) / rules.minRedBlue;
+      DF[i * a + f] = d;
+      PF[i * a + f] = pen;
+    }
+  };
+  const evaluate = () => {
+    let penalty = 0,
+      minPP = Infinity,
+      minFP = Infinity;
+    for (let i = nf; i < count; i++) {
+      for (let j = 0; j < i; j++) {
+        penalty += P[i * count + j];
+        if (D[i * count + j] < minPP) minPP = D[i * count + j];
+      }
+      for (let f = 0; f < a; f++) {
+        penalty += PF[i * a + f];
+        if (DF[i * a + f] < minFP) minFP = DF[i * a + f];
+      }
+    }
+    const spacing = Math.min(
+      SPACING_CAP,
+      minPP / rules.minBlueBlue,
+      minFP / rules.minRedBlue
+    );
+    return { penalty, energy: PENALTY_WEIGHT * penalty - spacing };
+  };
+
+  // Vecino: desplazar hasta ±0,3 m por eje a otra celda válida; si no, un candidato cualquiera
+  const step = () => Math.floor(rng() * 7) - 3;
+  const propose = (w) => {
+    if (rng() < 0.85)
+      for (let t = 0; t < 6; t++) {
+        const c = cells.get(
+          `${w.ix + step()},${w.iy + step()},${w.iz + step()}`
+        );
+        if (c && c !== w) return c;
+      }
+    return randomCandidate();
+  };
+
+  const iterations = Math.max(1, free) * iterationsPerPoint;
+  const total = RESTARTS * iterations;
+  const t0 = Date.now();
+  let timedOut = false;
+  const bests = [];
+  const saved = new Float64Array(2 * count + 2 * a);
+
+  for (let r = 0; r < RESTARTS && !timedOut; r++) {
+    const state = [
+      ...fixed.map(wrap),
+      ...Array.from({ length: free }, randomCandidate),
+    ];
+    for (let i = 0; i < count; i++) updateRow(state, i);
+    let cur = evaluate();
+    let best = { pts: state.slice(), ...cur };
+    for (let it = 0; it < iterations && free > 0; it++) {
+      if (it % PROGRESS_EVERY === 0) {
+        const elapsedMs = Date.now() - t0;
+        if (elapsedMs > timeBudgetMs) {
+          timedOut = true;
+          break;
+        }
+        if (onProgress)
+          onProgress({
+            fraction: Math.min(
+              1,
+              Math.max((r * iterations + it) / total, elapsedMs / timeBudgetMs)
+            ),
+            solutions: bests.filter((b) => b.penalty === 0).length,
+            elapsedMs,
+          });
+      }
+      const T = T0 * Math.pow(T_END / T0, it / iterations);
+      const i = nf + Math.floor(rng() * free);
+      const prev = state[i];
+      // Guardar la fila i por si se rechaza el movimiento
+      for (let j = 0; j < count; j++) {
+        saved[j] = D[i * count + j];
+        saved[count + j] = P[i * count + j];
+      }
+      for (let f = 0; f < a; f++) {
+        saved[2 * count + f] = DF[i * a + f];
+        saved[2 * count + a + f] = PF[i * a + f];
+      }
+      state[i] = propose(prev);
+      updateRow(state, i);
+      const ev = evaluate();
+      if (
+        ev.energy <= cur.energy ||
+        rng() < Math.exp((cur.energy - ev.energy) / T)
+      ) {
+        cur = ev;
+        if (cur.energy < best.energy) best = { pts: state.slice(), ...cur };
+      } else {
+        state[i] = prev;
+        for (let j = 0; j < count; j++) {
+          if (j === i) continue;
+          D[i * count + j] = D[j * count + i] = saved[j];
+          P[i * count + j] = P[j * count + i] = saved[count + j];
+        }
+        for (let f = 0; f < a; f++) {
+          DF[i * a + f] = saved[2 * count + f];
+          PF[i * a + f] = saved[2 * count + a + f];
+        }
+      }
+    }
+    bests.push({ ...best, pts: best.pts.map((w) => w.p) });
+  }
+
+  // Alternativas: el mejor estado de cada reinicio (sin repetir), válidos si los hay
+  const seen = new Set();
+  const unique = bests
+    .sort((a, b) => a.energy - b.energy)
+    .filter((b) => {
+      const key = b.pts.map(cellKey).join(';');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  const valid = unique.filter((b) => b.penalty === 0);
+  const kept = valid.length ? valid : unique.slice(0, 1);
+  const alternatives = kept.map((b) => {
+    const points = assemble(b.pts.slice(fixed.length));
+    return { points, quality: solutionQuality(points, anchors) };
+  });
+  alternatives.sort(
+    (a, b) =>
+      (b.quality.minPP ?? 0) - (a.quality.minPP ?? 0) ||
+      (b.quality.minFP ?? 0) - (a.quality.minFP ?? 0)
+  );
+  return {
+    points: alternatives[0].points,
+    feasible: valid.length > 0,
+    alternatives,
+    timedOut,
+  };
+}
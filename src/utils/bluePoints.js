@@ -1,5 +1,27 @@
 import { dist3D } from './geometry';
-import { MIN_BLUE_BLUE, MIN_RED_BLUE, key01 } from './constants';
+import { N_POINTS, key01, round01 } from './constants';
+import { DEFAULT_RULES } from './ruleProfiles';
+
+/**
+ * Alturas Z preferidas para cada punto: escalones de 0,1 m centrados en 1,2 m
+ * (para 5 puntos: 1,0 … 1,4).
+ * @param {number} [n] Número de puntos.
+ * @returns {number[]} Alturas objetivo, una por punto.
+ */
+export function desiredHeights(n = N_POINTS) {
+  const start = 1.2 - 0.1 * Math.floor((n - 1) / 2);
+  return Array.from({ length: n }, (_, i) => round01(start + 0.1 * i));
+}
+
+/**
+ * Menor número de puntos que conserva todos los bloqueados: bajar de ahí
+ * dejaría fuera de la generación un punto que el usuario fijó.
+ * @param {({locked?:boolean}|null)[]} points Puntos azules (o bloqueados por posición).
+ * @returns {number} Índice del último bloqueado + 1 (al menos 1).
+ */
+export function minPointCount(points) {
+  return Math.max(1, points.findLastIndex((p) => p?.locked) + 1);
+}
 
 /**
  * Distancia mínima entre un candidato y un conjunto de puntos.
@@ -11,6 +33,27 @@ export function minDistToSet(p, set) {
   return set.reduce((m, q) => Math.min(m, dist3D(p, q)), Infinity);
 }
 
+/**
+ * Calidad de una solución: distancia mínima entre puntos y de los puntos a las fuentes.
+ * @param {{x:number,y:number,z:number}[]} pts Puntos de la solución.
+ * @param {{x:number,y:number,z:number}[]} anchors Fuentes activas.
+ * @returns {{minPP:number|null, minFP:number|null}} Distancias mínimas 3D (null si no aplica).
+ */
+export function solutionQuality(pts, anchors) {
+  let minPP = Infinity;
+  for (let i = 0; i < pts.length; i++)
+    for (let j = i + 1; j < pts.length; j++)
+      minPP = Math.min(minPP, dist3D(pts[i], pts[j]));
+  const minFP = pts.reduce(
+    (m, p) => Math.min(m, minDistToSet(p, anchors)),
+    Infinity
+  );
+  return {
+    minPP: Number.isFinite(minPP) ? minPP : null,
+    minFP: Number.isFinite(minFP) ? minFP : null,
+  };
+}
+
 /**
  * Puntuación tipo maximin con jitter para priorizar separación entre puntos y fuentes.
  * @param {{x:number,y:number,z:number}} cand Candidato a evaluar.
@@ -42,12 +85,21 @@ export function scoreMaximin(cand, chosen, redAnchors, rng) {
  * @param {Map<string,{x:number,y:number,z:number}[]>} byZ Índice de candidatos por nivel Z (clave: key01(Z)).
  * @param {() => {x:number,y:number,z:number}[]} redAnchors Fuentes activas.
  * @param {() => number} rng Generador pseudoaleatorio usado en score.
+ * @param {{minRedBlue:number, minBlueBlue:number}} [rules] Perfil de reglas activo.
+ * @param {number} [fixedCount] Los primeros fixedCount puntos están bloqueados y no se mueven.
  * @returns {{x:number,y:number,z:number}[]} Conjunto refinado.
  */
-export function refinePoints(pts, byZ, redAnchors, rng) {
+export function refinePoints(
+  pts,
+  byZ,
+  redAnchors,
+  rng,
+  rules = DEFAULT_RULES,
+  fixedCount = 0
+) {
   const best = pts.slice();
   for (let it = 0; it < 2; it++) {
-    for (let i = 0; i < best.length; i++) {
+    for (let i = fixedCount; i < best.length; i++) {
       const zi = key01(best[i].z);
       const anchors = redAnchors();
       const pool = (byZ.get(zi) || []).filter((c) => {
@@ -62,10 +114,11 @@ export function refinePoints(pts, byZ, redAnchors, rng) {
           return false;
         if (anchors.some((r) => key01(r.x) === cx || key01(r.y) === cy))
           return false;
-        if (!anchors.every((r) => dist3D(c, r) >= MIN_RED_BLUE)) return false;
+        if (!anchors.every((r) => dist3D(c, r) >= rules.minRedBlue))
+          return false;
         if (
           !best.every((q, k) =>
-            k === i ? true : dist3D(c, q) >= MIN_BLUE_BLUE
+            k === i ? true : dist3D(c, q) >= rules.minBlueBlue
           )
         )
           return false;
@@ -0,0 +1,80 @@
+import { EPS, STEP, key01, round01 } from './constants';
+import { minDistToRoomEdges, pointInRoom } from './geometry';
+import { zonesContaining } from './exclusions';
+import { ceilingHeightFn } from './ceiling';
+
+/**
+ * Posiciones candidatas del generador: rejilla de 0,1 m dentro del recinto,
+ * a ≥ margen de las caras (incluidos huecos y techo) y fuera de las zonas
+ * excluidas. Con techo inclinado, cada celda solo admite los niveles Z que
+ * quedan bajo su techo menos el margen.
+ * @param {Object} room Geometría del recinto.
+ * @param {{x:number,y:number}[]} room.vertices Contorno exterior.
+ * @param {{x:number,y:number}[][]} [room.holes] Huecos interiores.
+ * @param {import('./exclusions').ExclusionZone[]} [room.exclusions] Zonas excluidas.
+ * @param {import('./ceiling').CeilingModel} [room.ceiling] Techo.
+ * @param {number} room.alturaZ Altura del techo horizontal.
+ * @param {number} margin Distancia mínima a las caras (m).
+ * @returns {{candidates:{x:number,y:number,z:number}[], byZ:Map<number,object[]>, zLevelsAll:number[]}}
+ *   Candidatos, candidatos agrupados por nivel Z y niveles Z presentes.
+ */
+export function buildCandidates(
+  { vertices, holes = [], exclusions = [], ceiling, alturaZ },
+  margin
+) {
+  const heightAt = ceilingHeightFn(ceiling, alturaZ);
+  const topZ = Math.max(...vertices.map(heightAt));
+
+  // Celdas XY válidas
+  const xs = [],
+    ys = [];
+  const minX = Math.min(...vertices.map((v) => v.x)),
+    maxX = Math.max(...vertices.map((v) => v.x)),
+    minY = Math.min(...vertices.map((v) => v.y)),
+    maxY = Math.max(...vertices.map((v) => v.y));
+  for (
+    let x = Math.ceil((minX + margin) * 10) / 10;
+    x <= maxX - margin + EPS;
+    x += STEP
+  )
+    xs.push(round01(x));
+  for (
+    let y = Math.ceil((minY + margin) * 10) / 10;
+    y <= maxY - margin + EPS;
+    y += STEP
+  )
+    ys.push(round01(y));
+  const xyCells = [];
+  for (const x of xs)
+    for (const y of ys) {
+      const p = { x, y };
+      if (!pointInRoom(p, vertices, holes)) continue;
+      if (minDistToRoomEdges(p, vertices, holes) < margin - EPS) continue;
+      if (zonesContaining(p, exclusions).length) continue;
+      xyCells.push(p);
+    }
+
+  // Niveles Z válidos
+  const zLevels = [];
+  for (let z = Math.ceil(margin * 10) / 10; z <= topZ - margin + EPS; z += STEP)
+    zLevels.push(round01(z));
+
+  const candidates = [];
+  for (const p of xyCells) {
+    const zMax = heightAt(p) - margin + EPS;
+    for (const z of zLevels)
+      if (z <= zMax) candidates.push({ x: p.x, y: p.y, z });
+  }
+
+  // Índices precomputados para el generador (optimización clave)
+  const byZ = new Map();
+  for (const c of candidates) {
+    const k = key01(c.z);
+    if (!byZ.has(k)) byZ.set(k, []);
+    byZ.get(k).push(c);
+  }
+  const zLevelsAll = Array.from(new Set(candidates.map((c) => c.z))).sort(
+    (a, b) => a - b
+  );
+  return { candidates, byZ, zLevelsAll };
+}
@@ -0,0 +1,99 @@
+import { EPS, round01 } from './constants';
+
+/**
+ * Modelo de techo del recinto. 'flat' usa la altura Z única; 'plane' es un
+ * techo inclinado que pasa por tres puntos (buhardillas, aulas escalonadas...).
+ * @typedef {Object} CeilingModel
+ * @property {'flat'|'plane'} type Tipo de techo.
+ * @property {{x:number,y:number,z:number}[]} [points] Tres puntos del plano (plane).
+ */
+
+/**
+ * Coeficientes del plano z = a + b·x + c·y que pasa por tres puntos.
+ * @param {{x:number,y:number,z:number}[]} points Tres puntos del techo.
+ * @returns {{a:number,b:number,c:number}|null} null si los puntos están alineados en planta.
+ */
+export function ceilingPlane(points) {
+  if (!points || points.length < 3) return null;
+  const [p, q, r] = points;
+  const ux = q.x - p.x,
+    uy = q.y - p.y,
+    uz = q.z - p.z;
+  const vx = r.x - p.x,
+    vy = r.y - p.y,
+    vz = r.z - p.z;
+  const det = ux * vy - uy * vx;
+  if (Math.abs(det) < EPS) return null;
+  const b = (uz * vy - uy * vz) / det;
+  const c = (ux * vz - uz * vx) / det;
+  return { a: p.z - b * p.x - c * p.y, b, c };
+}
+
+/**
+ * Función de altura del techo en planta. Un plano no válido (puntos alineados)
+ * se trata como techo horizontal a la altura Z.
+ * @param {CeilingModel} ceiling Modelo de techo.
+ * @param {number} alturaZ Altura del techo horizontal.
+ * @returns {(p:{x:number,y:number}) => number} Altura del techo sobre p.
+ */
+export function ceilingHeightFn(ceiling, alturaZ) {
+  const plane =
+    ceiling && ceiling.type === 'plane' && ceilingPlane(ceiling.points);
+  if (!plane) return () => alturaZ;
+  return (p) => plane.a + plane.b * p.x + plane.c * p.y;
+}
+
+/**
+ * Volumen bajo el techo de un recinto con huecos. Para un plano la integral
+ * es exacta: a·A + b·∫x dA + c·∫y dA (momentos del polígono).
+ * @param {{x:number,y:number}[]} outer Contorno exterior.
+ * @param {{x:number,y:number}[][]} holes Anillos interiores.
+ * @param {(p:{x:number,y:number}) => number} heightAt Altura del techo (lineal en x, y).
+ * @returns {number} Volumen en unidades cúbicas.
+ */
+export function roomVolume(outer, holes, heightAt) {
+  // Área y momentos con signo positivo para cualquier orientación del anillo
+  const moments = (ring) => {
+    let A = 0,
+      Sx = 0,
+      Sy = 0;
+    for (let i = 0; i < ring.length; i++) {
+      const p = ring[i],
+        q = ring[(i + 1) % ring.length];
+      const cr = p.x * q.y - q.x * p.y;
+      A += cr;
+      Sx += (p.x + q.x) * cr;
+      Sy += (p.y + q.y) * cr;
+    }
+    const s = A < 0 ? -1 : 1;
+    return { A: (s * A) / 2, Sx: (s * Sx) / 6, Sy: (s * Sy) / 6 };
+  };
+  const o = moments(outer);
+  const m = holes
+    .map(moments)
+    .reduce(
+      (acc, h) => ({ A: acc.A - h.A, Sx: acc.Sx - h.Sx, Sy: acc.Sy - h.Sy }),
+      o
+    );
+  // Recuperar a, b, c evaluando la función lineal en tres puntos
+  const a = heightAt({ x: 0, y: 0 });
+  const b = heightAt({ x: 1, y: 0 }) - a;
+  const c = heightAt({ x: 0, y: 1 }) - a;
+  return a * m.A + b * m.Sx + c * m.Sy;
+}
+
+/**
+ * Plano inicial al pasar a techo inclinado: los tres primeros vértices del
+ * recinto a la altura Z actual (horizontal hasta que se edite una Z).
+ * @param {{x:number,y:number}[]} vertices Contorno del recinto.
+ * @param {number} alturaZ Altura actual.
+ * @returns {CeilingModel} Techo inclinado.
+ */
+export function createCeilingPlane(vertices, alturaZ) {
+  return {
+    type: 'plane',
+    points: vertices
+      .slice(0, 3)
+      .map(({ x, y }) => ({ x: round01(x), y: round01(y), z: alturaZ })),
+  };
+}
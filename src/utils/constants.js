@@ -13,3 +13,12 @@ export const MARGIN = 0.5; // a caras (incluye Z)
 export const MIN_RED_BLUE = 1.0; // F–P ≥ 1,0 m (3D)
 export const MIN_BLUE_BLUE = 0.7; // P–P ≥ 0,7 m (3D)
 export const MIN_F_F_AXIS = 0.7; // F–F ≥ 0,7 m en cada eje
+
+// Puntos de medida (receptores)
+export const N_POINTS = 5; // número por defecto (P1..P5)
+export const MAX_POINTS = 12;
+export const MAX_SOURCES = 6;
+
+// Contorno del recinto (el máximo se puede ampliar aquí)
+export const MIN_VERTICES = 3;
+export const MAX_VERTICES = 24;
@@ -0,0 +1,74 @@
+import { dist3D } from './geometry';
+
+/**
+ * Separador decimal de una configuración regional ("," en es-ES, "." en en-US).
+ * @param {string} [locale] Configuración regional (por defecto, la del navegador).
+ * @returns {string} "," o ".".
+ */
+export function localeDecimal(locale) {
+  const part = new Intl.NumberFormat(locale)
+    .formatToParts(1.5)
+    .find((p) => p.type === 'decimal');
+  return part && part.value === ',' ? ',' : '.';
+}
+
+/**
+ * Formatea un número con el separador decimal indicado.
+ * @param {number} n Valor.
+ * @param {string} decimal Separador decimal.
+ * @param {number} [digits] Decimales.
+ * @returns {string} Número formateado.
+ */
+export function formatNum(n, decimal, digits = 2) {
+  return n.toFixed(digits).replace('.', decimal);
+}
+
+/**
+ * Convierte filas en texto CSV. Con decimal "," las columnas se separan con ";"
+ * (convención de las hojas de cálculo en español).
+ * @param {(string|number)[][]} rows Filas de celdas ya formateadas.
+ * @param {string} decimal Separador decimal en uso.
+ * @returns {string} Texto CSV (líneas separadas por CRLF).
+ */
+export function toCsv(rows, decimal) {
+  const sep = decimal === ',' ? ';' : ',';
+  const cell = (v) => {
+    const s = String(v ?? '');
+    const needsQuotes = s.includes(sep) || /["\r\n]/.test(s);
+    return needsQuotes ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map((r) => r.map(cell).join(sep)).join('\r\n');
+}
+
+/**
+ * Construye el CSV de informe: tabla de puntos, matriz de distancias 3D y avisos.
+ * @param {{name:string, p:{x:number,y:number,z:number}, active:boolean}[]} points Fuentes y puntos con su flag de activación.
+ * @param {string[]} warnings Avisos de incoherencia actuales.
+ * @param {{decimal?:string, title?:string, seed?:string|null}} [options] Separador decimal, título del recinto y semilla de los puntos.
+ * @returns {string} Contenido del archivo .csv (con BOM para que Excel detecte UTF-8).
+ */
+export function buildPointsCsv(points, warnings, options = {}) {
+  const decimal = options.decimal || localeDecimal();
+  const num = (n) => formatNum(n, decimal);
+  const active = points.filter((pt) => pt.active);
+  const rows = [];
+  if (options.title) rows.push([options.title], []);
+  if (options.seed) rows.push(['Semilla', options.seed], []);
+
+  rows.push(['Tabla de puntos'], ['Punto', 'Activa', 'X', 'Y', 'Z']);
+  points.forEach(({ name, p, active: on }) =>
+    rows.push([name, on ? 'sí' : 'no', num(p.x), num(p.y), num(p.z)])
+  );
+
+  rows.push([], ['Tabla de distancias 3D (m)']);
+  rows.push(['', ...active.map((pt) => pt.name)]);
+  active.forEach((a) =>
+    rows.push([a.name, ...active.map((b) => num(dist3D(a.p, b.p)))])
+  );
+
+  rows.push([], ['Avisos']);
+  if (warnings.length) warnings.forEach((w) => rows.push([w]));
+  else rows.push(['Sin avisos: se cumplen todas las reglas']);
+
+  return '\uFEFF' + toCsv(rows, decimal) + '\r\n';
+}
@@ -0,0 +1,96 @@
+import { dist3D } from './geometry';
+import { sourceName } from './labels';
+
+/**
+ * Lista con nombre de fuentes y puntos para la tabla de distancias y las
+ * comprobaciones. Siempre incluye todas las fuentes y N puntos (o los que
+ * haya, si son más); las fuentes inactivas y los puntos ocultos o aún sin
+ * generar llevan p = null ("--" en la tabla, sin comprobaciones).
+ * @param {Object} args Estado del recinto.
+ * @param {{x:number,y:number,z:number,active?:boolean}[]} args.sources Fuentes.
+ * @param {{x:number,y:number,z:number}[]} args.blue Puntos de medida.
+ * @param {boolean} args.blueActive Si los puntos se muestran.
+ * @param {number} args.nPoints Número de puntos pedido.
+ * @returns {{name:string, p:object|null, color:string}[]} Lista con nombre.
+ */
+export function namedPoints({ sources, blue, blueActive, nPoints }) {
+  const arr = sources.map((f, i) => ({
+    name: sourceName(i),
+    p: f.active !== false ? f : null,
+    color: '#e11d48',
+  }));
+  const maxP = Math.max(nPoints, blue.length);
+  for (let i = 0; i < maxP; i++) {
+    const b = blue[i] || null;
+    arr.push({
+      name: `P${i + 1}`,
+      p: blueActive && b ? b : null,
+      color: '#2563eb',
+    });
+  }
+  return arr;
+}
+
+/**
+ * Valida distancias entre todos los puntos activos y clasifica violaciones.
+ * @param {{name:string,p:{x:number,y:number,z:number}}[]} points Lista de puntos con nombre.
+ * @param {{rules:{minRedBlue:number,minBlueBlue:number,minFFAxis:number}}} options Perfil de reglas activo.
+ * @returns {{pairs:Set<string>, msgs:string[], kinds:Set<'FF'|'FP'|'PP'>}} Pares en violación, mensajes de detalle y tipos de regla incumplidos.
+ */
+export function checkAllDistances(points, { rules }) {
+  const pairs = new Set();
+  const kinds = new Set();
+  const msgs = [];
+  const N = points.length;
+
+  for (let i = 0; i < N; i++) {
+    for (let j = i + 1; j < N; j++) {
+      const A = points[i],
+        B = points[j];
+      if (!A.p || !B.p) continue; // sin datos => sin chequeo ni mensaje
+      const nameA = A.name,
+        nameB = B.name;
+      const isFA = nameA.startsWith('F');
+      const isFB = nameB.startsWith('F');
+      const isPA = nameA.startsWith('P');
+      const isPB = nameB.startsWith('P');
+
+      if (isFA && isFB) {
+        const dx = Math.abs(A.p.x - B.p.x);
+        const dy = Math.abs(A.p.y - B.p.y);
+        const dz = Math.abs(A.p.z - B.p.z);
+        const parts = [];
+        if (dx < rules.minFFAxis) parts.push(`|X|=${dx.toFixed(1)}`);
+        if (dy < rules.minFFAxis) parts.push(`|Y|=${dy.toFixed(1)}`);
+        if (dz < rules.minFFAxis) parts.push(`|Z|=${dz.toFixed(1)}`);
+        if (parts.length) {
+          pairs.add(`${i}-${j}`);
+          kinds.add('FF');
+          msgs.push(
+            `${nameA}–${nameB}: ${parts.join(', ')} < ${rules.minFFAxis.toFixed(1)} m`
+          );
+        }
+      } else if ((isFA && isPB) || (isFB && isPA)) {
+        const d = dist3D(A.p, B.p);
+        if (d < rules.minRedBlue) {
+          pairs.add(`${i}-${j}`);
+          kinds.add('FP');
+          msgs.push(
+            `${nameA}–${nameB} = ${d.toFixed(1)} < ${rules.minRedBlue.toFixed(1)} m (3D)`
+          );
+        }
+      } else if (isPA && isPB) {
+        const d = dist3D(A.p, B.p);
+        if (d < rules.minBlueBlue) {
+          pairs.add(`${i}-${j}`);
+          kinds.add('PP');
+          msgs.push(
+            `${nameA}–${nameB} = ${d.toFixed(1)} < ${rules.minBlueBlue.toFixed(1)} m (3D)`
+          );
+        }
+      }
+    }
+  }
+
+  return { pairs, msgs, kinds };
+}
@@ -0,0 +1,18 @@
+/**
+ * Descarga un contenido de texto como archivo desde el navegador.
+ * @param {string|Blob} content Contenido del archivo.
+ * @param {string} filename Nombre sugerido.
+ * @param {string} [type] Tipo MIME (si content es texto).
+ */
+export function downloadFile(content, filename, type = 'text/plain') {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,80 @@
+import { EPS, round01 } from './constants';
+import { minDistToEdges2D, pointInPolygon } from './geometry';
+
+/**
+ * Zona excluida (pilar, mueble, barrido de puerta, máquina...) donde no se
+ * puede colocar ningún punto. Se amplía con su propia holgura.
+ * @typedef {Object} ExclusionZone
+ * @property {'rect'|'poly'} type Rectángulo (x, y, w, h) o polígono (vertices).
+ * @property {number} [x] Esquina inferior izquierda X (rect).
+ * @property {number} [y] Esquina inferior izquierda Y (rect).
+ * @property {number} [w] Ancho en X (rect).
+ * @property {number} [h] Fondo en Y (rect).
+ * @property {{x:number,y:number}[]} [vertices] Contorno (poly).
+ * @property {number} clearance Holgura alrededor de la zona (m).
+ */
+
+// Nombre visible de la zona i (0 -> Z1)
+export const zoneName = (i) => `Z${i + 1}`;
+
+/**
+ * Contorno de una zona como polígono.
+ * @param {ExclusionZone} zone Zona excluida.
+ * @returns {{x:number,y:number}[]} Vértices en orden.
+ */
+export function zonePolygon(zone) {
+  if (zone.type === 'poly') return zone.vertices;
+  const { x, y, w, h } = zone;
+  return [
+    { x, y },
+    { x: x + w, y },
+    { x: x + w, y: y + h },
+    { x, y: y + h },
+  ];
+}
+
+/**
+ * Indica si un punto cae dentro de la zona o a menos de su holgura.
+ * @param {{x:number,y:number}} p Punto en planta.
+ * @param {ExclusionZone} zone Zona excluida.
+ * @returns {boolean} true si el punto está excluido.
+ */
+export function insideZone(p, zone) {
+  const poly = zonePolygon(zone);
+  if (poly.length < 3) return false;
+  return (
+    pointInPolygon(p, poly) ||
+    minDistToEdges2D(p, poly) < (zone.clearance || 0) - EPS
+  );
+}
+
+/**
+ * Índices de las zonas que excluyen un punto.
+ * @param {{x:number,y:number}} p Punto en planta.
+ * @param {ExclusionZone[]} zones Zonas del recinto.
+ * @returns {number[]} Índices de zona (vacío si el punto es válido).
+ */
+export function zonesContaining(p, zones) {
+  return zones.flatMap((z, i) => (insideZone(p, z) ? [i] : []));
+}
+
+/**
+ * Crea una zona nueva centrada en un punto.
+ * @param {'rect'|'poly'} type Tipo de zona.
+ * @param {{x:number,y:number}} c Centro aproximado.
+ * @returns {ExclusionZone} Zona de 0,6 × 0,6 m (rect) o triángulo equivalente (poly).
+ */
+export function createZone(type, c) {
+  const x = round01(c.x - 0.3),
+    y = round01(c.y - 0.3);
+  if (type === 'rect') return { type, x, y, w: 0.6, h: 0.6, clearance: 0.2 };
+  return {
+    type,
+    vertices: [
+      { x, y },
+      { x: round01(x + 0.6), y },
+      { x: round01(x + 0.3), y: round01(y + 0.6) },
+    ],
+    clearance: 0.2,
+  };
+}
@@ -0,0 +1,263 @@
+import { EPS, STEP, key01, round01 } from './constants';
+import { dist3D, minDistToRoomEdges, pointInRoom } from './geometry';
+import { ceilingHeightFn } from './ceiling';
+import { buildCandidates } from './candidates';
+import { sourceName } from './labels';
+
+// Tiempo total del diagnóstico y de cada comprobación con el optimizador (ms)
+const DIAGNOSIS_MS = 6000;
+const CHECK_MS = 400;
+// Desplazamiento máximo que se propone para una fuente (m) y movimientos que
+// se comprueban con el optimizador en cada paso de 0,1 m
+const MAX_SOURCE_MOVE = 1;
+const MOVES_PER_STEP = 2;
+const AXES = ['x', 'y', 'z'];
+
+const fmt = (n) => n.toFixed(1).replace('.', ',');
+
+/**
+ * Etapa del embudo de candidatos: cuántas celdas (o valores distintos de una
+ * coordenada) quedan tras aplicar una regla más, frente a los que necesitan
+ * los puntos libres.
+ * @typedef {Object} FeasibilityStage
+ * @property {string} id Identificador de la regla.
+ * @property {string} label Descripción visible.
+ * @property {number} remaining Celdas o valores que quedan.
+ * @property {number} needed Puntos libres que hay que colocar.
+ */
+
+/**
+ * Arreglo mínimo propuesto: reducir el número de puntos o mover una fuente.
+ * @typedef {{type:'count', count:number}|{type:'source', index:number, axis:'x'|'y'|'z', delta:number}} FeasibilityFix
+ */
+
+/**
+ * Etapas que dependen de las fuentes y de los puntos bloqueados, aplicadas
+ * sobre los candidatos geométricos.
+ * @param {{x:number,y:number,z:number}[]} candidates Candidatos del recinto.
+ * @param {{x:number,y:number,z:number,active?:boolean}[]} sources Fuentes.
+ * @param {Object} rules Perfil de reglas activo.
+ * @param {number} count Número de puntos.
+ * @param {(object|null)[]} locked Puntos bloqueados por posición.
+ * @returns {{stages:FeasibilityStage[], pool:object[]}} Etapas y candidatos supervivientes.
+ */
+function sourceStages(candidates, sources, rules, count, locked) {
+  const anchors = sources.filter((f) => f.active !== false);
+  const fixed = locked.slice(0, count).filter(Boolean);
+  const needed = count - fixed.length;
+  const usedX = new Set(anchors.map((f) => key01(f.x)));
+  const usedY = new Set(anchors.map((f) => key01(f.y)));
+
+  const stages = [];
+  let pool = candidates.filter(
+    (c) => !usedX.has(key01(c.x)) && !usedY.has(key01(c.y))
+  );
+  stages.push({
+    id: 'sourceXY',
+    label: 'X e Y distintas de las fuentes',
+    remaining: pool.length,
+    needed,
+  });
+  pool = pool.filter((c) =>
+    anchors.every((f) => dist3D(c, f) >= rules.minRedBlue)
+  );
+  stages.push({
+    id: 'minRedBlue',
+    label: `Fuente – Punto ≥ ${fmt(rules.minRedBlue)} m`,
+    remaining: pool.length,
+    needed,
+  });
+  if (fixed.length) {
+    pool = pool.filter((c) =>
+      fixed.every(
+        (p) =>
+          key01(c.x) !== key01(p.x) &&
+          key01(c.y) !== key01(p.y) &&
+          key01(c.z) !== key01(p.z) &&
+          dist3D(c, p) >= rules.minBlueBlue
+      )
+    );
+    stages.push({
+      id: 'locked',
+      label: 'Compatibles con los puntos bloqueados',
+      remaining: pool.length,
+      needed,
+    });
+  }
+  // Cada punto libre necesita su propia X, Y y Z
+  for (const axis of AXES)
+    stages.push({
+      id: `distinct${axis.toUpperCase()}`,
+      label: `Valores de ${axis.toUpperCase()} distintos disponibles`,
+      remaining: new Set(pool.map((c) => key01(c[axis]))).size,
+      needed,
+    });
+  return { stages, pool };
+}
+
+const blocks = (s) => s.remaining < s.needed;
+
+/**
+ * Diagnóstico de una generación sin solución válida:
+ * - stages: embudo de candidatos regla a regla (recinto, margen, zonas
+ *   excluidas, fuentes, puntos bloqueados y coordenadas distintas);
+ * - blocking: primera regla que deja menos candidatos que puntos libres, o
+ *   null si ninguna lo hace por sí sola (falla la separación P–P combinada
+ *   con las coordenadas únicas);
+ * - fixes: arreglos mínimos comprobados con el optimizador: el mayor número
+ *   de puntos con solución (sin dejar fuera ningún punto bloqueado) y el
+ *   menor desplazamiento de una fuente (en pasos
+ *   de 0,1 m por eje) que la permite;
+ * - complete: false si se agotó el tiempo antes de probarlo todo.
+ * @param {Object} args Parámetros.
+ * @param {Object} args.room Geometría (vertices, holes, exclusions, ceiling, alturaZ).
+ * @param {{x:number,y:number,z:number,active?:boolean}[]} args.sources Fuentes.
+ * @param {Object} args.rules Perfil de reglas activo.
+ * @param {number} args.count Número de puntos pedido.
+ * @param {(object|null)[]} [args.locked] Puntos bloqueados por posición.
+ * @param {(sources: object[], count: number, timeBudgetMs: number) => boolean} args.solve
+ *   Indica si el optimizador encuentra solución válida con esas fuentes y ese número de puntos.
+ * @param {number} [args.timeBudgetMs] Tiempo máximo del diagnóstico (como
+ *   mucho DIAGNOSIS_MS; con 0 solo se calcula el embudo).
+ * @returns {{stages:FeasibilityStage[], blocking:string|null, fixes:FeasibilityFix[], complete:boolean}} Diagnóstico.
+ */
+export function diagnoseFeasibility({
+  room,
+  sources,
+  rules,
+  count,
+  locked = [],
+  solve,
+  timeBudgetMs = DIAGNOSIS_MS,
+}) {
+  const t0 = Date.now();
+  const budgetMs = Math.min(DIAGNOSIS_MS, timeBudgetMs);
+  const noZones = { ...room, exclusions: [] };
+  const { candidates } = buildCandidates(room, rules.margin);
+  const needed = count - locked.slice(0, count).filter(Boolean).length;
+  const geometric = [
+    {
+      id: 'room',
+      label: 'Celdas de 0,1 m dentro del recinto',
+      remaining: buildCandidates(noZones, 0).candidates.length,
+      needed,
+    },
+    {
+      id: 'margin',
+      label: `Margen ≥ ${fmt(rules.margin)} m a caras, huecos y techo`,
+      remaining: buildCandidates(noZones, rules.margin).candidates.length,
+      needed,
+    },
+  ];
+  if ((room.exclusions || []).length)
+    geometric.push({
+      id: 'exclusions',
+      label: 'Fuera de las zonas excluidas',
+      remaining: candidates.length,
+      needed,
+    });
+  const stages = [
+    ...geometric,
+    ...sourceStages(candidates, sources, rules, count, locked).stages,
+  ];
+  const blocking = stages.find(blocks) || null;
+
+  const fixes = [];
+  let complete = true;
+  const check = (srcs, k) => {
+    const ms = Math.min(CHECK_MS, budgetMs - (Date.now() - t0));
+    if (ms <= 0) {
+      complete = false;
+      return false;
+    }
+    return solve(srcs, k, ms);
+  };
+
+  // Menos puntos: mayor N con solución (búsqueda binaria; lo = último
+  // comprobado), sin bajar de los puntos bloqueados
+  const minCount = Math.max(
+    1,
+    locked.slice(0, count).findLastIndex(Boolean) + 1
+  );
+  let lo = minCount - 1,
+    hi = count - 1;
+  while (lo < hi && complete) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (check(sources, mid)) lo = mid;
+    else hi = mid - 1;
+  }
+  if (lo >= minCount) fixes.push({ type: 'count', count: lo });
+
+  // Mover una fuente: solo ayuda si el bloqueo no es de la geometría
+  if (!geometric.some(blocks)) {
+    const heightAt = ceilingHeightFn(room.ceiling, room.alturaZ);
+    const holes = room.holes || [];
+    const fits = (p, i) =>
+      pointInRoom(p, room.vertices, holes) &&
+      minDistToRoomEdges(p, room.vertices, holes) >= rules.margin - EPS &&
+      p.z >= rules.margin - EPS &&
+      p.z <= heightAt(p) - rules.margin + EPS &&
+      sources.every(
+        (f, j) =>
+          j === i ||
+          f.active === false ||
+          AXES.every((ax) => Math.abs(f[ax] - p[ax]) >= rules.minFFAxis - EPS)
+      );
+    search: for (
+      let d = STEP;
+      d <= MAX_SOURCE_MOVE + EPS && complete;
+      d = round01(d + STEP)
+    ) {
+      // A igual distancia, primero los movimientos que dejan más candidatos
+      const moves = [];
+      sources.forEach((f, i) => {
+        if (f.active === false) return;
+        for (const axis of AXES)
+          for (const delta of [round01(d), round01(-d)]) {
+            const p = { ...f, [axis]: round01(f[axis] + delta) };
+            if (!fits(p, i)) continue;
+            const moved = sources.map((g, j) => (j === i ? p : g));
+            const { stages: st, pool } = sourceStages(
+              candidates,
+              moved,
+              rules,
+              count,
+              locked
+            );
+            if (st.some(blocks)) continue;
+            moves.push({
+              fix: { type: 'source', index: i, axis, delta },
+              moved,
+              score: pool.length,
+            });
+          }
+      });
+      moves.sort((a, b) => b.score - a.score);
+      for (const m of moves.slice(0, MOVES_PER_STEP))
+        if (check(m.moved, count)) {
+          fixes.push(m.fix);
+          break search;
+        }
+    }
+  }
+
+  return {
+    stages,
+    blocking: blocking ? blocking.id : null,
+    fixes,
+    complete,
+  };
+}
+
+/**
+ * Texto de un arreglo propuesto por el diagnóstico.
+ * @param {FeasibilityFix} fix Arreglo.
+ * @param {{x:number,y:number,z:number}[]} sources Fuentes actuales.
+ * @returns {string} Descripción.
+ */
+export function describeFix(fix, sources) {
+  if (fix.type === 'count') return `Reducir el número de puntos a ${fix.count}`;
+  const f = sources[fix.index];
+  const to = f ? ` (a ${fmt(f[fix.axis] + fix.delta)} m)` : '';
+  return `Mover ${sourceName(fix.index)} ${fix.delta > 0 ? '+' : '−'}${fmt(Math.abs(fix.delta))} m en ${fix.axis.toUpperCase()}${to}`;
+}
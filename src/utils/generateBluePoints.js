@@ -0,0 +1,299 @@
+import { dist3D, mulberry32, shuffle } from './geometry';
+import { N_POINTS, key01 } from './constants';
+import {
+  desiredHeights,
+  refinePoints,
+  scoreMaximin,
+  solutionQuality,
+} from './bluePoints';
+import { DEFAULT_RULES } from './ruleProfiles';
+import { seedToInt } from './seed';
+
+// Límite de nodos de la búsqueda en profundidad
+export const MAX_NODES = 60000;
+// Cada cuántos nodos se mira el reloj y se informa del progreso
+const PROGRESS_EVERY = 500;
+
+/**
+ * Progreso de una generación en curso.
+ * @typedef {Object} GenerationProgress
+ * @property {number} fraction Avance estimado en [0, 1] (nodos o tiempo, lo que vaya por delante).
+ * @property {number} solutions Soluciones válidas encontradas hasta ahora.
+ * @property {number} elapsedMs Tiempo transcurrido.
+ */
+
+/**
+ * Orden de niveles Z que prueba la búsqueda para cada punto libre: los más
+ * cercanos a su altura preferida, rotados al azar según la semilla.
+ * @param {Object} args Parámetros.
+ * @param {number} args.freeCount Puntos libres (no bloqueados).
+ * @param {number[]} args.zLevelsAll Niveles Z con candidatos.
+ * @param {string|null} args.seed Semilla ('' o null = aleatoria).
+ * @param {string} [args.seedMode] Conversión de la semilla.
+ * @param {number} [args.genNonce] Variación para generaciones sin semilla.
+ * @returns {number[][]} Niveles Z ordenados, uno por punto libre.
+ */
+export function zOptionsForSeed({
+  freeCount,
+  zLevelsAll,
+  seed,
+  seedMode = 'hash',
+  genNonce,
+}) {
+  const userSeed = seed ? seedToInt(seed, seedMode) : 0;
+  const rng = mulberry32(
+    seed ? userSeed : (Date.now() ^ (genNonce * 0x9e3779b9)) >>> 0
+  );
+  return desiredHeights(freeCount).map((dz) => {
+    const arr = zLevelsAll
+      .map((z) => ({ z, k: Math.abs(z - dz) + rng() * 0.001 }))
+      .sort((a, b) => a.k - b.k)
+      .map((e) => e.z);
+    if (arr.length) {
+      const rot = Math.floor(rng() * arr.length);
+      return [...arr.slice(rot), ...arr.slice(0, rot)];
+    }
+    return arr;
+  });
+}
+
+/**
+ * Busca combinaciones de puntos que cumplan las reglas (búsqueda en
+ * profundidad con poda y ranking maximin) y las refina. Si no encuentra
+ * ninguna, devuelve la mejor aproximación voraz con feasible = false.
+ * La búsqueda se corta al llegar a maxNodes nodos (MAX_NODES por defecto) o
+ * al agotar timeBudgetMs; en ese caso se usan las soluciones halladas hasta
+ * entonces. Con timeBudgetMs = Infinity el resultado solo depende del tope de
+ * nodos, no de la velocidad de la máquina.
+ * @param {Object} args Candidatos, fuentes, semilla, reglas y opciones.
+ * @returns {{points:object[], feasible:boolean, alternatives:object[], timedOut:boolean}} Resultado.
+ */
+export function generateBluePoints({
+  sources = [],
+  candidates,
+  seed = null,
+  seedMode = 'hash',
+  genNonce,
+  byZ,
+  zLevelsAll,
+  zOptionsByIdx: precomputedZOptions = null,
+  rules = DEFAULT_RULES,
+  count = N_POINTS,
+  locked = [],
+  timeBudgetMs = Infinity,
+  maxNodes = MAX_NODES,
+  onProgress = null,
+}) {
+  if (!candidates.length)
+    return { points: [], feasible: false, alternatives: [], timedOut: false };
+
+  const userSeed = seed ? seedToInt(seed, seedMode) : 0;
+  const rng = mulberry32(
+    seed ? userSeed : (Date.now() ^ (genNonce * 0x9e3779b9)) >>> 0
+  );
+
+  // Puntos bloqueados (locked[i] = punto fijo en la posición i): miembros
+  // fijos de la solución; solo se buscan los libres
+  const fixed = locked.slice(0, count).filter(Boolean);
+  const free = count - fixed.length;
+  const assemble = (pts) => {
+    let k = fixed.length;
+    return Array.from({ length: count }, (_, i) => locked[i] || pts[k++]);
+  };
+
+  const zOptionsByIdx =
+    precomputedZOptions ||
+    zOptionsForSeed({ freeCount: free, zLevelsAll, seed, seedMode, genNonce });
+
+  // Fuentes activas (sin flag => activa)
+  const anchors = sources.filter((f) => f.active !== false);
+  const redAnchors = () => anchors;
+
+  const usedX0 = new Set();
+  const usedY0 = new Set();
+  const usedZ0 = new Set();
+  for (const f of anchors) {
+    usedX0.add(key01(f.x));
+    usedY0.add(key01(f.y));
+  }
+  for (const p of fixed) {
+    usedX0.add(key01(p.x));
+    usedY0.add(key01(p.y));
+    usedZ0.add(key01(p.z));
+  }
+
+  const t0 = Date.now();
+  let nodes = 0;
+  let timedOut = false;
+  const TOPC = 22;
+  const TOPZ = 18;
+  const MAX_SOL = 20;
+  const solutions = [];
+
+  function dfs(i, chosen, usedX, usedY, usedZ) {
+    if (timedOut || nodes++ > maxNodes) return false;
+    if (nodes % PROGRESS_EVERY === 0) {
+      const elapsedMs = Date.now() - t0;
+      if (elapsedMs > timeBudgetMs) {
+        timedOut = true;
+        return false;
+      }
+      if (onProgress)
+        onProgress({
+          fraction: Math.min(
+            1,
+            Math.max(nodes / maxNodes, elapsedMs / timeBudgetMs)
+          ),
+          solutions: solutions.length,
+          elapsedMs,
+        });
+    }
+    if (i === free) {
+      solutions.push(chosen.slice());
+      return solutions.length >= MAX_SOL;
+    }
+
+    const zList = zOptionsByIdx[i].slice(
+      0,
+      Math.min(TOPZ, zOptionsByIdx[i].length)
+    );
+    for (const z of zList) {
+      const zk = key01(z);
+      if (usedZ.has(zk)) continue;
+      let pool = (byZ.get(zk) || []).filter(
+        (c) => !usedX.has(key01(c.x)) && !usedY.has(key01(c.y))
+      );
+      if (!pool.length) continue;
+
+      const poolOk = pool.filter(
+        (c) =>
+          redAnchors().every((r) => dist3D(c, r) >= rules.minRedBlue) &&
+          chosen.every((q) => dist3D(c, q) >= rules.minBlueBlue)
+      );
+      if (!poolOk.length) continue;
+
+      const ranked = poolOk
+        .map((c) => ({
+          c,
+          s: scoreMaximin(c, chosen, redAnchors, rng) + rng() * 0.02,
+        }))
+        .sort((a, b) => b.s - a.s)
+        .slice(0, Math.min(TOPC, poolOk.length));
+
+      for (const { c } of ranked) {
+        const nx = new Set(usedX);
+        nx.add(key01(c.x));
+        const ny = new Set(usedY);
+        ny.add(key01(c.y));
+        const nz = new Set(usedZ);
+        nz.add(zk);
+        if (dfs(i + 1, [...chosen, c], nx, ny, nz)) return true;
+      }
+    }
+    return false;
+  }
+
+  dfs(0, fixed.slice(), usedX0, usedY0, usedZ0);
+
+  if (solutions.length) {
+    const idx = Math.floor(rng() * solutions.length);
+    let pick = solutions[idx].slice();
+    pick = assemble(
+      refinePoints(pick, byZ, redAnchors, rng, rules, fixed.length)
+    );
+
+    // Alternativas: el resto de soluciones, refinadas con un generador aparte
+    // para no alterar la elegida por la semilla
+    const altRng = mulberry32(Math.floor(rng() * 4294967296));
+    const seen = new Set();
+    const alternatives = [];
+    solutions.forEach((sol, k) => {
+      const pts =
+        k === idx
+          ? pick
+          : assemble(
+              refinePoints(
+                sol.slice(),
+                byZ,
+                redAnchors,
+                altRng,
+                rules,
+                fixed.length
+              )
+            );
+      const key = pts
+        .map((p) => `${key01(p.x)},${key01(p.y)},${key01(p.z)}`)
+        .join(';');
+      if (seen.has(key)) return;
+      seen.add(key);
+      alternatives.push({
+        points: pts,
+        quality: solutionQuality(pts, anchors),
+      });
+    });
+    // Mejor primero: mayor separación entre puntos y, a igualdad, a las fuentes
+    alternatives.sort(
+      (a, b) =>
+        (b.quality.minPP ?? 0) - (a.quality.minPP ?? 0) ||
+        (b.quality.minFP ?? 0) - (a.quality.minFP ?? 0)
+    );
+    return { points: pick, feasible: true, alternatives, timedOut };
+  }
+
+  const anchors0 = redAnchors();
+  const chosen = fixed.slice();
+  const usedX = new Set(usedX0),
+    usedY = new Set(usedY0),
+    usedZ = new Set(usedZ0);
+  const all = shuffle(candidates, rng);
+
+  for (let k = 0; k < free; k++) {
+    const levels = [
+      (c) =>
+        !usedX.has(key01(c.x)) &&
+        !usedY.has(key01(c.y)) &&
+        !usedZ.has(key01(c.z)) &&
+        anchors0.every((r) => dist3D(c, r) >= rules.minRedBlue) &&
+        chosen.every((q) => dist3D(c, q) >= rules.minBlueBlue),
+      (c) =>
+        !usedX.has(key01(c.x)) &&
+        !usedY.has(key01(c.y)) &&
+        !usedZ.has(key01(c.z)) &&
+        anchors0.every((r) => dist3D(c, r) >= rules.minRedBlue),
+      (c) =>
+        !usedX.has(key01(c.x)) &&
+        !usedY.has(key01(c.y)) &&
+        !usedZ.has(key01(c.z)),
+      () => true,
+    ];
+    let picked = null;
+    for (const ok of levels) {
+      const cand = all
+        .filter(ok)
+        .map((c) => ({ c, s: scoreMaximin(c, chosen, redAnchors, rng) }))
+        .sort((a, b) => b.s - a.s)
+        .slice(0, 20);
+      if (cand.length) {
+        picked = cand[Math.floor(rng() * cand.length)].c;
+        break;
+      }
+    }
+    if (picked) {
+      chosen.push(picked);
+      usedX.add(key01(picked.x));
+      usedY.add(key01(picked.y));
+      usedZ.add(key01(picked.z));
+    }
+  }
+  while (chosen.length < count && candidates.length) {
+    const extra = candidates[Math.floor(rng() * candidates.length)];
+    chosen.push(extra);
+  }
+  const points = assemble(chosen.slice(0, count));
+  return {
+    points,
+    feasible: false,
+    alternatives: [{ points, quality: solutionQuality(points, anchors) }],
+    timedOut,
+  };
+}
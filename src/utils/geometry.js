@@ -103,6 +103,76 @@ export function minDistToEdges2D(p, poly) {
   return md;
 }
 
+/**
+ * Determina si un punto está dentro de un recinto con huecos (núcleos,
+ * escaleras...): dentro del contorno exterior y fuera de todos los huecos.
+ * @param {{x:number, y:number}} pt Punto a evaluar.
+ * @param {{x:number, y:number}[]} outer Contorno exterior.
+ * @param {{x:number, y:number}[][]} [holes] Anillos interiores.
+ * @returns {boolean} true si el punto pertenece al recinto.
+ */
+export function pointInRoom(pt, outer, holes = []) {
+  return pointInPolygon(pt, outer) && !holes.some((h) => pointInPolygon(pt, h));
+}
+
+/**
+ * Distancia mínima de un punto al borde de un recinto, incluidos los huecos.
+ * @param {{x:number, y:number}} p Punto a medir.
+ * @param {{x:number, y:number}[]} outer Contorno exterior.
+ * @param {{x:number, y:number}[][]} [holes] Anillos interiores.
+ * @returns {number} Distancia al borde más cercano.
+ */
+export function minDistToRoomEdges(p, outer, holes = []) {
+  return Math.min(
+    minDistToEdges2D(p, outer),
+    ...holes.map((h) => minDistToEdges2D(p, h))
+  );
+}
+
+// Muestras por eje al buscar un punto interior
+const INTERIOR_SAMPLES = 24;
+
+/**
+ * Punto del recinto alejado de sus bordes (el mejor de una rejilla de
+ * muestras). Sirve para colocar elementos nuevos dentro del recinto aunque el
+ * centro del rectángulo que lo contiene quede fuera (recintos en L, en U...).
+ * @param {{x:number, y:number}[]} outer Contorno exterior.
+ * @param {{x:number, y:number}[][]} [holes] Anillos interiores.
+ * @returns {{x:number, y:number}} Punto redondeado a 0,1 m (el primer vértice si no se encuentra ninguno).
+ */
+export function interiorPoint(outer, holes = []) {
+  const xs = outer.map((v) => v.x),
+    ys = outer.map((v) => v.y);
+  const minX = Math.min(...xs),
+    minY = Math.min(...ys);
+  const dx = (Math.max(...xs) - minX) / INTERIOR_SAMPLES,
+    dy = (Math.max(...ys) - minY) / INTERIOR_SAMPLES;
+  let best = null,
+    bestD = -Infinity;
+  for (let i = 0; i < INTERIOR_SAMPLES; i++)
+    for (let j = 0; j < INTERIOR_SAMPLES; j++) {
+      const p = { x: minX + (i + 0.5) * dx, y: minY + (j + 0.5) * dy };
+      if (!pointInRoom(p, outer, holes)) continue;
+      const d = minDistToRoomEdges(p, outer, holes);
+      if (d > bestD) {
+        best = p;
+        bestD = d;
+      }
+    }
+  if (!best) return { x: outer[0].x, y: outer[0].y };
+  return { x: Math.round(best.x * 10) / 10, y: Math.round(best.y * 10) / 10 };
+}
+
+/**
+ * Área de un recinto con huecos: la del contorno menos la de cada hueco.
+ * @param {{x:number, y:number}[]} outer Contorno exterior.
+ * @param {{x:number, y:number}[][]} [holes] Anillos interiores.
+ * @returns {number} Área neta en unidades cuadradas.
+ */
+export function roomArea(outer, holes = []) {
+  return holes.reduce((A, h) => A - polygonArea(h), polygonArea(outer));
+}
+
 // RNG simple reproducible
 /**
  * Generador pseudoaleatorio determinista (Mulberry32) a partir de una semilla.
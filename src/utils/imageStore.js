@@ -0,0 +1,59 @@
+// Imágenes de los planos de fondo, guardadas en IndexedDB por id de imagen:
+// localStorage tiene un cupo de pocos MB y el espacio de trabajo se reescribe
+// entero en cada cambio, así que allí solo queda la referencia (imageId)
+const DB_NAME = 'puntos_app_images';
+const STORE = 'underlays';
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('El navegador no permite guardar imágenes.'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Una operación sobre el almacén en su propia transacción
+async function run(mode, op) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = op(tx.objectStore(STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(req.result);
+    };
+    tx.onerror = tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('No se pudo acceder a las imágenes.'));
+    };
+  });
+}
+
+/**
+ * Guarda (o sustituye) una imagen.
+ * @param {string} id Id de la imagen.
+ * @param {string} src Imagen como data URL.
+ * @returns {Promise<void>}
+ */
+export const saveImage = (id, src) =>
+  run('readwrite', (s) => s.put(src, id)).then(() => undefined);
+
+/**
+ * Lee una imagen guardada.
+ * @param {string} id Id de la imagen.
+ * @returns {Promise<string|undefined>} Data URL, o undefined si no está.
+ */
+export const readImage = (id) => run('readonly', (s) => s.get(id));
+
+/**
+ * Borra una imagen guardada.
+ * @param {string} id Id de la imagen.
+ * @returns {Promise<void>}
+ */
+export const deleteImage = (id) =>
+  run('readwrite', (s) => s.delete(id)).then(() => undefined);
@@ -0,0 +1,16 @@
+// Convierte índice 0->A, 1->B, ... 25->Z, 26->AA, etc.
+export const idxToLetter = (i) => {
+  let n = i;
+  let s = '';
+  do {
+    s = String.fromCharCode(65 + (n % 26)) + s;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return s;
+};
+
+// Nombre visible de la fuente i (0 -> F1)
+export const sourceName = (i) => `F${i + 1}`;
+
+// Nombre visible del hueco i (0 -> H1)
+export const holeName = (i) => `H${i + 1}`;
@@ -0,0 +1,148 @@
+import { ITER_PER_POINT, annealBluePoints } from './annealing';
+import { buildCandidates } from './candidates';
+import { diagnoseFeasibility } from './feasibility';
+import {
+  MAX_NODES,
+  generateBluePoints,
+  zOptionsForSeed,
+} from './generateBluePoints';
+
+/**
+ * Optimizador de la colocación de puntos. Todos reciben los mismos argumentos
+ * (candidatos, byZ, zLevelsAll, fuentes, semilla, reglas, count, locked,
+ * timeBudgetMs, maxNodes, iterationsPerPoint, onProgress...) y devuelven { points, feasible, alternatives,
+ * timedOut }; cada uno ignora lo que no usa.
+ * @typedef {Object} Optimizer
+ * @property {string} id Identificador guardado con el recinto.
+ * @property {string} label Nombre visible.
+ * @property {string} description Explicación breve (tooltip).
+ * @property {(args: object) => object} run Ejecuta la búsqueda.
+ */
+
+/** @type {Optimizer[]} */
+export const OPTIMIZERS = [
+  {
+    id: 'dfs',
+    label: 'Búsqueda por ramas',
+    description:
+      'Búsqueda en profundidad con poda y ranking maximin (el método clásico; reproduce las semillas guardadas).',
+    run: generateBluePoints,
+  },
+  {
+    id: 'annealing',
+    label: 'Recocido simulado',
+    description:
+      'Optimización global que maximiza la separación mínima cumpliendo todas las reglas; útil en recintos ajustados.',
+    run: annealBluePoints,
+  },
+];
+
+export const DEFAULT_OPTIMIZER = OPTIMIZERS[0].id;
+
+// "Comparar algoritmos" corta cada búsqueda por su tope de nodos o de
+// iteraciones, no por tiempo: así cada resultado depende solo de la semilla y
+// la comparación vale igual en cualquier equipo
+export const COMPARE_LIMITS = {
+  timeBudgetMs: Infinity,
+  maxNodes: MAX_NODES,
+  iterationsPerPoint: ITER_PER_POINT,
+};
+
+/**
+ * Busca un optimizador por id (el predeterminado si no existe).
+ * @param {string} id Identificador.
+ * @returns {Optimizer} Optimizador.
+ */
+export function findOptimizer(id) {
+  return OPTIMIZERS.find((o) => o.id === id) || OPTIMIZERS[0];
+}
+
+/**
+ * Generación completa para un recinto: candidatos, orden de niveles Z y
+ * búsqueda con el optimizador elegido. Es lo que ejecuta el Web Worker (o el
+ * hilo principal si no hay workers); recibe solo datos serializables. Con
+ * `diagnose`, si no hay solución válida añade `diagnosis` (ver
+ * diagnoseFeasibility).
+ * @param {Object} args Parámetros.
+ * @param {Object} args.room Geometría (vertices, holes, exclusions, ceiling, alturaZ).
+ * @param {{x:number,y:number,z:number,active?:boolean}[]} args.sources Fuentes.
+ * @param {Object} args.rules Perfil de reglas activo.
+ * @param {string} args.seed Semilla de la generación.
+ * @param {string} [args.seedMode] Conversión de la semilla.
+ * @param {number} args.count Número de puntos.
+ * @param {(object|null)[]} [args.locked] Puntos bloqueados por posición.
+ * @param {number} [args.timeBudgetMs] Tiempo máximo de búsqueda (el
+ *   diagnóstico tiene aparte el suyo, ver diagnoseFeasibility).
+ * @param {number} [args.maxNodes] Tope de nodos de la búsqueda por ramas.
+ * @param {number} [args.iterationsPerPoint] Iteraciones del recocido por punto libre.
+ * @param {string} [args.optimizer] Id del optimizador.
+ * @param {boolean} [args.diagnose] Diagnosticar si no hay solución válida.
+ * @param {(p: import('./generateBluePoints').GenerationProgress) => void} [onProgress] Aviso de progreso.
+ * @returns {{points:object[], feasible:boolean, alternatives:object[], timedOut:boolean, optimizer:string, elapsedMs:number, diagnosis?:object}}
+ *   Resultado del optimizador con su id, el tiempo empleado y el diagnóstico.
+ */
+export function generateForRoom(
+  {
+    room,
+    sources,
+    rules,
+    seed,
+    seedMode,
+    count,
+    locked = [],
+    timeBudgetMs,
+    maxNodes,
+    iterationsPerPoint,
+    optimizer,
+    diagnose = false,
+  },
+  onProgress
+) {
+  const t0 = Date.now();
+  const { candidates, byZ, zLevelsAll } = buildCandidates(room, rules.margin);
+  const opt = findOptimizer(optimizer);
+  const search = (srcs, k, budgetMs, progress = null) =>
+    opt.run({
+      sources: srcs,
+      candidates,
+      byZ,
+      zLevelsAll,
+      seed,
+      seedMode,
+      zOptionsByIdx: candidates.length
+        ? zOptionsForSeed({
+            freeCount: k - locked.slice(0, k).filter(Boolean).length,
+            zLevelsAll,
+            seed,
+            seedMode,
+          })
+        : [],
+      rules,
+      count: k,
+      locked,
+      timeBudgetMs: budgetMs,
+      maxNodes,
+      iterationsPerPoint,
+      onProgress: progress,
+    });
+  const result = search(sources, count, timeBudgetMs, onProgress);
+  const diagnosis =
+    diagnose && !result.feasible
+      ? diagnoseFeasibility({
+          room,
+          sources,
+          rules,
+          count,
+          locked,
+          // Tiempo propio (DIAGNOSIS_MS): una búsqueda que agota el suyo
+          // no deja el diagnóstico sin comprobar ningún arreglo
+          solve: (srcs, k, ms) => search(srcs, k, ms).feasible,
+        })
+      : undefined;
+  return {
+    ...result,
+    optimizer: opt.id,
+    elapsedMs: Date.now() - t0,
+    ...(diagnosis ? { diagnosis } : {}),
+  };
+}
@@ -0,0 +1,256 @@
+import { EPS, MAX_VERTICES } from './constants';
+
+/**
+ * Contorno cerrado encontrado en un plano DXF o SVG, en las unidades del
+ * archivo y con el eje Y hacia arriba.
+ * @typedef {Object} Outline
+ * @property {string} label Nombre visible (capa DXF o id/etiqueta SVG).
+ * @property {{x:number,y:number}[]} points Vértices sin repetir el primero al final.
+ */
+
+// Unidades de dibujo admitidas y su factor a metros (px a 96 ppp)
+export const OUTLINE_UNITS = [
+  { id: 'mm', label: 'mm', factor: 0.001 },
+  { id: 'cm', label: 'cm', factor: 0.01 },
+  { id: 'm', label: 'm', factor: 1 },
+  { id: 'in', label: 'pulgadas', factor: 0.0254 },
+  { id: 'ft', label: 'pies', factor: 0.3048 },
+  { id: 'px', label: 'px', factor: 0.0254 / 96 },
+];
+
+// Código $INSUNITS del DXF -> unidad
+const DXF_UNITS = { 1: 'in', 2: 'ft', 4: 'mm', 5: 'cm', 6: 'm' };
+
+const samePoint = (a, b) =>
+  Math.abs(a.x - b.x) < EPS && Math.abs(a.y - b.y) < EPS;
+
+// Quita el punto de cierre repetido y devuelve null si no está cerrado
+const closeRing = (points, closed) => {
+  const pts = points.slice();
+  if (pts.length > 1 && samePoint(pts[0], pts[pts.length - 1])) {
+    pts.pop();
+    closed = true;
+  }
+  return closed && pts.length >= 3 ? pts : null;
+};
+
+/**
+ * Lee las polilíneas cerradas (LWPOLYLINE y POLYLINE antiguas) de un DXF.
+ * Los arcos (bulge) se sustituyen por su cuerda.
+ * @param {string} text Contenido del archivo DXF (ASCII).
+ * @returns {{outlines: Outline[], unit: string|null}} Contornos y unidad declarada en $INSUNITS.
+ */
+export function parseDxfOutlines(text) {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2)
+    pairs.push([parseInt(lines[i].trim(), 10), lines[i + 1].trim()]);
+
+  let unit = null;
+  const outlines = [];
+  let current = null; // { layer, flags, points, kind }
+  const finish = () => {
+    if (!current) return;
+    const pts = closeRing(current.points, (current.flags & 1) === 1);
+    if (pts)
+      outlines.push({
+        label: `${current.kind} ${outlines.length + 1} (capa ${current.layer})`,
+        points: pts,
+      });
+    current = null;
+  };
+
+  for (let i = 0; i < pairs.length; i++) {
+    const [code, value] = pairs[i];
+    if (code === 9 && value === '$INSUNITS') {
+      const next = pairs[i + 1];
+      if (next && next[0] === 70)
+        unit = DXF_UNITS[parseInt(next[1], 10)] || null;
+      continue;
+    }
+    if (code === 0) {
+      // VERTEX sigue a su POLYLINE; cualquier otra entidad cierra la actual
+      if (value === 'VERTEX' && current && current.kind === 'POLYLINE') {
+        current.inVertex = true;
+        continue;
+      }
+      finish();
+      if (value === 'LWPOLYLINE' || value === 'POLYLINE')
+        current = { kind: value, layer: '0', flags: 0, points: [] };
+      continue;
+    }
+    if (!current) continue;
+    const n = parseFloat(value);
+    if (code === 8 && !current.inVertex) current.layer = value;
+    else if (code === 70 && !current.inVertex)
+      current.flags = parseInt(value, 10);
+    // En POLYLINE, el 10/20 de la cabecera es un punto ficticio
+    else if (code === 10 && (current.kind === 'LWPOLYLINE' || current.inVertex))
+      current.points.push({ x: n, y: 0 });
+    else if (code === 20 && current.points.length)
+      current.points[current.points.length - 1].y = n;
+  }
+  finish();
+  return { outlines, unit };
+}
+
+// Lista de números de un atributo SVG (admite comas, espacios y exponentes)
+const numbers = (s) =>
+  (s.match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+
+// Subtrayectos de un atributo d; las curvas se reducen a su punto final
+const pathRings = (d) => {
+  const tokens =
+    d.match(/[MmLlHhVvZzCcSsQqTtAa]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) ||
+    [];
+  const arity = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+  const rings = [];
+  let ring = null,
+    cmd = null,
+    x = 0,
+    y = 0,
+    i = 0;
+  const end = (closed) => {
+    if (ring) {
+      const pts = closeRing(ring, closed);
+      if (pts) rings.push(pts);
+    }
+    ring = null;
+  };
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) cmd = tokens[i++];
+    if (!cmd) break;
+    const C = cmd.toUpperCase();
+    const rel = cmd !== C;
+    if (C === 'Z') {
+      const start = ring && ring[0];
+      end(true);
+      if (start) ({ x, y } = start);
+      cmd = null;
+      continue;
+    }
+    const args = tokens.slice(i, i + arity[C]).map(Number);
+    if (args.length < arity[C] || args.some(Number.isNaN)) break;
+    i += arity[C];
+    const from = { x, y };
+    if (C === 'H') x = rel ? x + args[0] : args[0];
+    else if (C === 'V') y = rel ? y + args[0] : args[0];
+    else {
+      const ex = args[args.length - 2],
+        ey = args[args.length - 1];
+      x = rel ? x + ex : ex;
+      y = rel ? y + ey : ey;
+    }
+    if (C === 'M') {
+      end(false);
+      ring = [];
+      // Los pares que siguen a un M son líneas
+      cmd = rel ? 'l' : 'L';
+    }
+    // Tras un Z sin M, el subtrayecto nuevo empieza en el punto de cierre
+    if (!ring) ring = [from];
+    ring.push({ x, y });
+  }
+  end(false);
+  return rings;
+};
+
+/**
+ * Lee los contornos cerrados (polygon, polyline cerrada, rect y path) de un
+ * SVG. Se ignoran las transformaciones; el eje Y se invierte para que quede
+ * hacia arriba como en la planta.
+ * @param {string} text Contenido del archivo SVG.
+ * @returns {{outlines: Outline[], unit: string|null}} Contornos (unidad: px).
+ */
+export function parseSvgOutlines(text) {
+  const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+  if (doc.getElementsByTagName('parsererror').length)
+    throw new Error('El archivo SVG no es válido.');
+  const outlines = [];
+  const flip = (pts) => pts.map((p) => ({ x: p.x, y: -p.y || 0 }));
+  const pairsOf = (s) => {
+    const v = numbers(s);
+    const pts = [];
+    for (let k = 0; k + 1 < v.length; k += 2)
+      pts.push({ x: v[k], y: v[k + 1] });
+    return pts;
+  };
+  doc.querySelectorAll('polygon, polyline, rect, path').forEach((el) => {
+    const tag = el.tagName.toLowerCase();
+    const name = el.getAttribute('id') || tag;
+    let rings = [];
+    if (tag === 'polygon' || tag === 'polyline') {
+      const pts = closeRing(
+        pairsOf(el.getAttribute('points') || ''),
+        tag === 'polygon'
+      );
+      if (pts) rings = [pts];
+    } else if (tag === 'rect') {
+      const [x, y, w, h] = ['x', 'y', 'width', 'height'].map(
+        (a) => parseFloat(el.getAttribute(a)) || 0
+      );
+      if (w > 0 && h > 0)
+        rings = [
+          [
+            { x, y },
+            { x: x + w, y },
+            { x: x + w, y: y + h },
+            { x, y: y + h },
+          ],
+        ];
+    } else {
+      rings = pathRings(el.getAttribute('d') || '');
+    }
+    rings.forEach((pts, k) =>
+      outlines.push({
+        label: rings.length > 1 ? `${name} (${k + 1})` : name,
+        points: flip(pts),
+      })
+    );
+  });
+  return { outlines, unit: null };
+}
+
+/**
+ * Lee un plano según su extensión (.dxf o .svg).
+ * @param {string} name Nombre del archivo.
+ * @param {string} text Contenido.
+ * @returns {{outlines: Outline[], unit: string|null}} Contornos y unidad sugerida.
+ */
+export function parseOutlineFile(name, text) {
+  if (/\.dxf$/i.test(name)) return parseDxfOutlines(text);
+  if (/\.svg$/i.test(name)) return parseSvgOutlines(text);
+  throw new Error('Formato no admitido: usa un archivo .dxf o .svg.');
+}
+
+/**
+ * Pasa un contorno a metros con origen en su esquina inferior izquierda,
+ * redondeado al centímetro y sin vértices repetidos.
+ * @param {{x:number,y:number}[]} points Vértices en unidades del archivo.
+ * @param {number} factor Metros por unidad (incluida la escala del plano).
+ * @returns {{x:number,y:number}[]} Vértices listos para el recinto.
+ */
+export function outlineToVertices(points, factor) {
+  const minX = Math.min(...points.map((p) => p.x)),
+    minY = Math.min(...points.map((p) => p.y));
+  const r = (n) => Math.round(n * 100) / 100;
+  const out = [];
+  for (const p of points) {
+    const q = { x: r((p.x - minX) * factor), y: r((p.y - minY) * factor) };
+    if (!out.length || !samePoint(out[out.length - 1], q)) out.push(q);
+  }
+  if (out.length > 1 && samePoint(out[0], out[out.length - 1])) out.pop();
+  return out;
+}
+
+/**
+ * Motivo por el que un contorno no se puede usar como recinto, si lo hay.
+ * @param {{x:number,y:number}[]} vertices Vértices ya convertidos.
+ * @returns {string|null} Mensaje o null si es válido.
+ */
+export function outlineProblem(vertices) {
+  if (vertices.length < 3) return 'Menos de 3 vértices a esta escala';
+  if (vertices.length > MAX_VERTICES)
+    return `Tiene ${vertices.length} vértices (máximo ${MAX_VERTICES})`;
+  return null;
+}
@@ -0,0 +1,50 @@
+// Fondo y fuente explícitos: el SVG exportado no hereda los estilos de la página
+const EXPORT_FONT = 'Verdana, Geneva, Tahoma, sans-serif';
+
+/**
+ * Convierte el marcado de un <svg> en un documento SVG independiente, con
+ * fondo blanco y fuente explícita.
+ * @param {string} markup Marcado del elemento <svg> (con xmlns).
+ * @returns {string} Contenido del archivo .svg.
+ */
+export function toSvgDocument(markup) {
+  const body = markup.replace(
+    /^<svg([^>]*)>/,
+    `<svg$1 font-family="${EXPORT_FONT}"><rect width="100%" height="100%" fill="#ffffff"/>`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${body}\n`;
+}
+
+/**
+ * Rasteriza un documento SVG a PNG.
+ * @param {string} svgText Documento SVG.
+ * @param {number} width Ancho del SVG (px).
+ * @param {number} height Alto del SVG (px).
+ * @param {number} factor Factor de resolución (2 => el doble de píxeles).
+ * @returns {Promise<Blob>} Imagen PNG.
+ */
+export function svgToPng(svgText, width, height, factor) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(
+      new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' })
+    );
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * factor);
+      canvas.height = Math.round(height * factor);
+      const ctx = canvas.getContext('2d');
+      ctx.scale(factor, factor);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) =>
+        blob ? resolve(blob) : reject(new Error('No se pudo generar el PNG.'))
+      );
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('No se pudo cargar el SVG para rasterizarlo.'));
+    };
+    img.src = url;
+  });
+}
@@ -0,0 +1,46 @@
+/**
+ * Rectángulo envolvente del plano (incluye siempre el origen de coordenadas).
+ * @param {{x:number, y:number}[]} vertices Polígono de la planta.
+ * @param {{x:number, y:number}[]} [extra] Otros puntos que deben verse (p. ej. el plano de fondo).
+ * @returns {{minX:number, maxX:number, minY:number, maxY:number}} Límites en metros.
+ */
+export function planBounds(vertices, extra = []) {
+  const all = [...vertices, ...extra];
+  const xs = all.map((v) => v.x),
+    ys = all.map((v) => v.y);
+  return {
+    minX: Math.min(0, ...xs),
+    maxX: Math.max(...xs),
+    minY: Math.min(0, ...ys),
+    maxY: Math.max(...ys),
+  };
+}
+
+/**
+ * Escala (px por metro) para encajar los límites en el lienzo respetando el margen.
+ * @param {{minX:number, maxX:number, minY:number, maxY:number}} bounds Límites del plano.
+ * @param {number} width Ancho del lienzo (px).
+ * @param {number} height Alto del lienzo (px).
+ * @param {number} pad Margen interior (px).
+ * @returns {number} Escala px/m.
+ */
+export function planScale(bounds, width, height, pad) {
+  const wu = Math.max(1e-3, bounds.maxX - bounds.minX),
+    hu = Math.max(1e-3, bounds.maxY - bounds.minY);
+  return Math.min((width - 2 * pad) / wu, (height - 2 * pad) / hu);
+}
+
+// Longitudes "redondas" candidatas para la barra de escala (m)
+const SCALE_BAR_STEPS = [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100];
+
+/**
+ * Longitud de la barra de escala: la mayor longitud redonda que no supera el
+ * ancho máximo indicado.
+ * @param {number} scale Escala del dibujo (px/m).
+ * @param {number} maxPx Ancho máximo de la barra (px).
+ * @returns {number} Longitud en metros.
+ */
+export function scaleBarLength(scale, maxPx) {
+  const fits = SCALE_BAR_STEPS.filter((m) => m * scale <= maxPx);
+  return fits.length ? fits[fits.length - 1] : SCALE_BAR_STEPS[0];
+}
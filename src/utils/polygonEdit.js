@@ -0,0 +1,216 @@
+import { EPS } from './constants';
+
+// Redondeo a milímetros para no acumular ruido de coma flotante
+const round001 = (n) => Math.round(n * 1000) / 1000;
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+// Orientación del polígono: 1 = antihorario, -1 = horario
+const orientation = (poly) => {
+  let A = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const p = poly[i],
+      q = poly[(i + 1) % poly.length];
+    A += p.x * q.y - q.x * p.y;
+  }
+  return A < 0 ? -1 : 1;
+};
+
+const rotateAround = (p, c, rad) => {
+  const cos = Math.cos(rad),
+    sin = Math.sin(rad);
+  const dx = p.x - c.x,
+    dy = p.y - c.y;
+  return {
+    x: round001(c.x + dx * cos - dy * sin),
+    y: round001(c.y + dx * sin + dy * cos),
+  };
+};
+
+/**
+ * Longitud del lado i (vértice i → i+1).
+ * @param {{x:number,y:number}[]} poly Polígono.
+ * @param {number} i Índice del lado.
+ * @returns {number} Longitud en metros.
+ */
+export function edgeLength(poly, i) {
+  const a = poly[i],
+    b = poly[(i + 1) % poly.length];
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Ángulo interior en el vértice i (entre el lado que llega y el que sale),
+ * independiente del sentido en que se hayan dado los vértices.
+ * @param {{x:number,y:number}[]} poly Polígono.
+ * @param {number} i Índice del vértice.
+ * @returns {number} Ángulo en grados, en [0, 360).
+ */
+export function cornerAngle(poly, i) {
+  const n = poly.length;
+  const v = poly[i],
+    next = poly[(i + 1) % n],
+    prev = poly[(i - 1 + n) % n];
+  const ax = next.x - v.x,
+    ay = next.y - v.y,
+    bx = prev.x - v.x,
+    by = prev.y - v.y;
+  const deg = toDeg(
+    Math.atan2(orientation(poly) * (ax * by - ay * bx), ax * bx + ay * by)
+  );
+  return (deg + 360) % 360;
+}
+
+/**
+ * Cambia la longitud del lado i como en un levantamiento: el vértice i+1 y
+ * los siguientes se desplazan en la dirección del lado y el lado de cierre
+ * (último → primero) absorbe la diferencia.
+ * @param {{x:number,y:number}[]} poly Polígono.
+ * @param {number} i Lado a cambiar (0..n-2).
+ * @param {number} length Nueva longitud (> 0).
+ * @returns {{x:number,y:number}[]} Polígono nuevo.
+ */
+export function setEdgeLength(poly, i, length) {
+  const L = edgeLength(poly, i);
+  if (L < EPS || length <= 0) return poly;
+  const a = poly[i],
+    b = poly[i + 1];
+  const k = (length - L) / L;
+  const dx = (b.x - a.x) * k,
+    dy = (b.y - a.y) * k;
+  return poly.map((p, j) =>
+    j > i ? { x: round001(p.x + dx), y: round001(p.y + dy) } : p
+  );
+}
+
+/**
+ * Cambia el ángulo interior del vértice i girando alrededor de él los
+ * vértices siguientes; el lado de cierre absorbe el cambio.
+ * @param {{x:number,y:number}[]} poly Polígono.
+ * @param {number} i Vértice a cambiar (1..n-2).
+ * @param {number} deg Nuevo ángulo interior en grados.
+ * @returns {{x:number,y:number}[]} Polígono nuevo.
+ */
+export function setCornerAngle(poly, i, deg) {
+  // Abrir el ángulo interior es girar el lado saliente en sentido contrario a la orientación
+  const rad = -orientation(poly) * toRad(deg - cornerAngle(poly, i));
+  return poly.map((p, j) => (j > i ? rotateAround(p, poly[i], rad) : p));
+}
+
+/**
+ * Ajusta un vértice arrastrado para que sus lados con los vecinos queden a
+ * múltiplos de 45° (horizontal, vertical o diagonal). Si ambos lados pueden
+ * ajustarse a la vez se usa la esquina común.
+ * @param {{x:number,y:number}} p Posición libre del vértice.
+ * @param {{x:number,y:number}} prev Vértice anterior.
+ * @param {{x:number,y:number}} next Vértice siguiente.
+ * @param {number} tol Distancia máxima de ajuste (m).
+ * @returns {{x:number,y:number}|null} Posición ajustada o null si no hay ninguna cerca.
+ */
+export function snapVertex(p, prev, next, tol) {
+  const dirs = [0, 45, 90, 135].map((d) => ({
+    x: Math.cos(toRad(d)),
+    y: Math.sin(toRad(d)),
+  }));
+  const lines = [prev, next].flatMap((o) => dirs.map((d) => ({ o, d })));
+  const project = ({ o, d }) => {
+    const t = (p.x - o.x) * d.x + (p.y - o.y) * d.y;
+    return { x: o.x + t * d.x, y: o.y + t * d.y };
+  };
+  const dist = (q) => Math.hypot(q.x - p.x, q.y - p.y);
+
+  // Esquinas: intersección de una recta por prev con otra por next
+  let best = null;
+  for (const l1 of lines.slice(0, 4))
+    for (const l2 of lines.slice(4)) {
+      const den = l1.d.x * l2.d.y - l1.d.y * l2.d.x;
+      if (Math.abs(den) < EPS) continue;
+      const t = ((l2.o.x - l1.o.x) * l2.d.y - (l2.o.y - l1.o.y) * l2.d.x) / den;
+      const q = { x: l1.o.x + t * l1.d.x, y: l1.o.y + t * l1.d.y };
+      if (dist(q) <= tol && (!best || dist(q) < dist(best))) best = q;
+    }
+  if (!best)
+    for (const l of lines) {
+      const q = project(l);
+      if (dist(q) <= tol && (!best || dist(q) < dist(best))) best = q;
+    }
+  return best && { x: round001(best.x), y: round001(best.y) };
+}
+
+/**
+ * Ortogonaliza el polígono respecto a la dirección de su lado más largo:
+ * cada lado pasa a ser paralelo o perpendicular a ella y los vértices que
+ * comparten línea toman la coordenada media. Si ese lado está a menos de 10°
+ * de un eje, el resultado queda alineado con los ejes X/Y.
+ * @param {{x:number,y:number}[]} poly Polígono.
+ * @returns {{x:number,y:number}[]} Polígono con todos los ángulos de 90°/270°.
+ */
+export function orthogonalize(poly) {
+  const n = poly.length;
+  let longest = 0;
+  for (let i = 1; i < n; i++)
+    if (edgeLength(poly, i) > edgeLength(poly, longest)) longest = i;
+  const a = poly[longest],
+    b = poly[(longest + 1) % n];
+  // Giro que lleva el lado más largo al eje más cercano (|giro| ≤ 45°)
+  const ang = Math.atan2(b.y - a.y, b.x - a.x);
+  const rot = Math.round(ang / (Math.PI / 2)) * (Math.PI / 2) - ang;
+  const c = poly[0];
+  const local = poly.map((p) => rotateAround(p, c, rot));
+
+  // Grupos de vértices que comparten X (lados verticales) o Y (horizontales)
+  const groupX = local.map((_, i) => i),
+    groupY = local.map((_, i) => i);
+  const find = (g, i) => (g[i] === i ? i : (g[i] = find(g, g[i])));
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    const dx = Math.abs(local[j].x - local[i].x),
+      dy = Math.abs(local[j].y - local[i].y);
+    const g = dx >= dy ? groupY : groupX;
+    g[find(g, i)] = find(g, j);
+  }
+  const mean = (g, ax) => {
+    const sum = new Map();
+    local.forEach((p, i) => {
+      const r = find(g, i);
+      const s = sum.get(r) || { t: 0, k: 0 };
+      sum.set(r, { t: s.t + p[ax], k: s.k + 1 });
+    });
+    return local.map((_, i) => {
+      const s = sum.get(find(g, i));
+      return s.t / s.k;
+    });
+  };
+  const xs = mean(groupX, 'x'),
+    ys = mean(groupY, 'y');
+  const back = Math.abs(rot) < toRad(10) ? 0 : -rot;
+  return local.map((_, i) => rotateAround({ x: xs[i], y: ys[i] }, c, back));
+}
+
+/**
+ * Inserta un vértice en el punto medio del lado i (entre i e i+1).
+ * @param {{x:number,y:number}[]} poly Polígono.
+ * @param {number} i Índice del lado.
+ * @returns {{x:number,y:number}[]} Polígono con el vértice nuevo en la posición i+1.
+ */
+export function insertMidpoint(poly, i) {
+  const a = poly[i],
+    b = poly[(i + 1) % poly.length];
+  const mid = { x: round001((a.x + b.x) / 2), y: round001((a.y + b.y) / 2) };
+  return [...poly.slice(0, i + 1), mid, ...poly.slice(i + 1)];
+}
+
+/**
+ * Intercambia el vértice i con el anterior (dir = -1) o el siguiente (dir = 1).
+ * @param {{x:number,y:number}[]} poly Polígono.
+ * @param {number} i Índice del vértice.
+ * @param {-1|1} dir Sentido del movimiento en la lista.
+ * @returns {{x:number,y:number}[]} Polígono reordenado.
+ */
+export function moveVertex(poly, i, dir) {
+  const j = i + dir;
+  if (j < 0 || j >= poly.length) return poly;
+  const next = poly.slice();
+  [next[i], next[j]] = [next[j], next[i]];
+  return next;
+}
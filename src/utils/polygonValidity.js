@@ -0,0 +1,170 @@
+import { EPS } from './constants';
+import { pointInPolygon } from './geometry';
+
+/**
+ * Problema detectado en un anillo del recinto.
+ * @typedef {Object} PolygonIssue
+ * @property {number[]} edges Índices de los lados afectados (lado i = vértice i → i+1).
+ * @property {string} msg Descripción para el usuario.
+ */
+
+const cross = (o, a, b) =>
+  (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+const same = (a, b) => Math.abs(a.x - b.x) < EPS && Math.abs(a.y - b.y) < EPS;
+
+// c está sobre el segmento ab (sabiendo que los tres están alineados)
+const within = (a, b, c) =>
+  Math.min(a.x, b.x) - EPS <= c.x &&
+  c.x <= Math.max(a.x, b.x) + EPS &&
+  Math.min(a.y, b.y) - EPS <= c.y &&
+  c.y <= Math.max(a.y, b.y) + EPS;
+
+/**
+ * Indica si dos segmentos se cortan o se tocan (incluye solapes alineados).
+ * @param {{x:number,y:number}} a Extremo del primer segmento.
+ * @param {{x:number,y:number}} b Extremo del primer segmento.
+ * @param {{x:number,y:number}} c Extremo del segundo segmento.
+ * @param {{x:number,y:number}} d Extremo del segundo segmento.
+ * @returns {boolean} true si tienen algún punto en común.
+ */
+export function segmentsIntersect(a, b, c, d) {
+  const d1 = cross(c, d, a),
+    d2 = cross(c, d, b),
+    d3 = cross(a, b, c),
+    d4 = cross(a, b, d);
+  if (
+    ((d1 > EPS && d2 < -EPS) || (d1 < -EPS && d2 > EPS)) &&
+    ((d3 > EPS && d4 < -EPS) || (d3 < -EPS && d4 > EPS))
+  )
+    return true;
+  return (
+    (Math.abs(d1) <= EPS && within(c, d, a)) ||
+    (Math.abs(d2) <= EPS && within(c, d, b)) ||
+    (Math.abs(d3) <= EPS && within(a, b, c)) ||
+    (Math.abs(d4) <= EPS && within(a, b, d))
+  );
+}
+
+/**
+ * Revisa un anillo (contorno o hueco): lados de longitud cero, vértices
+ * alineados con sus vecinos (redundantes o en retroceso) y lados que se cruzan.
+ * @param {{x:number,y:number}[]} ring Vértices en orden.
+ * @param {(i:number) => string} name Nombre visible del vértice i.
+ * @returns {PolygonIssue[]} Problemas encontrados (vacío si el anillo es válido).
+ */
+export function polygonIssues(ring, name) {
+  const n = ring.length;
+  const issues = [];
+  const edge = (i) => `${name(i)}–${name((i + 1) % n)}`;
+  const zero = ring.map((v, i) => same(v, ring[(i + 1) % n]));
+
+  zero.forEach((z, i) => {
+    if (z) issues.push({ edges: [i], msg: `Lado ${edge(i)} de longitud cero` });
+  });
+
+  // Vértice i alineado con el anterior y el siguiente
+  for (let i = 0; i < n; i++) {
+    const prev = (i - 1 + n) % n;
+    if (zero[prev] || zero[i]) continue;
+    const a = ring[prev],
+      v = ring[i],
+      b = ring[(i + 1) % n];
+    if (Math.abs(cross(a, v, b)) > EPS) continue;
+    const forward = (v.x - a.x) * (b.x - v.x) + (v.y - a.y) * (b.y - v.y) > 0;
+    issues.push({
+      edges: [prev, i],
+      msg: forward
+        ? `Vértice ${name(i)} alineado entre ${name(prev)} y ${name((i + 1) % n)} (sobra)`
+        : `Los lados ${edge(prev)} y ${edge(i)} se solapan`,
+    });
+  }
+
+  // Contiguos: entre i y j (en un sentido u otro) solo hay lados de longitud cero
+  const onlyZeroBetween = (from, to) => {
+    for (let k = (from + 1) % n; k !== to; k = (k + 1) % n)
+      if (!zero[k]) return false;
+    return true;
+  };
+  const contiguous = (i, j) => onlyZeroBetween(i, j) || onlyZeroBetween(j, i);
+
+  // Lados no contiguos que se cortan o se tocan
+  for (let i = 0; i < n; i++) {
+    if (zero[i]) continue;
+    for (let j = i + 1; j < n; j++) {
+      if (zero[j] || contiguous(i, j)) continue;
+      if (
+        segmentsIntersect(
+          ring[i],
+          ring[(i + 1) % n],
+          ring[j],
+          ring[(j + 1) % n]
+        )
+      )
+        issues.push({
+          edges: [i, j],
+          msg: `Los lados ${edge(i)} y ${edge(j)} se cruzan`,
+        });
+    }
+  }
+  return issues;
+}
+
+const ringEdges = (ring) =>
+  ring.map((v, i) => [v, ring[(i + 1) % ring.length]]);
+
+// Lados de a que cortan o tocan algún lado de b (y viceversa)
+const crossingEdges = (a, b) => {
+  const out = [];
+  for (const ea of ringEdges(a))
+    for (const eb of ringEdges(b))
+      if (segmentsIntersect(ea[0], ea[1], eb[0], eb[1])) out.push(ea, eb);
+  return out;
+};
+
+/**
+ * Revisa la posición de los huecos: cada uno debe quedar dentro del contorno
+ * sin tocar sus lados, y dos huecos no pueden cortarse, tocarse ni quedar uno
+ * dentro de otro (el área y el volumen descuentan cada hueco entero).
+ * @param {{x:number,y:number}[]} outer Contorno exterior.
+ * @param {{x:number,y:number}[][]} holes Huecos interiores.
+ * @param {(k:number) => string} name Nombre visible del hueco k.
+ * @returns {{segments:{x:number,y:number}[][], msg:string}[]} Problemas con los lados a marcar.
+ */
+export function holeIssues(outer, holes, name) {
+  const issues = [];
+  holes.forEach((h, k) => {
+    const cut = crossingEdges(h, outer);
+    if (cut.length)
+      issues.push({
+        segments: cut,
+        msg: `El hueco ${name(k)} corta el contorno del recinto`,
+      });
+    else if (!pointInPolygon(h[0], outer))
+      issues.push({
+        segments: ringEdges(h),
+        msg: `El hueco ${name(k)} queda fuera del recinto`,
+      });
+  });
+  for (let k = 0; k < holes.length; k++)
+    for (let m = k + 1; m < holes.length; m++) {
+      const a = holes[k],
+        b = holes[m];
+      const cut = crossingEdges(a, b);
+      if (cut.length)
+        issues.push({
+          segments: cut,
+          msg: `Los huecos ${name(k)} y ${name(m)} se cortan o se tocan`,
+        });
+      else if (pointInPolygon(a[0], b))
+        issues.push({
+          segments: ringEdges(a),
+          msg: `El hueco ${name(k)} está dentro del hueco ${name(m)}`,
+        });
+      else if (pointInPolygon(b[0], a))
+        issues.push({
+          segments: ringEdges(b),
+          msg: `El hueco ${name(m)} está dentro del hueco ${name(k)}`,
+        });
+    }
+  return issues;
+}
@@ -0,0 +1,255 @@
+import { MAX_POINTS, N_POINTS } from './constants';
+import { sanitizeProfile } from './ruleProfiles';
+import { SEED_MODES } from './seed';
+import { DEFAULT_OPTIMIZER, OPTIMIZERS } from './optimizers';
+import { sanitizeUnderlay } from './underlay';
+
+// Identificador del formato y versión actual del esquema de proyecto
+export const PROJECT_FORMAT = 'puntos-acusticos';
+export const PROJECT_VERSION = 3;
+
+const isNum = (n) => typeof n === 'number' && Number.isFinite(n);
+const isPoint2D = (p) => !!p && isNum(p.x) && isNum(p.y);
+const isPoint3D = (p) => isPoint2D(p) && isNum(p.z);
+
+/**
+ * Migraciones de esquema: MIGRATIONS[v] convierte un proyecto de la versión v a la v+1.
+ * - v1 -> v2: F1/F2 + activeF1/activeF2 pasan a sources[].
+ * - v2 -> v3: las semillas guardadas se generaron sumando códigos de carácter;
+ *   se marcan con seedMode 'legacy' para seguir reproduciendo los mismos puntos.
+ */
+const MIGRATIONS = {
+  1: (d) => {
+    const { F1, F2, activeF1, activeF2, ...rest } = d;
+    const sources = Array.isArray(d.sources)
+      ? d.sources
+      : [
+          [F1, activeF1],
+          [F2, activeF2],
+        ]
+          .filter(([p]) => p)
+          .map(([p, on]) => ({ ...p, active: on !== false }));
+    return { ...rest, sources, version: 2 };
+  },
+  2: (d) => ({
+    ...d,
+    seedMode: d.seed || d.genSeed ? 'legacy' : 'hash',
+    version: 3,
+  }),
+};
+
+/**
+ * Lleva un estado guardado (archivo o localStorage) a la versión actual del esquema.
+ * Los datos sin versión se tratan como v1; cualquier otra versión que no sea
+ * un entero entre 1 y PROJECT_VERSION se rechaza.
+ * @param {object} data Estado leído.
+ * @returns {object} Estado en la versión PROJECT_VERSION.
+ */
+export function migrateProject(data) {
+  let d = { ...data };
+  let v = d.version == null ? 1 : d.version;
+  if (!Number.isInteger(v) || v < 1 || v > PROJECT_VERSION) {
+    throw new Error(
+      `Versión de archivo ${v} no soportada (de 1 a ${PROJECT_VERSION}).`
+    );
+  }
+  while (v < PROJECT_VERSION) {
+    d = MIGRATIONS[v](d);
+    v = d.version;
+  }
+  return d;
+}
+
+/**
+ * Revisa la estructura de un recinto ya migrado.
+ * @param {object} room Datos del recinto.
+ * @returns {string[]} Errores encontrados (vacío si es válido).
+ */
+export function validateRoom(room) {
+  const errors = [];
+  if (!Array.isArray(room.vertices) || room.vertices.length < 3) {
+    errors.push('El recinto necesita al menos 3 vértices.');
+  } else {
+    room.vertices.forEach((v, i) => {
+      if (!isPoint2D(v))
+        errors.push(`Vértice ${i + 1}: coordenadas X/Y no numéricas.`);
+    });
+  }
+  if (room.holes !== undefined) {
+    if (!Array.isArray(room.holes)) {
+      errors.push('La lista de huecos no es válida.');
+    } else {
+      room.holes.forEach((h, i) => {
+        if (!Array.isArray(h) || h.length < 3 || !h.every(isPoint2D))
+          errors.push(`Hueco H${i + 1}: necesita al menos 3 vértices X/Y.`);
+      });
+    }
+  }
+  if (!isNum(room.alturaZ) || room.alturaZ <= 0) {
+    errors.push('Altura Z no válida (debe ser un número mayor que 0).');
+  }
+  if (
+    room.ceiling !== undefined &&
+    !(
+      room.ceiling &&
+      (room.ceiling.type === 'flat' ||
+        (room.ceiling.type === 'plane' &&
+          Array.isArray(room.ceiling.points) &&
+          room.ceiling.points.length === 3 &&
+          room.ceiling.points.every(isPoint3D)))
+    )
+  ) {
+    errors.push('Techo no válido (horizontal o plano por 3 puntos X/Y/Z).');
+  }
+  if (!Array.isArray(room.sources) || !room.sources.length) {
+    errors.push('Faltan las fuentes (se necesita al menos una).');
+  } else {
+    room.sources.forEach((f, i) => {
+      if (!isPoint3D(f))
+        errors.push(`Fuente F${i + 1}: coordenadas X/Y/Z no numéricas.`);
+    });
+  }
+  if (room.blue !== undefined) {
+    if (!Array.isArray(room.blue)) {
+      errors.push('La lista de puntos de medida no es válida.');
+    } else {
+      room.blue.forEach((p, i) => {
+        if (!isPoint3D(p))
+          errors.push(`Punto P${i + 1}: coordenadas X/Y/Z no numéricas.`);
+      });
+    }
+  }
+  if (room.exclusions !== undefined) {
+    if (!Array.isArray(room.exclusions)) {
+      errors.push('La lista de zonas excluidas no es válida.');
+    } else {
+      room.exclusions.forEach((zn, i) => {
+        const ok =
+          zn &&
+          (zn.type === 'poly'
+            ? Array.isArray(zn.vertices) &&
+              zn.vertices.length >= 3 &&
+              zn.vertices.every(isPoint2D)
+            : [zn.x, zn.y, zn.w, zn.h].every(isNum));
+        if (!ok) errors.push(`Zona Z${i + 1}: geometría no válida.`);
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Normaliza un recinto válido: copia solo los campos conocidos y rellena opcionales.
+ * Un plano de fondo incompleto se descarta sin impedir la carga del recinto.
+ * @param {object} room Datos validados.
+ * @returns {object} Recinto listo para aplicar en la app.
+ */
+function normalizeRoom(room) {
+  const nPoints =
+    Number.isInteger(room.nPoints) &&
+    room.nPoints >= 1 &&
+    room.nPoints <= MAX_POINTS
+      ? room.nPoints
+      : N_POINTS;
+  return {
+    vertices: room.vertices.map(({ x, y }) => ({ x, y })),
+    holes: (room.holes || []).map((h) => h.map(({ x, y }) => ({ x, y }))),
+    alturaZ: room.alturaZ,
+    ceiling:
+      room.ceiling && room.ceiling.type === 'plane'
+        ? {
+            type: 'plane',
+            points: room.ceiling.points.map(({ x, y, z }) => ({ x, y, z })),
+          }
+        : { type: 'flat' },
+    sources: room.sources.map(({ x, y, z, active }) => ({
+      x,
+      y,
+      z,
+      active: active !== false,
+    })),
+    blue: (room.blue || []).map(({ x, y, z, locked }) => ({
+      x,
+      y,
+      z,
+      ...(locked ? { locked: true } : {}),
+    })),
+    exclusions: (room.exclusions || []).map((zn) => ({
+      ...(zn.type === 'poly'
+        ? { type: 'poly', vertices: zn.vertices.map(({ x, y }) => ({ x, y })) }
+        : { type: 'rect', x: zn.x, y: zn.y, w: zn.w, h: zn.h }),
+      clearance: isNum(zn.clearance) && zn.clearance >= 0 ? zn.clearance : 0,
+    })),
+    blueActive: room.blueActive !== false,
+    nPoints,
+    seed: typeof room.seed === 'string' ? room.seed : '',
+    genSeed: typeof room.genSeed === 'string' ? room.genSeed : null,
+    seedMode: SEED_MODES.includes(room.seedMode) ? room.seedMode : 'hash',
+    optimizer: OPTIMIZERS.some((o) => o.id === room.optimizer)
+      ? room.optimizer
+      : DEFAULT_OPTIMIZER,
+    ...(room.ringsRed && typeof room.ringsRed === 'object'
+      ? { ringsRed: room.ringsRed }
+      : {}),
+    ...(room.ringsBlue && typeof room.ringsBlue === 'object'
+      ? { ringsBlue: room.ringsBlue }
+      : {}),
+    ...(typeof room.profileId === 'string'
+      ? { profileId: room.profileId }
+      : {}),
+    underlay: sanitizeUnderlay(room.underlay),
+  };
+}
+
+/**
+ * Serializa un recinto (y su perfil de reglas) como archivo de proyecto JSON.
+ * @param {object} room Estado del recinto (vertices, alturaZ, sources, blue...).
+ * @param {object} [profile] Perfil de reglas activo, para compartirlo con el archivo.
+ * @returns {string} Contenido del archivo .json.
+ */
+export function serializeProject(room, profile = null) {
+  return JSON.stringify(
+    {
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      savedAt: new Date().toISOString(),
+      room,
+      ...(profile ? { profile } : {}),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Lee un archivo de proyecto: parsea, migra y valida.
+ * @param {string} text Contenido del archivo.
+ * @returns {{room:object, profile:object|null}} Recinto normalizado y perfil incluido (si lo hay).
+ * @throws {Error} Con un mensaje legible si el archivo no es válido.
+ */
+export function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('El archivo no es un JSON válido.');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('El archivo no contiene un proyecto.');
+  }
+  if (data.format !== undefined && data.format !== PROJECT_FORMAT) {
+    throw new Error(`Formato de archivo desconocido: ${data.format}.`);
+  }
+  // Archivos antiguos: el recinto va en la raíz en lugar de en "room"
+  const { room: wrapped, profile, ...root } = data;
+  const room = migrateProject({
+    ...(wrapped || root),
+    version: data.version,
+  });
+  const errors = validateRoom(room);
+  if (errors.length) throw new Error(errors.join('\n'));
+  return {
+    room: normalizeRoom(room),
+    profile: profile ? sanitizeProfile(profile) : null,
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * Proyección ortográfica con giro (alrededor de Z) e inclinación de la cámara.
+ * @typedef {Object} View3D
+ * @property {number} yaw Giro horizontal (rad).
+ * @property {number} pitch Inclinación (rad): 0 = vista horizontal, π/2 = planta.
+ */
+
+/**
+ * Proyecta un punto 3D sobre el plano de la pantalla.
+ * @param {{x:number, y:number, z:number}} p Punto en metros.
+ * @param {View3D} view Orientación de la cámara.
+ * @param {{x:number, y:number, z:number}} center Centro de giro.
+ * @returns {{u:number, v:number, depth:number}} Coordenadas en pantalla (m, v hacia arriba) y profundidad (mayor = más lejos).
+ */
+export function project3D(p, view, center) {
+  const x = p.x - center.x,
+    y = p.y - center.y,
+    z = p.z - center.z;
+  const cy = Math.cos(view.yaw),
+    sy = Math.sin(view.yaw);
+  const x1 = x * cy - y * sy;
+  const y1 = x * sy + y * cy;
+  const cp = Math.cos(view.pitch),
+    sp = Math.sin(view.pitch);
+  return { u: x1, v: z * cp + y1 * sp, depth: y1 * cp - z * sp };
+}
+
+/**
+ * Prisma del recinto: el polígono en planta extruido de 0 a la altura del
+ * techo (constante o, con techo inclinado, dependiente de la posición).
+ * @param {{x:number, y:number}[]} vertices Polígono en planta.
+ * @param {number|((p:{x:number,y:number}) => number)} height Altura Z o altura del techo en cada punto.
+ * @returns {{floor:{x:number,y:number,z:number}[], ceiling:{x:number,y:number,z:number}[], center:{x:number,y:number,z:number}}} Contornos de suelo y techo y centro de giro.
+ */
+export function extrudeRoom(vertices, height) {
+  const floor = vertices.map(({ x, y }) => ({ x, y, z: 0 }));
+  const zAt = typeof height === 'function' ? height : () => height;
+  const ceiling = vertices.map(({ x, y }) => ({ x, y, z: zAt({ x, y }) }));
+  const xs = vertices.map((v) => v.x),
+    ys = vertices.map((v) => v.y);
+  return {
+    floor,
+    ceiling,
+    center: {
+      x: (Math.min(...xs) + Math.max(...xs)) / 2,
+      y: (Math.min(...ys) + Math.max(...ys)) / 2,
+      z: Math.max(...ceiling.map((p) => p.z)) / 2,
+    },
+  };
+}
@@ -0,0 +1,132 @@
+import {
+  MARGIN,
+  MIN_BLUE_BLUE,
+  MIN_F_F_AXIS,
+  MIN_RED_BLUE,
+  round01,
+} from './constants';
+
+/**
+ * Perfil de reglas de medida (valores en metros).
+ * @typedef {Object} RuleProfile
+ * @property {string} id Identificador estable del perfil.
+ * @property {string} name Nombre visible.
+ * @property {number} margin Distancia mínima a todas las caras (incluye Z).
+ * @property {number} minRedBlue Fuente–Punto mínima (3D).
+ * @property {number} minBlueBlue Punto–Punto mínima (3D).
+ * @property {number} minFFAxis Fuente–Fuente mínima en cada eje.
+ */
+
+// Claves editables de un perfil, en el orden en que se muestran
+export const RULE_FIELDS = [
+  { key: 'margin', label: 'Margen a caras' },
+  { key: 'minRedBlue', label: 'Fuente – Punto (3D)' },
+  { key: 'minBlueBlue', label: 'Punto – Punto (3D)' },
+  { key: 'minFFAxis', label: 'Fuente – Fuente (por eje)' },
+];
+
+/** @type {RuleProfile[]} */
+export const DEFAULT_PROFILES = [
+  {
+    id: 'iso16283-1',
+    name: 'ISO 16283-1 ruido aéreo',
+    margin: MARGIN,
+    minRedBlue: MIN_RED_BLUE,
+    minBlueBlue: MIN_BLUE_BLUE,
+    minFFAxis: MIN_F_F_AXIS,
+  },
+  {
+    id: 'baja-frecuencia',
+    name: 'Baja frecuencia',
+    margin: MARGIN,
+    minRedBlue: 1.5,
+    minBlueBlue: 1.0,
+    minFFAxis: MIN_F_F_AXIS,
+  },
+];
+
+export const DEFAULT_RULES = DEFAULT_PROFILES[0];
+
+/**
+ * Devuelve el perfil con el id indicado o el primero de la lista si no existe.
+ * @param {RuleProfile[]} profiles Perfiles disponibles.
+ * @param {string} id Identificador buscado.
+ * @returns {RuleProfile} Perfil encontrado (o DEFAULT_RULES si la lista está vacía).
+ */
+export function findProfile(profiles, id) {
+  return profiles.find((p) => p.id === id) || profiles[0] || DEFAULT_RULES;
+}
+
+/**
+ * Perfil predefinido con el id indicado (sus valores originales).
+ * @param {string} id Identificador del perfil.
+ * @returns {RuleProfile|null} Perfil predefinido o null si es de usuario.
+ */
+export function builtInProfile(id) {
+  return DEFAULT_PROFILES.find((p) => p.id === id) || null;
+}
+
+/**
+ * Círculos visibles por radio: uno por cada radio del perfil activo, con el
+ * estado guardado o activado si ese radio no tenía (p. ej. uno que aparece al
+ * cambiar de perfil).
+ * @param {Object<string, boolean>} rings Estado guardado por radio.
+ * @param {number[]} radii Radios del perfil activo.
+ * @returns {Object<string, boolean>} Estado de cada radio de `radii`.
+ */
+export function ringToggles(rings, radii) {
+  return Object.fromEntries(
+    radii.map((r) => [r, rings && r in rings ? !!rings[r] : true])
+  );
+}
+
+/**
+ * Normaliza un perfil leído de almacenamiento: completa valores ausentes y
+ * fuerza distancias no negativas redondeadas a 0,1 m. También se aplica a
+ * las ediciones desde la interfaz.
+ * @param {Partial<RuleProfile>} p Perfil (posiblemente incompleto).
+ * @returns {RuleProfile|null} Perfil válido o null si no tiene id.
+ */
+export function sanitizeProfile(p) {
+  if (!p || typeof p.id !== 'string' || !p.id) return null;
+  const out = { id: p.id, name: String(p.name || p.id) };
+  for (const { key } of RULE_FIELDS) {
+    const v = Number(p[key]);
+    out[key] = Number.isFinite(v) && v >= 0 ? round01(v) : DEFAULT_RULES[key];
+  }
+  return out;
+}
+
+/**
+ * Crea una copia editable de un perfil con id nuevo.
+ * @param {RuleProfile} p Perfil de origen.
+ * @param {RuleProfile[]} profiles Perfiles existentes (para evitar ids repetidos).
+ * @returns {RuleProfile} Perfil duplicado.
+ */
+export function duplicateProfile(p, profiles) {
+  let n = 2;
+  let id = `${p.id}-${n}`;
+  while (profiles.some((q) => q.id === id)) id = `${p.id}-${++n}`;
+  return { ...p, id, name: `${p.name} (${n})` };
+}
+
+/**
+ * Incorpora un perfil recibido (p. ej. de un archivo de proyecto) a la lista local.
+ * Si ya existe uno con el mismo id y valores, se reutiliza; si el id existe con
+ * otros valores, se añade como copia para no pisar el perfil local.
+ * @param {RuleProfile[]} profiles Perfiles locales.
+ * @param {RuleProfile} profile Perfil recibido.
+ * @returns {{profiles:RuleProfile[], id:string}} Lista resultante e id a activar.
+ */
+export function mergeProfile(profiles, profile) {
+  const known = profiles.find((p) => p.id === profile.id);
+  if (!known) return { profiles: [...profiles, profile], id: profile.id };
+  if (RULE_FIELDS.every(({ key }) => known[key] === profile[key])) {
+    return { profiles, id: known.id };
+  }
+  const copy = {
+    ...duplicateProfile(profile, profiles),
+    name: `${profile.name} (importado)`,
+  };
+  return { profiles: [...profiles, copy], id: copy.id };
+}
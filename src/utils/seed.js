@@ -0,0 +1,52 @@
+// Modos de conversión de semilla a entero: 'hash' (actual) o 'legacy'
+// (suma de códigos de carácter, para reproducir semillas guardadas antes del cambio)
+export const SEED_MODES = ['hash', 'legacy'];
+
+/**
+ * Genera una semilla corta y legible para compartir (6 caracteres en base 36).
+ * @returns {string} Semilla aleatoria.
+ */
+export function randomSeed() {
+  return Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+}
+
+/**
+ * Hash de texto a entero de 32 bits: FNV-1a sobre los puntos de código con
+ * mezcla final (fmix32 de MurmurHash3) para repartir bien semillas cortas.
+ * Sensible al orden: "ab" y "ba" dan valores distintos.
+ * @param {string} str Semilla.
+ * @returns {number} Entero sin signo de 32 bits.
+ */
+export function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (const ch of str) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Conversión antigua (suma de códigos de carácter). Solo para el modo de
+ * compatibilidad: colisiona con facilidad ("ab" = "ba").
+ * @param {string} str Semilla.
+ * @returns {number} Suma de códigos.
+ */
+export function legacySeedHash(str) {
+  return Array.from(str).reduce((a, c) => a + c.charCodeAt(0), 0);
+}
+
+/**
+ * Convierte una semilla de texto en el entero que alimenta a mulberry32.
+ * @param {string} seed Semilla.
+ * @param {'hash'|'legacy'} [mode] Modo de conversión.
+ * @returns {number} Entero para el generador.
+ */
+export function seedToInt(seed, mode = 'hash') {
+  return mode === 'legacy' ? legacySeedHash(seed) : hashSeed(seed);
+}
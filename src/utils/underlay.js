@@ -0,0 +1,159 @@
+import { EPS } from './constants';
+
+/**
+ * Plano escaneado que se dibuja bajo la planta para calcar el contorno.
+ * @typedef {Object} Underlay
+ * @property {string|null} src Imagen como data URL (null mientras no se ha
+ *   leído del almacén de imágenes o si ya no está en él).
+ * @property {string} imageId Id de la imagen en el almacén de imágenes (la
+ *   comparten los recintos duplicados).
+ * @property {number} widthPx Ancho de la imagen (px).
+ * @property {number} heightPx Alto de la imagen (px).
+ * @property {number} x X (m) de la esquina superior izquierda.
+ * @property {number} y Y (m) de la esquina superior izquierda.
+ * @property {number} scale Metros por píxel de la imagen.
+ * @property {number} opacity Opacidad (0..1).
+ * @property {boolean} visible Si se dibuja (y cuenta para el encuadre).
+ */
+
+// Lado máximo y calidad JPEG de la imagen guardada: se vuelve a codificar
+// siempre, también la de un archivo pequeño (un PNG sin comprimir ocupa mucho)
+export const UNDERLAY_MAX_PX = 2000;
+const UNDERLAY_QUALITY = 0.8;
+
+const isNum = (n) => typeof n === 'number' && Number.isFinite(n);
+const round4 = (n) => Math.round(n * 1e4) / 1e4;
+
+let idCounter = 0;
+/**
+ * Genera un identificador único para la imagen de un plano de fondo.
+ * @returns {string} Id del tipo "img-<tiempo>-<n>".
+ */
+export function newImageId() {
+  idCounter += 1;
+  return `img-${Date.now().toString(36)}-${idCounter}`;
+}
+
+/**
+ * Lee una imagen y la vuelve a codificar como JPEG, reducida a
+ * UNDERLAY_MAX_PX si es mayor.
+ * @param {File} file Imagen elegida por el usuario.
+ * @returns {Promise<{src:string, widthPx:number, heightPx:number}>} Imagen y tamaño.
+ */
+export function loadUnderlayImage(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error('No se pudo leer el archivo.'));
+    reader.onload = () => {
+      const img = new Image();
+      img.onload = () => {
+        const w = img.naturalWidth,
+          h = img.naturalHeight;
+        const k = Math.min(1, UNDERLAY_MAX_PX / Math.max(w, h));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(w * k);
+        canvas.height = Math.round(h * k);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve({
+          src: canvas.toDataURL('image/jpeg', UNDERLAY_QUALITY),
+          widthPx: canvas.width,
+          heightPx: canvas.height,
+        });
+      };
+      img.onerror = () =>
+        reject(new Error('El archivo no es una imagen válida.'));
+      img.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Coloca una imagen recién cargada: mismo ancho que el recinto y esquina
+ * superior izquierda en la del recinto. La escala real se fija al calibrar.
+ * Recibe un id de imagen nuevo.
+ * @param {{src:string, widthPx:number, heightPx:number}} image Imagen cargada.
+ * @param {{minX:number, maxX:number, maxY:number}} bounds Límites del recinto.
+ * @returns {Underlay} Plano de fondo.
+ */
+export function createUnderlay(image, bounds) {
+  return {
+    ...image,
+    imageId: newImageId(),
+    x: bounds.minX,
+    y: bounds.maxY,
+    scale: round4(Math.max(bounds.maxX - bounds.minX, 1) / image.widthPx),
+    opacity: 0.5,
+    visible: true,
+  };
+}
+
+/**
+ * Esquinas opuestas del plano de fondo en metros (vacío si no se dibuja).
+ * @param {Underlay|null} u Plano de fondo.
+ * @returns {{x:number,y:number}[]} Esquina superior izquierda e inferior derecha.
+ */
+export function underlayCorners(u) {
+  if (!u || !u.visible) return [];
+  return [
+    { x: u.x, y: u.y },
+    { x: u.x + u.widthPx * u.scale, y: u.y - u.heightPx * u.scale },
+  ];
+}
+
+/**
+ * Ajusta la escala del plano para que la distancia entre a y b sea la real.
+ * El punto a queda fijo, de modo que lo ya calcado en él no se mueve.
+ * @param {Underlay} u Plano de fondo.
+ * @param {{x:number,y:number}} a Primer punto marcado (m, escala actual).
+ * @param {{x:number,y:number}} b Segundo punto marcado.
+ * @param {number} distance Distancia real entre a y b (m).
+ * @returns {Underlay} Plano calibrado (el mismo si los puntos coinciden).
+ */
+export function calibrateUnderlay(u, a, b, distance) {
+  const measured = Math.hypot(b.x - a.x, b.y - a.y);
+  if (measured < EPS || !(distance > 0)) return u;
+  const k = distance / measured;
+  return {
+    ...u,
+    x: round4(a.x + (u.x - a.x) * k),
+    y: round4(a.y + (u.y - a.y) * k),
+    scale: u.scale * k,
+  };
+}
+
+/**
+ * Comprueba un plano de fondo leído de un archivo o de localStorage. En
+ * localStorage se guarda sin la imagen, solo con su imageId; los datos
+ * antiguos la llevan incluida y reciben un id nuevo.
+ * @param {object} u Datos guardados.
+ * @returns {Underlay|null} Plano normalizado o null si falta algo.
+ */
+export function sanitizeUnderlay(u) {
+  const hasId = u && typeof u.imageId === 'string' && u.imageId !== '';
+  if (
+    !u ||
+    (u.src == null
+      ? !hasId
+      : typeof u.src !== 'string' || !u.src.startsWith('data:image/')) ||
+    ![u.widthPx, u.heightPx, u.x, u.y, u.scale].every(isNum) ||
+    u.widthPx <= 0 ||
+    u.heightPx <= 0 ||
+    u.scale <= 0
+  )
+    return null;
+  return {
+    src: u.src == null ? null : u.src,
+    imageId: hasId ? u.imageId : newImageId(),
+    widthPx: u.widthPx,
+    heightPx: u.heightPx,
+    x: u.x,
+    y: u.y,
+    scale: u.scale,
+    opacity: isNum(u.opacity) ? Math.min(1, Math.max(0.05, u.opacity)) : 0.5,
+    visible: u.visible !== false,
+  };
+}
@@ -0,0 +1,204 @@
+import { N_POINTS } from './constants';
+import { DEFAULT_OPTIMIZER } from './optimizers';
+import { PROJECT_VERSION, migrateProject } from './projectFile';
+import { DEFAULT_PROFILES } from './ruleProfiles';
+import { sanitizeUnderlay } from './underlay';
+
+// Claves de localStorage: espacio de trabajo actual y estado antiguo de un solo recinto
+export const WORKSPACE_KEY = 'puntos_app_workspace';
+export const LEGACY_STATE_KEY = 'puntos_app_state_min';
+// Copia en bruto de un espacio de trabajo que no se pudo leer
+export const WORKSPACE_BACKUP_KEY = 'puntos_app_workspace_backup';
+
+// Pasos de historial que se conservan por recinto al guardar en el navegador
+export const HISTORY_LIMIT = 50;
+
+// Estado inicial de un recinto nuevo
+export const DEFAULT_ROOM_STATE = {
+  vertices: [
+    { x: 0, y: 0 },
+    { x: 3, y: 0 },
+    { x: 3, y: 2 },
+    { x: 0, y: 2 },
+  ],
+  holes: [],
+  alturaZ: 2.5,
+  ceiling: { type: 'flat' },
+  exclusions: [],
+  sources: [
+    { x: 0.5, y: 1.5, z: 1.8, active: true },
+    { x: 2.5, y: 0.5, z: 1.1, active: true },
+  ],
+  blue: [],
+  blueActive: true,
+  nPoints: N_POINTS,
+  seed: '',
+  genSeed: null,
+  seedMode: 'hash',
+  optimizer: DEFAULT_OPTIMIZER,
+  ringsRed: { 0.5: true, 0.7: true, 1: false, 2: false },
+  ringsBlue: { 0.5: true, 0.7: true, 1: false, 2: false },
+  profileId: DEFAULT_PROFILES[0].id,
+};
+
+let idCounter = 0;
+/**
+ * Genera un identificador único para un recinto.
+ * @returns {string} Id del tipo "r-<tiempo>-<n>".
+ */
+export function newRoomId() {
+  idCounter += 1;
+  return `r-${Date.now().toString(36)}-${idCounter}`;
+}
+
+/**
+ * Crea un recinto del espacio de trabajo.
+ * @param {string} name Nombre visible.
+ * @param {object} [state] Estado del recinto (por defecto, el inicial).
+ * @param {object|null} [underlay] Plano de fondo (fuera del historial).
+ * @returns {{id:string, name:string, state:object, past:object[], future:object[], underlay:object|null}} Recinto con historial vacío.
+ */
+export function createRoom(name, state = DEFAULT_ROOM_STATE, underlay = null) {
+  return {
+    id: newRoomId(),
+    name,
+    state: JSON.parse(JSON.stringify(state)),
+    past: [],
+    future: [],
+    underlay,
+  };
+}
+
+/**
+ * Propone un nombre "Recinto N" que no esté en uso.
+ * @param {{name:string}[]} rooms Recintos existentes.
+ * @returns {string} Nombre libre.
+ */
+export function nextRoomName(rooms) {
+  let n = rooms.length + 1;
+  while (rooms.some((r) => r.name === `Recinto ${n}`)) n++;
+  return `Recinto ${n}`;
+}
+
+// Completa un estado guardado con los valores por defecto y lo lleva al esquema actual
+const upgradeState = (s) => {
+  const m = migrateProject(s);
+  delete m.version;
+  if (!Array.isArray(m.sources) || !m.sources.length) delete m.sources;
+  return { ...DEFAULT_ROOM_STATE, ...m };
+};
+
+const parseStored = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error('Los datos guardados no son un JSON válido.');
+  }
+};
+
+/**
+ * Lee el espacio de trabajo guardado. Si solo existe el estado antiguo de un
+ * recinto, lo convierte en un espacio de trabajo con un único recinto.
+ * @param {Storage} storage Almacenamiento (localStorage).
+ * @returns {{rooms:object[], activeId:string}|null} Espacio de trabajo o null si no hay nada guardado.
+ * @throws {Error} Si el JSON está dañado o su versión no está soportada.
+ */
+export function readWorkspace(storage) {
+  const raw = storage.getItem(WORKSPACE_KEY);
+  if (raw) {
+    const ws = parseStored(raw);
+    const rooms = (ws.rooms || []).map((r) => ({
+      id: r.id || newRoomId(),
+      name: r.name || 'Recinto',
+      state: upgradeState(r.state || {}),
+      past: (r.past || []).map(upgradeState),
+      future: (r.future || []).map(upgradeState),
+      underlay: sanitizeUnderlay(r.underlay),
+    }));
+    if (!rooms.length) return null;
+    const activeId = rooms.some((r) => r.id === ws.activeId)
+      ? ws.activeId
+      : rooms[0].id;
+    return { rooms, activeId };
+  }
+  const legacy = storage.getItem(LEGACY_STATE_KEY);
+  if (legacy) {
+    const room = createRoom('Recinto 1', upgradeState(parseStored(legacy)));
+    return { rooms: [room], activeId: room.id };
+  }
+  return null;
+}
+
+/**
+ * Copia el texto guardado (espacio de trabajo o estado antiguo) tal cual a
+ * WORKSPACE_BACKUP_KEY, para no perderlo cuando no se puede leer.
+ * @param {Storage} storage Almacenamiento (localStorage).
+ * @returns {string|null} Texto copiado, o null si no había nada guardado.
+ */
+export function backupWorkspace(storage) {
+  const raw =
+    storage.getItem(WORKSPACE_KEY) ?? storage.getItem(LEGACY_STATE_KEY);
+  if (raw != null) storage.setItem(WORKSPACE_BACKUP_KEY, raw);
+  return raw;
+}
+
+// Plano de fondo sin la imagen, que va al almacén de imágenes
+const withoutImage = (u) => {
+  const meta = { ...u };
+  delete meta.src;
+  return meta;
+};
+
+/**
+ * Serializa el espacio de trabajo para localStorage, recortando el historial.
+ * Los planos de fondo se guardan sin la imagen (solo su imageId).
+ * @param {object[]} rooms Recintos (con el estado del activo ya actualizado).
+ * @param {string} activeId Id del recinto activo.
+ * @returns {string} JSON a guardar.
+ */
+export function serializeWorkspace(rooms, activeId) {
+  const stamp = (s) => ({ ...s, version: PROJECT_VERSION });
+  return JSON.stringify({
+    activeId,
+    rooms: rooms.map((r) => ({
+      id: r.id,
+      name: r.name,
+      state: stamp(r.state),
+      past: r.past.slice(-HISTORY_LIMIT).map(stamp),
+      future: r.future.slice(0, HISTORY_LIMIT).map(stamp),
+      ...(r.underlay ? { underlay: withoutImage(r.underlay) } : {}),
+    })),
+  });
+}
+
+/**
+ * Guarda el espacio de trabajo: primero las imágenes nuevas de los planos de
+ * fondo en `images`, luego el JSON en `storage` y por último borra de
+ * `images` las que ya no usa ningún recinto. Así lo guardado nunca apunta a
+ * una imagen que falte si algo falla a medias.
+ * @param {Storage} storage Almacenamiento (localStorage).
+ * @param {{saveImage:Function, deleteImage:Function}} images Almacén de imágenes.
+ * @param {object[]} rooms Recintos (con el estado del activo ya actualizado).
+ * @param {string} activeId Id del recinto activo.
+ * @param {Set<string>} saved Ids de las imágenes ya guardadas; se actualiza.
+ * @returns {Promise<void>}
+ * @throws {Error} Si no se puede escribir (p. ej. QuotaExceededError).
+ */
+export async function saveWorkspace(storage, images, rooms, activeId, saved) {
+  const used = new Map(
+    rooms
+      .filter((r) => r.underlay)
+      .map((r) => [r.underlay.imageId, r.underlay.src])
+  );
+  for (const [id, src] of used)
+    if (src && !saved.has(id)) {
+      await images.saveImage(id, src);
+      saved.add(id);
+    }
+  storage.setItem(WORKSPACE_KEY, serializeWorkspace(rooms, activeId));
+  for (const id of [...saved])
+    if (!used.has(id)) {
+      await images.deleteImage(id);
+      saved.delete(id);
+    }
+}
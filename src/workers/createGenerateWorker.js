@@ -0,0 +1,11 @@
+/**
+ * Crea el Web Worker de generación. Va en un módulo aparte que se carga con
+ * import() solo si el navegador tiene workers: import.meta.url lo resuelve
+ * Vite al compilar y no existe en el entorno de tests.
+ * @returns {Worker} Worker listo para recibir los parámetros de generateForRoom.
+ */
+export default function createGenerateWorker() {
+  return new Worker(new URL('./generate.worker.js', import.meta.url), {
+    type: 'module',
+  });
+}
@@ -0,0 +1,14 @@
+import { generateForRoom } from '../utils/optimizers';
+
+// Web Worker de generación: recibe los parámetros de generateForRoom, informa
+// del progreso y devuelve el resultado. Para cancelar, el hilo principal lo termina.
+self.onmessage = (e) => {
+  try {
+    const result = generateForRoom(e.data, (progress) =>
+      self.postMessage({ type: 'progress', progress })
+    );
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,98 @@
+import React from "react";
+import { render, screen, within } from "@testing-library/react";
+import ReportView from "../src/components/ReportView";
+import { namedPoints } from "../src/utils/distanceChecks";
+import { dist3D } from "../src/utils/geometry";
+
+const sources = [
+  { x: 0.5, y: 1.5, z: 1.8, active: true },
+  { x: 2.5, y: 0.5, z: 1.1, active: false },
+];
+const points = [
+  { x: 1.6, y: 0.7, z: 1.2 },
+  { x: 2.2, y: 1.4, z: 1.0 },
+];
+const pointList = namedPoints({
+  sources,
+  blue: points,
+  blueActive: true,
+  nPoints: 2,
+});
+const distMatrix = pointList.map((a) =>
+  pointList.map((b) => (a.p && b.p ? dist3D(a.p, b.p).toFixed(1) : "--"))
+);
+
+test("el informe muestra recinto, fuentes, puntos con distancias, semilla y perfil", () => {
+  render(
+    <ReportView
+      roomName="Sala 1"
+      profileName="Baja frecuencia"
+      seed="auditoria-7"
+      vertices={[
+        { x: 0, y: 0 },
+        { x: 3, y: 0 },
+        { x: 3, y: 2 },
+        { x: 0, y: 2 },
+      ]}
+      holes={[]}
+      exclusions={[]}
+      heightAt={() => 2.5}
+      area={6}
+      volumen={15}
+      sources={sources}
+      points={points}
+      ringsRed={{}}
+      ringsBlue={{}}
+      radii={[]}
+      pointList={pointList}
+      distMatrix={distMatrix}
+      ruleChecks={[
+        { label: "Fuente – Punto ≥ 1,0 m", ok: true },
+        { label: "Punto – Punto ≥ 0,7 m", ok: false },
+      ]}
+      warnings={["P1–P2 = 0.9 < 1.0 m (3D)"]}
+      onBack={() => {}}
+    />
+  );
+
+  expect(screen.getByText("Hoja de medida – Sala 1")).toBeTruthy();
+  expect(
+    screen.getByText(/Perfil de reglas: Baja frecuencia · Semilla: auditoria-7/)
+  ).toBeTruthy();
+
+  // Recinto: altura, área, volumen y vértices
+  const room = screen.getByText("Área").closest("table");
+  expect(within(room).getByText("2,50 m")).toBeTruthy();
+  expect(within(room).getByText("6,0 m²")).toBeTruthy();
+  expect(within(room).getByText("15,0 m³")).toBeTruthy();
+  const verts = screen.getByText("Vértices").nextSibling;
+  expect(within(verts).getAllByRole("row")).toHaveLength(5);
+
+  // Fuentes (la inactiva marcada) y puntos con sus coordenadas
+  const coords = screen.getByText("Fuentes y puntos").nextSibling;
+  const row = (name) =>
+    within(coords)
+      .getByText(name)
+      .closest("tr")
+      .textContent.replace(/\s+/g, " ");
+  expect(row("F1")).toBe("F10,501,501,80");
+  expect(row(/F2/)).toBe("F2 (inactiva)2,500,501,10");
+  expect(row("P1")).toBe("P11,600,701,20");
+  expect(row("P2")).toBe("P22,201,401,00");
+
+  // Distancias 3D con coma decimal; la fuente inactiva sin valores
+  const dist = screen.getByText("Tabla de distancias 3D (m)").nextSibling;
+  const p1 = within(dist).getAllByText("P1")[1].closest("tr");
+  const cells = [...p1.querySelectorAll("td")].map((td) => td.textContent);
+  expect(cells).toEqual([
+    dist3D(sources[0], points[0]).toFixed(1).replace(".", ","),
+    "--",
+    "",
+    dist3D(points[0], points[1]).toFixed(1).replace(".", ","),
+  ]);
+
+  // Comprobación de reglas y avisos
+  expect(screen.getByText("hay incumplimientos")).toBeTruthy();
+  expect(screen.getByText("✗ Punto – Punto ≥ 0,7 m")).toBeTruthy();
+  expect(screen.getByText("• P1–P2 = 0.9 < 1.0 m (3D)")).toBeTruthy();
+});
@@ -0,0 +1,25 @@
+import { minPointCount, solutionQuality } from "../src/utils/bluePoints";
+
+test("la calidad de una solución son las mínimas P–P y F–P en 3D", () => {
+  const pts = [
+    { x: 0, y: 0, z: 1 },
+    { x: 3, y: 0, z: 1 },
+    { x: 3, y: 4, z: 1 },
+  ];
+  const anchors = [{ x: 0, y: 2, z: 1 }];
+  expect(solutionQuality(pts, anchors)).toEqual({ minPP: 3, minFP: 2 });
+  expect(solutionQuality(pts.slice(0, 1), [])).toEqual({
+    minPP: null,
+    minFP: null,
+  });
+});
+
+test("el número de puntos no baja del último punto bloqueado", () => {
+  const p = { x: 1, y: 1, z: 1 };
+  expect(minPointCount([])).toBe(1);
+  expect(minPointCount([p, p, p])).toBe(1);
+  expect(
+    minPointCount([p, { ...p, locked: true }, p, p, { ...p, locked: true }, p])
+  ).toBe(5);
+  expect(minPointCount([null, { ...p, locked: true }, null])).toBe(2);
+});
@@ -0,0 +1,44 @@
+import {
+  ceilingHeightFn,
+  ceilingPlane,
+  roomVolume,
+} from "../src/utils/ceiling";
+
+// Techo de buhardilla: 2 m en x = 0 y 4 m en x = 4
+const slope = {
+  type: "plane",
+  points: [
+    { x: 0, y: 0, z: 2 },
+    { x: 4, y: 0, z: 4 },
+    { x: 0, y: 2, z: 2 },
+  ],
+};
+const rect = [
+  { x: 0, y: 0 },
+  { x: 4, y: 0 },
+  { x: 4, y: 2 },
+  { x: 0, y: 2 },
+];
+
+test("el techo inclinado da alturas y volumen según la posición", () => {
+  const heightAt = ceilingHeightFn(slope, 2.5);
+  expect(heightAt({ x: 1, y: 1 })).toBeCloseTo(2.5);
+  expect(heightAt({ x: 4, y: 2 })).toBeCloseTo(4);
+  // Altura media 3 m sobre 8 m²
+  expect(roomVolume(rect, [], heightAt)).toBeCloseTo(24);
+  // Un hueco de 1 × 1 m centrado en x = 3,5 (altura 3,75 m) resta 3,75 m³
+  const hole = [
+    { x: 3, y: 0.5 },
+    { x: 4, y: 0.5 },
+    { x: 4, y: 1.5 },
+    { x: 3, y: 1.5 },
+  ];
+  expect(roomVolume(rect, [hole], heightAt)).toBeCloseTo(24 - 3.75);
+  // Puntos alineados: sin plano, se usa la altura Z
+  const flat = {
+    ...slope,
+    points: [slope.points[0], slope.points[1], { x: 2, y: 0, z: 3 }],
+  };
+  expect(ceilingPlane(flat.points)).toBeNull();
+  expect(ceilingHeightFn(flat, 2.5)({ x: 3, y: 1 })).toBe(2.5);
+});
@@ -0,0 +1,26 @@
+import { buildPointsCsv, toCsv } from "../src/utils/csvExport";
+
+const points = [
+  { name: "F1", p: { x: 0.5, y: 1.5, z: 1.8 }, active: true },
+  { name: "F2", p: { x: 2.5, y: 0.5, z: 1.1 }, active: false },
+  { name: "P1", p: { x: 1.5, y: 1.5, z: 1.2 }, active: true },
+];
+
+test("usa coma decimal y punto y coma como separador de columnas", () => {
+  const csv = buildPointsCsv(points, [], { decimal: "," });
+  expect(csv).toContain("F1;sí;0,50;1,50;1,80");
+  expect(csv).toContain("F2;no;2,50;0,50;1,10");
+  // Matriz solo con puntos activos
+  expect(csv).toContain(";F1;P1");
+  expect(csv).toContain("P1;1,17;0,00");
+  expect(csv).toContain("Sin avisos");
+});
+
+test("usa punto decimal y comas, entrecomillando textos con separadores", () => {
+  const csv = buildPointsCsv(points, ["P1–P2: |X|=0.1, |Y|=0.2 < 0.7 m"], {
+    decimal: ".",
+  });
+  expect(csv).toContain("P1,sí,1.50,1.50,1.20");
+  expect(csv).toContain('"P1–P2: |X|=0.1, |Y|=0.2 < 0.7 m"');
+  expect(toCsv([['a"b', "c"]], ".")).toBe('"a""b",c');
+});
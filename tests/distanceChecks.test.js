@@ -0,0 +1,56 @@
+import { checkAllDistances, namedPoints } from "../src/utils/distanceChecks";
+import { DEFAULT_RULES } from "../src/utils/ruleProfiles";
+
+const sources = [
+  { x: 0.5, y: 0.5, z: 1.0, active: true },
+  { x: 2.5, y: 2.5, z: 1.8, active: true },
+  { x: 3.3, y: 0.6, z: 2.2, active: true },
+];
+const check = (list) => checkAllDistances(list, { rules: DEFAULT_RULES });
+
+test("comprueba cada pareja de fuentes por eje, con tres o más fuentes", () => {
+  const list = namedPoints({ sources, blue: [], blueActive: true, nPoints: 0 });
+  expect(list.map((e) => e.name)).toEqual(["F1", "F2", "F3"]);
+  const { pairs, kinds, msgs } = check(list);
+  // F1–F3 comparten Y (0,1 m) y F2–F3 Z (0,4 m); F1–F2 cumple en los tres ejes
+  expect([...pairs].sort()).toEqual(["0-2", "1-2"]);
+  expect([...kinds]).toEqual(["FF"]);
+  expect(msgs).toEqual(["F1–F3: |Y|=0.1 < 0.7 m", "F2–F3: |Z|=0.4 < 0.7 m"]);
+
+  const four = [...sources, { x: 1.5, y: 1.5, z: 2.3, active: true }];
+  const all = check(
+    namedPoints({ sources: four, blue: [], blueActive: true, nPoints: 0 })
+  );
+  expect([...all.pairs].sort()).toEqual(["0-2", "1-2", "1-3", "2-3"]);
+});
+
+test("las fuentes inactivas se listan sin coordenadas y no se comprueban", () => {
+  const blue = [{ x: 3.3, y: 1.0, z: 2.2 }];
+  const off = sources.map((f, i) => (i === 2 ? { ...f, active: false } : f));
+  const list = namedPoints({
+    sources: off,
+    blue,
+    blueActive: true,
+    nPoints: 2,
+  });
+  expect(list.map((e) => [e.name, !!e.p])).toEqual([
+    ["F1", true],
+    ["F2", true],
+    ["F3", false],
+    ["P1", true],
+    ["P2", false],
+  ]);
+  // P1 está a 0,4 m de F3, pero F3 está inactiva
+  expect(check(list).msgs).toEqual([]);
+  expect(
+    check(namedPoints({ sources, blue, blueActive: true, nPoints: 1 })).msgs
+  ).toEqual([
+    "F1–F3: |Y|=0.1 < 0.7 m",
+    "F2–F3: |Z|=0.4 < 0.7 m",
+    "F3–P1 = 0.4 < 1.0 m (3D)",
+  ]);
+  // Puntos ocultos: solo quedan las fuentes
+  expect(
+    namedPoints({ sources: off, blue, blueActive: false, nPoints: 1 })[3].p
+  ).toBeNull();
+});
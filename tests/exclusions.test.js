@@ -0,0 +1,18 @@
+import {
+  createZone,
+  insideZone,
+  zonesContaining,
+} from "../src/utils/exclusions";
+
+test("insideZone cubre el interior y la franja de holgura", () => {
+  const rect = { type: "rect", x: 1, y: 1, w: 1, h: 1, clearance: 0.2 };
+  expect(insideZone({ x: 1.5, y: 1.5 }, rect)).toBe(true);
+  expect(insideZone({ x: 2.1, y: 1.5 }, rect)).toBe(true);
+  expect(insideZone({ x: 2.3, y: 1.5 }, rect)).toBe(false);
+  expect(insideZone({ x: 2.1, y: 1.5 }, { ...rect, clearance: 0 })).toBe(false);
+
+  const tri = createZone("poly", { x: 3, y: 3 });
+  expect(tri.vertices).toHaveLength(3);
+  expect(zonesContaining({ x: 3, y: 3 }, [rect, tri])).toEqual([1]);
+  expect(zonesContaining({ x: 0, y: 0 }, [rect, tri])).toEqual([]);
+});
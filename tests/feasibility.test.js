@@ -0,0 +1,125 @@
+import { generateForRoom } from "../src/utils/optimizers";
+import { describeFix, diagnoseFeasibility } from "../src/utils/feasibility";
+import { DEFAULT_RULES } from "../src/utils/ruleProfiles";
+
+const rect = (w, h) => [
+  { x: 0, y: 0 },
+  { x: w, y: 0 },
+  { x: w, y: h },
+  { x: 0, y: h },
+];
+
+test("el diagnóstico cuenta los candidatos por regla y señala la primera que los agota", () => {
+  // 1,2 × 1,2 m: con el margen solo queda una celda XY de 0,2 m de lado
+  const sources = [
+    { x: 0.5, y: 0.7, z: 0.9, active: true },
+    { x: 0.7, y: 0.5, z: 0.7, active: true },
+  ];
+  const d = diagnoseFeasibility({
+    room: { vertices: rect(1.2, 1.2), alturaZ: 2.5 },
+    sources,
+    rules: DEFAULT_RULES,
+    count: 3,
+    solve: () => false,
+  });
+  const byId = Object.fromEntries(d.stages.map((s) => [s.id, s.remaining]));
+  expect(byId.margin).toBe(3 * 3 * 16);
+  expect(byId.sourceXY).toBe(16);
+  expect(d.blocking).toBe("minRedBlue");
+  expect(d.fixes).toEqual([]);
+});
+
+test("propone el mayor N con solución y el menor movimiento de una fuente", () => {
+  const sources = [
+    { x: 0.5, y: 1.5, z: 0.9, active: true },
+    { x: 1.5, y: 0.5, z: 0.7, active: true },
+  ];
+  // Optimizador simulado: hay solución con 4 puntos, o con 5 si alguna
+  // fuente se mueve al menos 0,7 m en algún eje
+  const moved = (srcs) =>
+    srcs.some((f, i) =>
+      ["x", "y", "z"].some((ax) => Math.abs(f[ax] - sources[i][ax]) > 0.69)
+    );
+  const solve = jest.fn((srcs, k) => k <= 4 || moved(srcs));
+  const d = diagnoseFeasibility({
+    room: { vertices: rect(2, 2), alturaZ: 2.5 },
+    sources,
+    rules: DEFAULT_RULES,
+    count: 5,
+    solve,
+  });
+  expect(d.blocking).toBe(null);
+  expect(d.complete).toBe(true);
+  expect(d.fixes[0]).toEqual({ type: "count", count: 4 });
+  // Los movimientos más cortos no pasan el embudo o no tienen solución
+  expect(d.fixes[1]).toEqual({
+    type: "source",
+    index: 0,
+    axis: "z",
+    delta: 0.7,
+  });
+  expect(describeFix(d.fixes[1], sources)).toBe(
+    "Mover F1 +0,7 m en Z (a 1,6 m)"
+  );
+
+  // Sin tiempo solo se calcula el embudo
+  solve.mockClear();
+  const quick = diagnoseFeasibility({
+    room: { vertices: rect(2, 2), alturaZ: 2.5 },
+    sources,
+    rules: DEFAULT_RULES,
+    count: 5,
+    solve,
+    timeBudgetMs: 0,
+  });
+  expect(solve).not.toHaveBeenCalled();
+  expect(quick.stages).toEqual(d.stages);
+  expect(quick.fixes).toEqual([]);
+  expect(quick.complete).toBe(false);
+});
+
+test("no propone bajar N por debajo del último punto bloqueado", () => {
+  const sources = [
+    { x: 0.5, y: 1.5, z: 0.9, active: true },
+    { x: 1.5, y: 0.5, z: 0.7, active: true },
+  ];
+  const args = {
+    room: { vertices: rect(2, 2), alturaZ: 2.5 },
+    sources,
+    rules: DEFAULT_RULES,
+    count: 5,
+    // P4 bloqueado
+    locked: [null, null, null, { x: 1.2, y: 1.3, z: 1.5, locked: true }],
+  };
+  const counts = (d) =>
+    d.fixes.filter((f) => f.type === "count").map((f) => f.count);
+
+  // Con solución para 2 puntos lo único válido sería quitar P4: no se propone
+  const solve = jest.fn((srcs, k) => k <= 2);
+  expect(counts(diagnoseFeasibility({ ...args, solve }))).toEqual([]);
+  expect(solve.mock.calls.every(([, k]) => k >= 4)).toBe(true);
+
+  expect(
+    counts(diagnoseFeasibility({ ...args, solve: (srcs, k) => k <= 4 }))
+  ).toEqual([4]);
+});
+
+test("generateForRoom da al diagnóstico su propio tiempo aunque la búsqueda agote el suyo", () => {
+  const r = generateForRoom({
+    room: { vertices: rect(2, 2), alturaZ: 2.5 },
+    sources: [
+      { x: 0.5, y: 1.5, z: 0.9, active: true },
+      { x: 1.5, y: 0.5, z: 0.7, active: true },
+    ],
+    rules: DEFAULT_RULES,
+    seed: "s1",
+    count: 5,
+    timeBudgetMs: 0,
+    maxNodes: 1000,
+    diagnose: true,
+  });
+  expect(r.feasible).toBe(false);
+  expect(r.timedOut).toBe(true);
+  expect(r.diagnosis.blocking).toBe(null);
+  expect(r.diagnosis.fixes[0]).toMatchObject({ type: "count" });
+});
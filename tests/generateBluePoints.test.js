@@ -0,0 +1,129 @@
+import {
+  generateBluePoints,
+  zOptionsForSeed,
+} from "../src/utils/generateBluePoints";
+import { desiredHeights } from "../src/utils/bluePoints";
+import { MAX_POINTS } from "../src/utils/constants";
+import { DEFAULT_RULES } from "../src/utils/ruleProfiles";
+import { dist3D } from "../src/utils/geometry";
+import { byZ, candidates, sources, zLevelsAll } from "./helpers/fixtures";
+
+test("los puntos bloqueados se conservan en su posición y solo se buscan los libres", () => {
+  const p2 = { x: 1.5, y: 1.0, z: 1.3, locked: true };
+  const { points, feasible } = generateBluePoints({
+    sources,
+    candidates,
+    byZ,
+    zLevelsAll,
+    seed: "bloqueo",
+    count: 3,
+    locked: [null, p2],
+  });
+  expect(feasible).toBe(true);
+  expect(points).toHaveLength(3);
+  expect(points[1]).toBe(p2);
+  // Los libres no repiten X/Y/Z del bloqueado y respetan P–P
+  for (const p of [points[0], points[2]]) {
+    expect(p.x).not.toBe(p2.x);
+    expect(p.y).not.toBe(p2.y);
+    expect(p.z).not.toBe(p2.z);
+    expect(
+      Math.hypot(p.x - p2.x, p.y - p2.y, p.z - p2.z)
+    ).toBeGreaterThanOrEqual(0.7);
+  }
+});
+
+test("la búsqueda informa del progreso y se corta al agotar el tiempo", () => {
+  const progress = [];
+  const full = generateBluePoints({
+    sources,
+    candidates,
+    byZ,
+    zLevelsAll,
+    seed: "tiempo",
+    count: 8,
+    onProgress: (p) => progress.push(p),
+  });
+  expect(full.timedOut).toBe(false);
+  expect(progress.length).toBeGreaterThan(0);
+  expect(progress.every((p) => p.fraction >= 0 && p.fraction <= 1)).toBe(true);
+
+  const cut = generateBluePoints({
+    sources,
+    candidates,
+    byZ,
+    zLevelsAll,
+    seed: "tiempo",
+    count: 8,
+    timeBudgetMs: -1,
+  });
+  expect(cut.timedOut).toBe(true);
+  expect(cut.points).toHaveLength(8);
+});
+
+test("cada punto tiene su altura preferida y su orden de Z parte de ella", () => {
+  expect(desiredHeights(5)).toEqual([1.0, 1.1, 1.2, 1.3, 1.4]);
+  for (const n of [3, 8, MAX_POINTS]) {
+    const dz = desiredHeights(n);
+    expect(dz).toHaveLength(n);
+    // Alturas consecutivas cada 0,1 m alrededor de 1,2 m
+    dz.forEach((z, i) => i && expect(z - dz[i - 1]).toBeCloseTo(0.1));
+    expect(dz).toContain(1.2);
+
+    const lists = zOptionsForSeed({
+      freeCount: n,
+      zLevelsAll,
+      seed: "alturas",
+    });
+    expect(lists).toHaveLength(n);
+    lists.forEach((list, i) => {
+      expect([...list].sort()).toEqual([...zLevelsAll].sort());
+      // Deshecha la rotación de la semilla, va de la más cercana a la más lejana
+      const k0 = list.indexOf(dz[i]);
+      const order = [...list.slice(k0), ...list.slice(0, k0)].map((z) =>
+        Math.abs(z - dz[i])
+      );
+      order.forEach(
+        (d, k) => k && expect(d).toBeGreaterThanOrEqual(order[k - 1] - 1e-9)
+      );
+    });
+  }
+});
+
+test("con más de 5 puntos la distribución cumple las reglas o se marca como no válida", () => {
+  const results = [6, 8, MAX_POINTS].map((count) =>
+    generateBluePoints({
+      sources,
+      candidates,
+      byZ,
+      zLevelsAll,
+      seed: "n-puntos",
+      count,
+      maxNodes: 1000,
+    })
+  );
+  results.forEach((r, k) => {
+    expect(r.points).toHaveLength([6, 8, MAX_POINTS][k]);
+    if (!r.feasible) return;
+    r.points.forEach((p, i) => {
+      for (const f of sources) {
+        expect(p.x).not.toBe(f.x);
+        expect(p.y).not.toBe(f.y);
+        expect(dist3D(p, f)).toBeGreaterThanOrEqual(
+          DEFAULT_RULES.minRedBlue - 1e-9
+        );
+      }
+      for (const q of r.points.slice(0, i)) {
+        expect(p.x).not.toBe(q.x);
+        expect(p.y).not.toBe(q.y);
+        expect(p.z).not.toBe(q.z);
+        expect(dist3D(p, q)).toBeGreaterThanOrEqual(
+          DEFAULT_RULES.minBlueBlue - 1e-9
+        );
+      }
+    });
+  });
+  expect(results[0].feasible).toBe(true);
+  // 12 puntos no caben en 3 × 2 m: el resultado lo dice
+  expect(results[2].feasible).toBe(false);
+});
@@ -0,0 +1,50 @@
+import {
+  interiorPoint,
+  minDistToRoomEdges,
+  pointInRoom,
+  roomArea,
+} from "../src/utils/geometry";
+
+// Recinto de 6 × 4 m alrededor de un núcleo de 2 × 1 m
+const outer = [
+  { x: 0, y: 0 },
+  { x: 6, y: 0 },
+  { x: 6, y: 4 },
+  { x: 0, y: 4 },
+];
+const core = [
+  { x: 2, y: 1.5 },
+  { x: 4, y: 1.5 },
+  { x: 4, y: 2.5 },
+  { x: 2, y: 2.5 },
+];
+
+test("los huecos se descuentan del área y quedan fuera del recinto", () => {
+  expect(roomArea(outer)).toBe(24);
+  expect(roomArea(outer, [core])).toBe(22);
+  expect(pointInRoom({ x: 3, y: 2 }, outer, [core])).toBe(false);
+  expect(pointInRoom({ x: 1, y: 2 }, outer, [core])).toBe(true);
+  // El margen se mide también hasta el borde del hueco
+  expect(minDistToRoomEdges({ x: 1.7, y: 2 }, outer, [core])).toBeCloseTo(0.3);
+  expect(minDistToRoomEdges({ x: 1.7, y: 2 }, outer)).toBeCloseTo(1.7);
+});
+
+test("el punto interior queda dentro de recintos en L y lejos de los huecos", () => {
+  // L: el centro del rectángulo envolvente (2, 2) queda fuera
+  const ell = [
+    { x: 0, y: 0 },
+    { x: 4, y: 0 },
+    { x: 4, y: 1 },
+    { x: 1, y: 1 },
+    { x: 1, y: 4 },
+    { x: 0, y: 4 },
+  ];
+  expect(pointInRoom({ x: 2, y: 2 }, ell)).toBe(false);
+  const p = interiorPoint(ell);
+  expect(pointInRoom(p, ell)).toBe(true);
+  expect(minDistToRoomEdges(p, ell)).toBeGreaterThanOrEqual(0.4);
+
+  const q = interiorPoint(outer, [core]);
+  expect(pointInRoom(q, outer, [core])).toBe(true);
+  expect(minDistToRoomEdges(q, outer, [core])).toBeGreaterThan(0.9);
+});
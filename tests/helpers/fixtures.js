@@ -0,0 +1,21 @@
+// Candidatos de un recinto 3 × 2 × 2,5 m con margen de 0,5 m (rejilla de 0,1 m)
+export const candidates = [];
+for (let x = 5; x <= 25; x++)
+  for (let y = 5; y <= 15; y++)
+    for (let z = 5; z <= 20; z++)
+      candidates.push({ x: x / 10, y: y / 10, z: z / 10 });
+
+export const byZ = new Map();
+for (const c of candidates) {
+  const k = c.z.toFixed(1);
+  if (!byZ.has(k)) byZ.set(k, []);
+  byZ.get(k).push(c);
+}
+
+export const zLevelsAll = Array.from(new Set(candidates.map((c) => c.z)));
+
+// Fuentes de ese recinto
+export const sources = [
+  { x: 0.5, y: 1.5, z: 1.8, active: true },
+  { x: 2.5, y: 0.5, z: 1.1, active: true },
+];
@@ -0,0 +1,103 @@
+import { generateForRoom, OPTIMIZERS } from "../src/utils/optimizers";
+import { DEFAULT_RULES } from "../src/utils/ruleProfiles";
+import { dist3D } from "../src/utils/geometry";
+
+const rect = (w, h) => [
+  { x: 0, y: 0 },
+  { x: w, y: 0 },
+  { x: w, y: h },
+  { x: 0, y: h },
+];
+const sources = [
+  { x: 0.5, y: 1.5, z: 1.8, active: true },
+  { x: 2.5, y: 0.5, z: 1.1, active: true },
+];
+
+test("generateForRoom calcula los candidatos y reproduce la semilla", () => {
+  for (const { id } of OPTIMIZERS) {
+    const args = {
+      room: { vertices: rect(3, 2), alturaZ: 2.5 },
+      sources,
+      rules: DEFAULT_RULES,
+      seed: "sala",
+      count: 3,
+      optimizer: id,
+    };
+    const a = generateForRoom(args);
+    expect(a.optimizer).toBe(id);
+    expect(a.feasible).toBe(true);
+    expect(generateForRoom(args).points).toEqual(a.points);
+  }
+});
+
+test("el recocido encuentra una solución válida donde la búsqueda por ramas no", () => {
+  // 2,8 × 2,4 m con techo a 1,6 m: solo 7 niveles Z para 6 puntos
+  const args = {
+    room: { vertices: rect(2.8, 2.4), alturaZ: 1.6 },
+    sources: [
+      { x: 0.5, y: 1.9, z: 0.9, active: true },
+      { x: 2.3, y: 0.5, z: 0.7, active: true },
+    ],
+    rules: DEFAULT_RULES,
+    seed: "s1",
+    count: 6,
+    // Sin límite de tiempo: la búsqueda por ramas se detiene en su tope de
+    // nodos y el recocido en el de iteraciones, así que el resultado no
+    // depende de la velocidad de la máquina
+    timeBudgetMs: Infinity,
+    maxNodes: 5000,
+  };
+  const dfs = generateForRoom({ ...args, optimizer: "dfs" });
+  const sa = generateForRoom({ ...args, optimizer: "annealing" });
+  expect(dfs.feasible).toBe(false);
+  expect(sa.feasible).toBe(true);
+  expect(sa.alternatives[0].quality.minPP).toBeGreaterThan(
+    dfs.alternatives[0].quality.minPP
+  );
+
+  // Comprobación independiente de las reglas
+  const pts = sa.points;
+  for (let i = 0; i < pts.length; i++) {
+    for (const f of args.sources) {
+      expect(dist3D(pts[i], f)).toBeGreaterThanOrEqual(
+        DEFAULT_RULES.minRedBlue - 1e-9
+      );
+      expect(pts[i].x).not.toBe(f.x);
+      expect(pts[i].y).not.toBe(f.y);
+    }
+    for (let j = 0; j < i; j++) {
+      expect(dist3D(pts[i], pts[j])).toBeGreaterThanOrEqual(
+        DEFAULT_RULES.minBlueBlue - 1e-9
+      );
+      expect(pts[i].x).not.toBe(pts[j].x);
+      expect(pts[i].y).not.toBe(pts[j].y);
+      expect(pts[i].z).not.toBe(pts[j].z);
+    }
+  }
+});
+
+test("con tiempo ilimitado el recocido solo depende de la semilla y de su tope de iteraciones", () => {
+  const args = {
+    room: { vertices: rect(3, 2), alturaZ: 2.5 },
+    sources,
+    rules: DEFAULT_RULES,
+    seed: "sala",
+    count: 4,
+    optimizer: "annealing",
+    timeBudgetMs: Infinity,
+    iterationsPerPoint: 500,
+  };
+  const a = generateForRoom(args);
+  const b = generateForRoom(args);
+  expect(a.timedOut).toBe(false);
+  expect(b.points).toEqual(a.points);
+  expect(b.alternatives).toEqual(a.alternatives);
+
+  // El tope se respeta: menos iteraciones, menos avisos de progreso
+  const calls = (iterationsPerPoint) => {
+    const onProgress = jest.fn();
+    generateForRoom({ ...args, iterationsPerPoint }, onProgress);
+    return onProgress.mock.calls.length;
+  };
+  expect(calls(500)).toBeLessThan(calls(2000));
+});
@@ -0,0 +1,138 @@
+import {
+  outlineProblem,
+  outlineToVertices,
+  parseOutlineFile,
+} from "../src/utils/outlineImport";
+
+const dxf = [
+  "0",
+  "SECTION",
+  "2",
+  "HEADER",
+  "9",
+  "$INSUNITS",
+  "70",
+  "4",
+  "0",
+  "ENDSEC",
+  "0",
+  "SECTION",
+  "2",
+  "ENTITIES",
+  "0",
+  "LINE",
+  "8",
+  "0",
+  "10",
+  "0",
+  "20",
+  "0",
+  "11",
+  "5",
+  "21",
+  "5",
+  "0",
+  "LWPOLYLINE",
+  "8",
+  "MUROS",
+  "90",
+  "4",
+  "70",
+  "1",
+  "10",
+  "1000",
+  "20",
+  "2000",
+  "10",
+  "5000",
+  "20",
+  "2000",
+  "10",
+  "5000",
+  "20",
+  "5000",
+  "10",
+  "1000",
+  "20",
+  "5000",
+  "0",
+  "LWPOLYLINE",
+  "8",
+  "COTAS",
+  "90",
+  "2",
+  "70",
+  "0",
+  "10",
+  "0",
+  "20",
+  "0",
+  "10",
+  "1",
+  "20",
+  "1",
+  "0",
+  "ENDSEC",
+  "0",
+  "EOF",
+].join("\n");
+
+test("lee polilíneas cerradas de un DXF y sus unidades", () => {
+  const { outlines, unit } = parseOutlineFile("planta.DXF", dxf);
+  expect(unit).toBe("mm");
+  expect(outlines).toHaveLength(1);
+  expect(outlines[0].label).toContain("MUROS");
+  expect(outlineToVertices(outlines[0].points, 0.001)).toEqual([
+    { x: 0, y: 0 },
+    { x: 4, y: 0 },
+    { x: 4, y: 3 },
+    { x: 0, y: 3 },
+  ]);
+});
+
+test("lee polígonos y trayectos de un SVG con el eje Y invertido", () => {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg">
+    <polygon id="sala" points="0,0 100,0 100,50 0,50" />
+    <polyline points="0,0 10,10" />
+    <path d="M 0 0 h 20 v 10 h -20 Z m 30 0 l 5 0 l 0 5 z" />
+  </svg>`;
+  const { outlines } = parseOutlineFile("plano.svg", svg);
+  expect(outlines.map((o) => o.label)).toEqual([
+    "sala",
+    "path (1)",
+    "path (2)",
+  ]);
+  expect(outlines[0].points[2]).toEqual({ x: 100, y: -50 });
+  expect(outlines[2].points).toEqual([
+    { x: 30, y: 0 },
+    { x: 35, y: 0 },
+    { x: 35, y: -5 },
+  ]);
+  // A escala 1:100 en cm, 100 unidades son 100 m
+  expect(outlineToVertices(outlines[0].points, 0.01 * 100)[2]).toEqual({
+    x: 100,
+    y: 0,
+  });
+});
+
+test("rechaza formatos desconocidos y contornos inservibles", () => {
+  expect(() => parseOutlineFile("plano.dwg", "")).toThrow(/no admitido/);
+  expect(
+    outlineProblem([
+      { x: 0, y: 0 },
+      { x: 1, y: 0 },
+    ])
+  ).toMatch(/Menos de 3/);
+  expect(
+    outlineProblem(
+      outlineToVertices(
+        [
+          { x: 0, y: 0 },
+          { x: 1, y: 0 },
+          { x: 1, y: 1 },
+        ],
+        0.001
+      )
+    )
+  ).toMatch(/Menos de 3/);
+});
@@ -0,0 +1,48 @@
+import React from "react";
+import { render } from "@testing-library/react";
+import PlanDrawing from "../src/components/PlanDrawing";
+import { scaleBarLength } from "../src/utils/planLayout";
+import { toSvgDocument } from "../src/utils/planExport";
+
+const drawing = {
+  width: 700,
+  height: 520,
+  pad: 50,
+  vertices: [
+    { x: 0, y: 0 },
+    { x: 3, y: 0 },
+    { x: 3, y: 2 },
+    { x: 0, y: 2 },
+  ],
+  sources: [{ x: 0.5, y: 1.5, z: 1.8, active: true }],
+  points: [{ x: 2, y: 1, z: 1.2 }],
+  ringsRed: { 0.5: true },
+  ringsBlue: { 0.5: true },
+  radii: [0.5],
+};
+
+test("elige una longitud redonda para la barra de escala", () => {
+  expect(scaleBarLength(200, 150)).toBe(0.5);
+  expect(scaleBarLength(100, 150)).toBe(1);
+  expect(scaleBarLength(10, 150)).toBe(10);
+});
+
+test("exporta un SVG independiente con leyenda, escala y anillos opcionales", () => {
+  const exportSvg = (props) =>
+    toSvgDocument(
+      render(<PlanDrawing {...drawing} {...props} showLegend showScaleBar />)
+        .container.innerHTML
+    );
+  const svg = exportSvg({});
+  expect(svg.startsWith("<?xml")).toBe(true);
+  expect(svg).toContain('xmlns="http://www.w3.org/2000/svg"');
+  expect(svg).toContain('<rect width="100%" height="100%" fill="#ffffff"/>');
+  expect(svg).toContain("Fuente");
+  expect(svg).toContain("Anillo de distancia");
+  expect(svg).toContain(">0,5 m<");
+
+  const bare = exportSvg({ showRings: false, showGrid: false });
+  expect(bare).not.toContain("Anillo de distancia");
+  expect(bare).not.toContain('opacity="0.35"');
+  expect(bare).not.toContain("#c7cdd6");
+});
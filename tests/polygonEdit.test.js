@@ -0,0 +1,60 @@
+import {
+  cornerAngle,
+  edgeLength,
+  insertMidpoint,
+  moveVertex,
+  orthogonalize,
+  setCornerAngle,
+  setEdgeLength,
+  snapVertex,
+} from "../src/utils/polygonEdit";
+
+const square = [
+  { x: 0, y: 0 },
+  { x: 3, y: 0 },
+  { x: 3, y: 2 },
+  { x: 0, y: 2 },
+];
+
+test("edita lados y ángulos como en un levantamiento", () => {
+  expect(cornerAngle(square, 1)).toBeCloseTo(90);
+  // Mismo resultado con los vértices en sentido horario
+  expect(cornerAngle([...square].reverse(), 1)).toBeCloseTo(90);
+
+  const longer = setEdgeLength(square, 0, 4);
+  expect(longer[1]).toEqual({ x: 4, y: 0 });
+  expect(longer[2]).toEqual({ x: 4, y: 2 });
+  expect(edgeLength(longer, 1)).toBeCloseTo(2);
+
+  const opened = setCornerAngle(square, 1, 135);
+  expect(cornerAngle(opened, 1)).toBeCloseTo(135);
+  expect(edgeLength(opened, 1)).toBeCloseTo(2);
+  expect(opened[0]).toEqual(square[0]);
+});
+
+test("ajusta a 45°/90° y ortogonaliza", () => {
+  // Cerca de la esquina (3, 2): horizontal con D y vertical con B
+  expect(snapVertex({ x: 3.05, y: 1.96 }, square[1], square[3], 0.2)).toEqual({
+    x: 3,
+    y: 2,
+  });
+  expect(snapVertex({ x: 2, y: 1.2 }, square[1], square[3], 0.05)).toBeNull();
+
+  const skewed = [
+    { x: 0, y: 0 },
+    { x: 3, y: 0.1 },
+    { x: 3.1, y: 2 },
+    { x: 0, y: 1.9 },
+  ];
+  const ortho = orthogonalize(skewed);
+  [0, 1, 2, 3].forEach((i) => expect(cornerAngle(ortho, i)).toBeCloseTo(90));
+});
+
+test("inserta vértices en el punto medio y reordena", () => {
+  const tri = square.slice(0, 3);
+  const four = insertMidpoint(tri, 2);
+  expect(four).toEqual([...tri, { x: 1.5, y: 1 }]);
+  expect(insertMidpoint(tri, 0)[1]).toEqual({ x: 1.5, y: 0 });
+  expect(moveVertex(tri, 1, -1)).toEqual([tri[1], tri[0], tri[2]]);
+  expect(moveVertex(tri, 2, 1)).toBe(tri);
+});
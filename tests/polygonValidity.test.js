@@ -0,0 +1,62 @@
+import { idxToLetter } from "../src/utils/labels";
+import { holeIssues, polygonIssues } from "../src/utils/polygonValidity";
+
+const check = (ring) => polygonIssues(ring, idxToLetter);
+
+test("detecta cruces, lados de longitud cero y vértices alineados", () => {
+  const square = [
+    { x: 0, y: 0 },
+    { x: 3, y: 0 },
+    { x: 3, y: 2 },
+    { x: 0, y: 2 },
+  ];
+  expect(check(square)).toEqual([]);
+
+  // Pajarita: C y D intercambiados
+  const bowTie = [square[0], square[1], square[3], square[2]];
+  expect(check(bowTie)).toEqual([
+    { edges: [1, 3], msg: "Los lados B–C y D–A se cruzan" },
+  ]);
+
+  const dup = [square[0], square[1], square[1], square[2], square[3]];
+  expect(check(dup).map((i) => i.msg)).toEqual(["Lado B–C de longitud cero"]);
+
+  const collinear = [square[0], { x: 1.5, y: 0 }, ...square.slice(1)];
+  expect(check(collinear).map((i) => i.msg)).toEqual([
+    "Vértice B alineado entre A y C (sobra)",
+  ]);
+});
+
+test("los huecos deben quedar dentro del contorno y sin solaparse", () => {
+  const outer = [
+    { x: 0, y: 0 },
+    { x: 6, y: 0 },
+    { x: 6, y: 4 },
+    { x: 0, y: 4 },
+  ];
+  const square = (x, y, s) => [
+    { x, y },
+    { x: x + s, y },
+    { x: x + s, y: y + s },
+    { x, y: y + s },
+  ];
+  const name = (k) => `H${k + 1}`;
+  const msgs = (holes) => holeIssues(outer, holes, name).map((i) => i.msg);
+
+  expect(msgs([square(1, 1, 1), square(3, 1, 1)])).toEqual([]);
+  expect(msgs([square(8, 1, 1)])).toEqual([
+    "El hueco H1 queda fuera del recinto",
+  ]);
+  expect(msgs([square(5.5, 1, 1)])).toEqual([
+    "El hueco H1 corta el contorno del recinto",
+  ]);
+  expect(msgs([square(1, 1, 1), square(1.5, 1.5, 1)])).toEqual([
+    "Los huecos H1 y H2 se cortan o se tocan",
+  ]);
+  expect(msgs([square(1, 1, 2), square(1.5, 1.5, 0.5)])).toEqual([
+    "El hueco H2 está dentro del hueco H1",
+  ]);
+  // Los lados a marcar son los del cruce
+  const [cut] = holeIssues(outer, [square(5.5, 1, 1)], name);
+  expect(cut.segments.length).toBeGreaterThan(0);
+});
@@ -0,0 +1,88 @@
+import {
+  PROJECT_VERSION,
+  migrateProject,
+  parseProject,
+  serializeProject,
+} from "../src/utils/projectFile";
+
+const room = {
+  vertices: [
+    { x: 0, y: 0 },
+    { x: 3, y: 0 },
+    { x: 3, y: 2 },
+    { x: 0, y: 2 },
+  ],
+  alturaZ: 2.5,
+  sources: [{ x: 0.5, y: 1.5, z: 1.8, active: true }],
+  blue: [{ x: 1.5, y: 1.0, z: 1.2 }],
+  blueActive: true,
+  nPoints: 5,
+};
+
+test("exporta e importa un recinto sin pérdidas", () => {
+  const text = serializeProject(room, { id: "iso16283-1", name: "ISO" });
+  expect(JSON.parse(text).version).toBe(PROJECT_VERSION);
+  const { room: back, profile } = parseProject(text);
+  expect(back).toMatchObject(room);
+  expect(profile.id).toBe("iso16283-1");
+});
+
+test("migra archivos antiguos con F1/F2 y semilla", () => {
+  const legacy = JSON.stringify({
+    vertices: room.vertices,
+    alturaZ: 2.5,
+    F1: { x: 0.5, y: 1.5, z: 1.8 },
+    F2: { x: 2.5, y: 0.5, z: 1.1 },
+    activeF1: true,
+    activeF2: false,
+    seed: "abc",
+  });
+  const { room: back } = parseProject(legacy);
+  expect(back.sources).toEqual([
+    { x: 0.5, y: 1.5, z: 1.8, active: true },
+    { x: 2.5, y: 0.5, z: 1.1, active: false },
+  ]);
+  expect(back.seed).toBe("abc");
+  expect(back.seedMode).toBe("legacy");
+});
+
+test("la migración v1 → v2 convierte F1/F2 y sus flags en sources[]", () => {
+  const v2 = (d) => {
+    const out = migrateProject({ version: 1, ...d });
+    expect(out.version).toBe(PROJECT_VERSION);
+    expect(out).not.toHaveProperty("F1");
+    expect(out).not.toHaveProperty("activeF1");
+    return out.sources;
+  };
+  const F1 = { x: 0.5, y: 1.5, z: 1.8 };
+  const F2 = { x: 2.5, y: 0.5, z: 1.1 };
+  expect(v2({ F1, F2, activeF1: false, activeF2: true })).toEqual([
+    { ...F1, active: false },
+    { ...F2, active: true },
+  ]);
+  // Sin flag, la fuente está activa; una fuente que falta no se añade
+  expect(v2({ F1 })).toEqual([{ ...F1, active: true }]);
+  // Un archivo que ya trae sources[] los conserva
+  const sources = [{ ...F1, active: true }];
+  expect(v2({ F1: F2, sources })).toEqual(sources);
+});
+
+test("rechaza vértices, alturas y fuentes no válidos con mensajes claros", () => {
+  const bad = serializeProject({
+    ...room,
+    vertices: [{ x: 0, y: 0 }, { x: "a", y: 0 }, { x: 1, y: 1 }],
+    alturaZ: -1,
+    sources: [],
+  });
+  expect(() => parseProject(bad)).toThrow(/Vértice 2/);
+  expect(() => parseProject(bad)).toThrow(/Altura Z no válida/);
+  expect(() => parseProject(bad)).toThrow(/Faltan las fuentes/);
+  expect(() => parseProject("{no json")).toThrow(/JSON válido/);
+  expect(() =>
+    parseProject(JSON.stringify({ version: PROJECT_VERSION + 1, room }))
+  ).toThrow(/no soportada/);
+  for (const version of [1.5, 0, -1, "2"])
+    expect(() => parseProject(JSON.stringify({ version, room }))).toThrow(
+      /no soportada/
+    );
+});
@@ -0,0 +1,29 @@
+import { extrudeRoom, project3D } from "../src/utils/projection3d";
+
+const center = { x: 0, y: 0, z: 0 };
+
+test("con inclinación 0 se ve el alzado y con π/2 la planta", () => {
+  const p = { x: 1, y: 2, z: 3 };
+  const front = project3D(p, { yaw: 0, pitch: 0 }, center);
+  expect(front.u).toBeCloseTo(1);
+  expect(front.v).toBeCloseTo(3);
+  expect(front.depth).toBeCloseTo(2);
+
+  const top = project3D(p, { yaw: 0, pitch: Math.PI / 2 }, center);
+  expect(top.u).toBeCloseTo(1);
+  expect(top.v).toBeCloseTo(2);
+  expect(top.depth).toBeCloseTo(-3);
+});
+
+test("extruye el polígono hasta la altura y centra el giro", () => {
+  const room = extrudeRoom(
+    [
+      { x: 0, y: 0 },
+      { x: 4, y: 0 },
+      { x: 4, y: 2 },
+    ],
+    2.5
+  );
+  expect(room.ceiling[1]).toEqual({ x: 4, y: 0, z: 2.5 });
+  expect(room.center).toEqual({ x: 2, y: 1, z: 1.25 });
+});
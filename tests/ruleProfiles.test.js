@@ -0,0 +1,146 @@
+import {
+  DEFAULT_PROFILES,
+  DEFAULT_RULES,
+  builtInProfile,
+  findProfile,
+  mergeProfile,
+  ringToggles,
+  sanitizeProfile,
+} from "../src/utils/ruleProfiles";
+import { checkAllDistances } from "../src/utils/distanceChecks";
+import { generateForRoom } from "../src/utils/optimizers";
+import { dist3D } from "../src/utils/geometry";
+
+const custom = {
+  id: "propio",
+  name: "Propio",
+  margin: 0.5,
+  minRedBlue: 1.5,
+  minBlueBlue: 1.2,
+  minFFAxis: 0.7,
+};
+
+test("los perfiles predefinidos son los de la norma y baja frecuencia", () => {
+  expect(DEFAULT_RULES).toBe(DEFAULT_PROFILES[0]);
+  expect(builtInProfile("iso16283-1")).toEqual({
+    id: "iso16283-1",
+    name: "ISO 16283-1 ruido aéreo",
+    margin: 0.5,
+    minRedBlue: 1.0,
+    minBlueBlue: 0.7,
+    minFFAxis: 0.7,
+  });
+  expect(builtInProfile("baja-frecuencia")).toMatchObject({
+    minRedBlue: 1.5,
+    minBlueBlue: 1.0,
+  });
+  expect(builtInProfile("propio")).toBeNull();
+  // Todos los predefinidos ya están normalizados
+  for (const p of DEFAULT_PROFILES) expect(sanitizeProfile(p)).toEqual(p);
+});
+
+test("sanitizeProfile completa, redondea y descarta valores no válidos", () => {
+  expect(sanitizeProfile(null)).toBeNull();
+  expect(sanitizeProfile({ name: "Sin id" })).toBeNull();
+  expect(sanitizeProfile({ id: "" })).toBeNull();
+
+  const p = sanitizeProfile({
+    id: "x",
+    margin: 0.73,
+    minRedBlue: -1,
+    minBlueBlue: "1,2",
+    minFFAxis: "0.96",
+  });
+  expect(p).toEqual({
+    id: "x",
+    name: "x",
+    margin: 0.7,
+    minRedBlue: DEFAULT_RULES.minRedBlue,
+    minBlueBlue: DEFAULT_RULES.minBlueBlue,
+    minFFAxis: 1,
+  });
+  expect(sanitizeProfile({ id: "y", name: "Y" })).toEqual({
+    ...DEFAULT_RULES,
+    id: "y",
+    name: "Y",
+  });
+});
+
+test("findProfile vuelve al primero de la lista o al predefinido", () => {
+  expect(findProfile([DEFAULT_RULES, custom], "propio")).toBe(custom);
+  expect(findProfile([custom, DEFAULT_RULES], "borrado")).toBe(custom);
+  expect(findProfile([], "propio")).toBe(DEFAULT_RULES);
+});
+
+test("mergeProfile reutiliza el perfil igual y copia el que tiene otros valores", () => {
+  const list = [DEFAULT_RULES, custom];
+  expect(mergeProfile(list, { ...custom })).toEqual({
+    profiles: list,
+    id: "propio",
+  });
+
+  const other = { ...custom, minBlueBlue: 1.5 };
+  const merged = mergeProfile(list, other);
+  expect(merged.profiles).toHaveLength(3);
+  expect(merged.id).toBe("propio-2");
+  expect(merged.profiles[2]).toMatchObject({
+    id: "propio-2",
+    name: "Propio (importado)",
+    minBlueBlue: 1.5,
+  });
+
+  const added = mergeProfile([DEFAULT_RULES], custom);
+  expect(added).toEqual({ profiles: [DEFAULT_RULES, custom], id: "propio" });
+});
+
+test("los círculos siguen los radios del perfil y activan los nuevos", () => {
+  const saved = { 0.5: true, 0.7: true, 1: false, 2: false };
+  expect(ringToggles(saved, [0.5, 1, 1.2, 2])).toEqual({
+    0.5: true,
+    1: false,
+    1.2: true,
+    2: false,
+  });
+  expect(ringToggles(undefined, [0.5])).toEqual({ 0.5: true });
+});
+
+test("las comprobaciones y el generador usan el perfil activo", () => {
+  const pts = [
+    { name: "F1", p: { x: 0.5, y: 0.5, z: 1 } },
+    { name: "P1", p: { x: 1.8, y: 0.5, z: 1 } },
+    { name: "P2", p: { x: 1.8, y: 1.6, z: 1 } },
+  ];
+  // F1–P1 = 1,3 m y P1–P2 = 1,1 m: cumplen la norma, no el perfil propio
+  expect(checkAllDistances(pts, { rules: DEFAULT_RULES }).msgs).toEqual([]);
+  const { kinds, msgs } = checkAllDistances(pts, { rules: custom });
+  expect([...kinds].sort()).toEqual(["FP", "PP"]);
+  expect(msgs).toContain("F1–P1 = 1.3 < 1.5 m (3D)");
+  expect(msgs).toContain("P1–P2 = 1.1 < 1.2 m (3D)");
+
+  const sources = [
+    { x: 0.5, y: 3.5, z: 1.8, active: true },
+    { x: 4.5, y: 0.5, z: 1.1, active: true },
+  ];
+  const r = generateForRoom({
+    room: {
+      vertices: [
+        { x: 0, y: 0 },
+        { x: 5, y: 0 },
+        { x: 5, y: 4 },
+        { x: 0, y: 4 },
+      ],
+      alturaZ: 2.5,
+    },
+    sources,
+    rules: custom,
+    seed: "perfil",
+    count: 3,
+  });
+  expect(r.feasible).toBe(true);
+  r.points.forEach((p, i) => {
+    for (const f of sources)
+      expect(dist3D(p, f)).toBeGreaterThanOrEqual(custom.minRedBlue - 1e-9);
+    for (const q of r.points.slice(0, i))
+      expect(dist3D(p, q)).toBeGreaterThanOrEqual(custom.minBlueBlue - 1e-9);
+  });
+});
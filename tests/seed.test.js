@@ -0,0 +1,48 @@
+import { generateBluePoints } from "../src/utils/generateBluePoints";
+import { mulberry32 } from "../src/utils/geometry";
+import { hashSeed, legacySeedHash, seedToInt } from "../src/utils/seed";
+import { byZ, candidates, sources, zLevelsAll } from "./helpers/fixtures";
+
+const sequence = (seed, mode) => {
+  const rng = mulberry32(seedToInt(seed, mode));
+  return [rng(), rng(), rng()];
+};
+
+const generate = (seed, seedMode) =>
+  generateBluePoints({
+    sources,
+    candidates,
+    byZ,
+    zLevelsAll,
+    seed,
+    seedMode,
+    genNonce: 0,
+    count: 3,
+  }).points;
+
+test("semillas distintas dan secuencias distintas, también con el orden cambiado", () => {
+  expect(hashSeed("ab")).not.toBe(hashSeed("ba"));
+  expect(sequence("ab")).not.toEqual(sequence("ba"));
+
+  // Sin colisiones entre todas las semillas de 1 y 2 caracteres alfanuméricos
+  const abc = "abcdefghijklmnopqrstuvwxyz0123456789";
+  const seeds = [...abc];
+  for (const a of abc) for (const b of abc) seeds.push(a + b);
+  const hashes = new Set(seeds.map((s) => hashSeed(s)));
+  expect(hashes.size).toBe(seeds.length);
+  const firsts = new Set(seeds.map((s) => sequence(s)[0]));
+  expect(firsts.size).toBe(seeds.length);
+});
+
+test("el modo de compatibilidad conserva la conversión antigua", () => {
+  expect(legacySeedHash("ab")).toBe(195);
+  expect(seedToInt("ab", "legacy")).toBe(195);
+  expect(sequence("ab", "legacy")).toEqual(sequence("ba", "legacy"));
+});
+
+test("la misma semilla reproduce los mismos puntos", () => {
+  const a = generate("auditoria-1");
+  expect(generate("auditoria-1")).toEqual(a);
+  expect(generate("auditoria-2")).not.toEqual(a);
+  expect(generate("ab", "legacy")).toEqual(generate("ba", "legacy"));
+});
@@ -0,0 +1,101 @@
+import {
+  calibrateUnderlay,
+  createUnderlay,
+  sanitizeUnderlay,
+  underlayCorners,
+} from "../src/utils/underlay";
+import { parseProject, serializeProject } from "../src/utils/projectFile";
+import {
+  WORKSPACE_KEY,
+  createRoom,
+  readWorkspace,
+  saveWorkspace,
+  serializeWorkspace,
+} from "../src/utils/workspace";
+
+const image = {
+  src: "data:image/png;base64,AAAA",
+  widthPx: 800,
+  heightPx: 400,
+};
+
+test("coloca la imagen sobre el recinto y la calibra con dos puntos", () => {
+  const u = createUnderlay(image, { minX: 0, maxX: 4, minY: 0, maxY: 3 });
+  expect(u.scale).toBeCloseTo(0.005);
+  expect(underlayCorners(u)).toEqual([
+    { x: 0, y: 3 },
+    { x: 4, y: 1 },
+  ]);
+  // Una cota de 2 m medida como 1 m: la imagen dobla su tamaño alrededor de A
+  const c = calibrateUnderlay(u, { x: 1, y: 2 }, { x: 2, y: 2 }, 2);
+  expect(c.scale).toBeCloseTo(0.01);
+  expect(c.x).toBeCloseTo(-1);
+  expect(c.y).toBeCloseTo(4);
+  expect(calibrateUnderlay(u, { x: 1, y: 2 }, { x: 1, y: 2 }, 2)).toBe(u);
+  expect(underlayCorners({ ...u, visible: false })).toEqual([]);
+});
+
+test("el plano de fondo se guarda con el recinto", () => {
+  const u = createUnderlay(image, { minX: 0, maxX: 4, minY: 0, maxY: 3 });
+  const room = createRoom("Sala", undefined, u);
+  const ws = readWorkspace({
+    getItem: (k) =>
+      k === WORKSPACE_KEY ? serializeWorkspace([room], room.id) : null,
+  });
+  // localStorage guarda solo la referencia a la imagen
+  expect(ws.rooms[0].underlay).toEqual({ ...u, src: null });
+  expect(serializeWorkspace([room], room.id)).not.toContain(image.src);
+
+  const { room: loaded } = parseProject(
+    serializeProject({ ...room.state, underlay: { ...u, opacity: 3 } })
+  );
+  expect(loaded.underlay.opacity).toBe(1);
+  expect(
+    sanitizeUnderlay({ ...u, src: "http://ejemplo/plano.png" })
+  ).toBeNull();
+});
+
+test("las imágenes se guardan aparte, una vez por imagen, y se borran al dejar de usarse", async () => {
+  const u = createUnderlay(image, { minX: 0, maxX: 4, minY: 0, maxY: 3 });
+  const a = createRoom("A", undefined, u);
+  const copy = createRoom("A (copia)", undefined, u);
+  const stored = new Map();
+  const images = {
+    saveImage: jest.fn(async (id, src) => stored.set(id, src)),
+    deleteImage: jest.fn(async (id) => stored.delete(id)),
+  };
+  let text = null;
+  const storage = { setItem: (k, v) => (text = v) };
+  const saved = new Set();
+
+  await saveWorkspace(storage, images, [a, copy], a.id, saved);
+  expect(images.saveImage).toHaveBeenCalledTimes(1);
+  expect(stored.get(u.imageId)).toBe(image.src);
+  expect(text).not.toContain(image.src);
+
+  // Ya guardada: no se vuelve a escribir
+  await saveWorkspace(storage, images, [a, copy], a.id, saved);
+  expect(images.saveImage).toHaveBeenCalledTimes(1);
+
+  // Sigue en uso por la copia; sin ningún recinto que la use, se borra
+  await saveWorkspace(
+    storage,
+    images,
+    [{ ...a, underlay: null }, copy],
+    a.id,
+    saved
+  );
+  expect(stored.size).toBe(1);
+  await saveWorkspace(storage, images, [{ ...a, underlay: null }], a.id, saved);
+  expect(stored.size).toBe(0);
+
+  // Un fallo al escribir (cupo lleno) se propaga para poder avisar
+  const full = {
+    setItem: () => {
+      throw Object.assign(new Error("quota"), { name: "QuotaExceededError" });
+    },
+  };
+  await expect(saveWorkspace(full, images, [a], a.id, saved)).rejects.toThrow(
+    "quota"
+  );
+});
@@ -0,0 +1,55 @@
+import {
+  LEGACY_STATE_KEY,
+  WORKSPACE_BACKUP_KEY,
+  WORKSPACE_KEY,
+  backupWorkspace,
+  createRoom,
+  readWorkspace,
+  serializeWorkspace,
+} from "../src/utils/workspace";
+
+const memoryStorage = (data) => ({
+  getItem: (k) => data[k] ?? null,
+  setItem: (k, v) => {
+    data[k] = v;
+  },
+});
+
+test("convierte el estado antiguo de un recinto en un espacio de trabajo", () => {
+  const legacy = JSON.stringify({
+    vertices: [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 3 }],
+    alturaZ: 3,
+    F1: { x: 1, y: 1, z: 1.5 },
+    activeF1: true,
+  });
+  const ws = readWorkspace(memoryStorage({ [LEGACY_STATE_KEY]: legacy }));
+  expect(ws.rooms).toHaveLength(1);
+  expect(ws.rooms[0].name).toBe("Recinto 1");
+  expect(ws.rooms[0].state.alturaZ).toBe(3);
+  expect(ws.rooms[0].state.sources).toEqual([
+    { x: 1, y: 1, z: 1.5, active: true },
+  ]);
+});
+
+test("guarda y recupera varios recintos con su historial", () => {
+  const a = createRoom("Emisor");
+  const b = { ...createRoom("Receptor"), past: [a.state] };
+  const text = serializeWorkspace([a, b], b.id);
+  const ws = readWorkspace(memoryStorage({ [WORKSPACE_KEY]: text }));
+  expect(ws.activeId).toBe(b.id);
+  expect(ws.rooms.map((r) => r.name)).toEqual(["Emisor", "Receptor"]);
+  expect(ws.rooms[1].past).toHaveLength(1);
+});
+
+test("un espacio de trabajo ilegible se copia tal cual antes de sustituirlo", () => {
+  const text = JSON.stringify({
+    activeId: "r1",
+    rooms: [{ id: "r1", state: { version: 99 } }],
+  });
+  const data = { [WORKSPACE_KEY]: text };
+  const storage = memoryStorage(data);
+  expect(() => readWorkspace(storage)).toThrow(/no soportada/);
+  expect(backupWorkspace(storage)).toBe(text);
+  expect(data[WORKSPACE_BACKUP_KEY]).toBe(text);
+  expect(backupWorkspace(memoryStorage({}))).toBe(null);
+});